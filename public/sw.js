@@ -0,0 +1,130 @@
+// Service worker: keeps the app usable at observing sites without signal.
+// Registered by registerServiceWorker (src/utils/offlineUtils.js) in builds.
+//   - App shell: index.html and the built files it loads (scripts, styles,
+//     the satellite worker; the star catalog is bundled into the main script)
+//     are cached at install. Pages are fetched from the network first so a new
+//     build is picked up, falling back to the cached shell offline.
+//   - /assets/: file names carry a content hash, so a cached copy is always
+//     right; served from the cache, fetched (and cached) when missing.
+//   - /api/tles: network first; the MAX_TLE_SETS most recently fetched groups
+//     are kept and served when the network fails, marked with an
+//     X-SW-Cache header so the app can say so. The response's fetchedAt tells
+//     how old the elements are.
+//   - Everything else (aircraft, uploads...) goes to the network as usual.
+// Old hashed assets pile up between builds; bumping CACHE_VERSION clears them.
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `uap-shell-${CACHE_VERSION}`;
+const TLE_CACHE = `uap-tles-${CACHE_VERSION}`;
+const MAX_TLE_SETS = 3;
+// A weak signal can leave a request hanging; give up and use the cache.
+// TLEs wait past the server's 20 s Celestrak timeout (and stay under the app's
+// own 30 s, see satelliteUtils.js)
+const NETWORK_TIMEOUT_MS = { page: 5000, tles: 25000 };
+
+const SHELL_URLS = ['/', '/manifest.json', '/favicon.ico', '/logo192.png', '/logo512.png'];
+// Built files referenced from index.html and from the scripts themselves
+const ASSET_PATTERN = /\/assets\/[\w.-]+\.(?:js|css|json|wasm|png|svg|woff2?)/g;
+
+const findAssets = (text) => [...new Set(text.match(ASSET_PATTERN) || [])];
+
+const precacheShell = async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll(SHELL_URLS);
+    const html = await (await cache.match('/')).text();
+    const assets = findAssets(html);
+    // One level down: scripts load the worker and lazy chunks by URL
+    const scripts = await Promise.all(assets
+        .filter(url => url.endsWith('.js'))
+        .map(url => fetch(url).then(response => response.text()).catch(() => '')));
+    await cache.addAll([...new Set([...assets, ...scripts.flatMap(findAssets)])]);
+};
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keep = [SHELL_CACHE, TLE_CACHE];
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => name.startsWith('uap-') && !keep.includes(name)).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+const fetchWithTimeout = (request, ms) => {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), ms);
+    return fetch(request, { signal: controller.signal }).finally(() => clearTimeout(timeout));
+};
+
+// Index page for any route (the app routes on the client)
+const handleNavigation = async (request) => {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        // A navigation request can't be re-sent with options, its URL can
+        const response = await fetchWithTimeout(request.url, NETWORK_TIMEOUT_MS.page);
+        if (response.ok) await cache.put('/', response.clone());
+        return response;
+    } catch (error) {
+        return (await cache.match('/')) || Response.error();
+    }
+};
+
+const handleAsset = async (request) => {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+};
+
+// The last copy of a TLE group, marked as served from here
+const cachedTLEs = async (cache, request) => {
+    const cached = await cache.match(request);
+    if (!cached) return null;
+    const headers = new Headers(cached.headers);
+    headers.set('X-SW-Cache', 'offline');
+    return new Response(cached.body, { status: cached.status, statusText: cached.statusText, headers });
+};
+
+// Re-putting a group moves it to the end of the key list, so the oldest
+// fetched groups are the first keys
+const handleTLEs = async (request) => {
+    const cache = await caches.open(TLE_CACHE);
+    let response;
+    try {
+        response = await fetchWithTimeout(request, NETWORK_TIMEOUT_MS.tles);
+    } catch (error) {
+        const cached = await cachedTLEs(cache, request);
+        if (cached) return cached;
+        throw error;
+    }
+    // Server up but without data (Celestrak down, nothing on disk)
+    if (!response.ok) return (await cachedTLEs(cache, request)) || response;
+
+    await cache.delete(request);
+    await cache.put(request, response.clone());
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_TLE_SETS)).map(key => cache.delete(key)));
+    return response;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+    } else if (url.pathname === '/api/tles') {
+        event.respondWith(handleTLEs(request));
+    } else if (url.pathname.startsWith('/assets/')) {
+        event.respondWith(handleAsset(request));
+    } else if (SHELL_URLS.includes(url.pathname)) {
+        event.respondWith(caches.match(request).then(cached => cached || fetch(request)));
+    }
+});
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+
+// Builds src/utils/starCatalog.json and src/utils/constellations.json from the
+// d3-celestial data files (https://github.com/ofrohn/d3-celestial, BSD license,
+// Copyright (c) 2015 Olaf Frohn; star data from the Hipparcos catalogue).
+//
+//   npm pack d3-celestial && tar xzf d3-celestial-*.tgz
+//   node scripts/buildStarCatalog.js package/data
+//
+// Positions are J2000 RA/Dec in degrees (0..360). d3-celestial doesn't carry
+// proper motions, so the few bright stars that move noticeably over a century
+// get theirs from PROPER_MOTIONS below (Hipparcos, mas/yr, pmRa includes cos Dec).
+
+const MAG_LIMIT = 6.5;
+
+const PROPER_MOTIONS = {
+    32349: [-546.01, -1223.08], // Sirius
+    71683: [-3679.25, 473.67], // Rigil Kentaurus
+    69673: [-1093.45, -1999.40], // Arcturus
+    37279: [-716.57, -1034.58], // Procyon
+    97649: [536.82, 385.54], // Altair
+    108870: [3960.93, -2539.23], // Epsilon Indi
+    104214: [4168.34, 3269.20], // 61 Cygni A
+    19849: [-2240.12, -3420.27] // Omicron2 Eridani
+};
+
+const dataDir = process.argv[2];
+if (!dataDir) {
+    console.error('Usage: node scripts/buildStarCatalog.js <d3-celestial data dir>');
+    process.exit(1);
+}
+
+const readJson = (file) => JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8'));
+const round = (value, digits) => Number(value.toFixed(digits));
+const toRa = (lon) => round((lon + 360) % 360, 4);
+
+const starNames = readJson('starnames.json');
+
+const stars = readJson('stars.8.json').features
+    .filter(feature => feature.properties.mag <= MAG_LIMIT)
+    .map(feature => {
+        const hip = feature.id;
+        const names = starNames[hip] || {};
+        const designation = names.desig && names.c ? `${names.desig} ${names.c}` : null;
+        const [lon, dec] = feature.geometry.coordinates;
+        const bv = parseFloat(feature.properties.bv);
+
+        const star = {
+            hip,
+            name: names.name || designation || `HIP ${hip}`,
+            ra: toRa(lon),
+            dec: round(dec, 4),
+            mag: feature.properties.mag
+        };
+        if (Number.isFinite(bv)) star.bv = bv;
+        if (names.c) star.con = names.c;
+        if (PROPER_MOTIONS[hip]) [star.pmRa, star.pmDec] = PROPER_MOTIONS[hip];
+        return star;
+    })
+    .sort((a, b) => a.mag - b.mag);
+
+const lines = new Map(readJson('constellations.lines.json').features
+    .map(feature => [feature.id, feature.geometry.coordinates]));
+
+const constellations = readJson('constellations.json').features.map(feature => {
+    const [lon, dec] = feature.geometry.coordinates;
+    return {
+        id: feature.id,
+        name: feature.properties.name,
+        rank: Number(feature.properties.rank),
+        label: [toRa(lon), round(dec, 2)],
+        lines: (lines.get(feature.id) || []).map(line => line.map(([l, d]) => [toRa(l), round(d, 4)]))
+    };
+});
+
+const writeJson = (file, items) => {
+    // One entry per line keeps diffs of regenerated files readable
+    const body = items.map(item => `  ${JSON.stringify(item)}`).join(',\n');
+    fs.writeFileSync(path.join(__dirname, '..', 'src', 'utils', file), `[\n${body}\n]\n`);
+};
+
+writeJson('starCatalog.json', stars);
+writeJson('constellations.json', constellations);
+console.log(`Wrote ${stars.length} stars and ${constellations.length} constellations`);
@@ -1,34 +1,72 @@
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
+const { getTLEs, isValidGroup } = require('./server/tles');
+const { getLaunch, isValidLaunch } = require('./server/satcat');
+const { addSightings, getSightings } = require('./server/sightings');
+const { getPlanes, getStatus } = require('./server/opensky');
+const { startAdsb, getLocalPlanes, mergeStates, getAdsbStatus, isConfigured: isAdsbConfigured } = require('./server/adsb');
 
 const app = express();
 const PORT = 3001;
 
+// Default aircraft source when the client doesn't ask for one:
+// 'opensky', 'local' (ADS-B receiver, see server/adsb.js) or 'merged'
+const PLANE_SOURCES = ['opensky', 'local', 'merged'];
+const DEFAULT_PLANE_SOURCE = PLANE_SOURCES.includes(process.env.PLANE_SOURCE) ? process.env.PLANE_SOURCE : 'opensky';
+
 app.use(cors());
 
-// Proxy endpoint for OpenSky
+// Aircraft state vectors in OpenSky's format, from OpenSky (cached and
+// rate-limit aware, see server/opensky.js), a local ADS-B receiver, or both.
 app.get('/api/planes', async (req, res) => {
+    const source = req.query.source || DEFAULT_PLANE_SOURCE;
+    if (!PLANE_SOURCES.includes(source)) {
+        return res.status(400).json({ error: `Unknown source "${source}"` });
+    }
+    if (source !== 'opensky' && !isAdsbConfigured()) {
+        return res.status(400).json({ error: 'No local ADS-B receiver configured' });
+    }
+
     try {
         const { lamin, lomin, lamax, lomax } = req.query;
-        // Construct the URL parameters
-        const params = {};
-        if (lamin) params.lamin = lamin;
-        if (lomin) params.lomin = lomin;
-        if (lamax) params.lamax = lamax;
-        if (lomax) params.lomax = lomax;
+        const box = [lamin, lomin, lamax, lomax].every(v => v !== undefined && v !== '')
+            ? { lamin: Number(lamin), lomin: Number(lomin), lamax: Number(lamax), lomax: Number(lomax) }
+            : null;
+
+        if (source === 'local') {
+            res.set('X-Plane-Source', 'local');
+            return res.json(await getLocalPlanes(box));
+        }
 
-        console.log(`Fetching planes from OpenSky with params: ${JSON.stringify(params)}`);
+        if (source === 'merged') {
+            // The receiver is the reliable part in the field; OpenSky is a bonus
+            const [local, remote] = await Promise.allSettled([
+                getLocalPlanes(box),
+                getPlanes({ lamin, lomin, lamax, lomax })
+            ]);
+            if (local.status === 'rejected' && remote.status === 'rejected') {
+                throw remote.reason;
+            }
+            const localStates = local.status === 'fulfilled' ? local.value.states : [];
+            const remoteStates = remote.status === 'fulfilled' ? remote.value.data.states : [];
+            res.set('X-Plane-Source', 'merged');
+            return res.json({
+                time: Math.floor(Date.now() / 1000),
+                states: mergeStates(remoteStates || [], localStates)
+            });
+        }
 
-        const response = await axios.get('https://opensky-network.org/api/states/all', {
-            params,
-            timeout: 5000
-        });
+        const result = await getPlanes({ lamin, lomin, lamax, lomax });
 
-        res.json(response.data);
+        res.set('X-Plane-Source', 'opensky');
+        res.set('X-Cache', result.cache);
+        res.set('X-Data-Age', String(Math.round((Date.now() - result.fetchedAt) / 1000)));
+        res.json(result.data);
     } catch (error) {
         console.error('Error fetching data from OpenSky:', error.message);
-        if (error.response) {
+        if (error.throttled) {
+             res.status(429).json({ error: error.message, status: getStatus() });
+        } else if (error.response) {
              res.status(error.response.status).json(error.response.data);
         } else {
              res.status(500).json({ error: 'Failed to fetch data' });
@@ -36,6 +74,79 @@ app.get('/api/planes', async (req, res) => {
     }
 });
 
+// Budget / freshness of the plane data, for the UI
+app.get('/api/planes/status', (req, res) => {
+    res.json({
+        ...getStatus(),
+        defaultSource: DEFAULT_PLANE_SOURCE,
+        local: getAdsbStatus()
+    });
+});
+
+// Cached TLE sets from Celestrak (see server/tles.js)
+app.get('/api/tles', async (req, res) => {
+    const group = (req.query.group || 'active').toLowerCase();
+    if (!isValidGroup(group)) {
+        return res.status(400).json({ error: 'Invalid group name' });
+    }
+
+    try {
+        const result = await getTLEs(group);
+        if (!result) {
+            return res.status(503).json({ error: `No TLE data available for group "${group}"` });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Error serving TLEs:', error.message);
+        res.status(500).json({ error: 'Failed to load TLE data' });
+    }
+});
+
+// Launch date and site for a launch designator ("2024-045"), see server/satcat.js
+app.get('/api/launches/:launch', async (req, res) => {
+    const launch = req.params.launch;
+    if (!isValidLaunch(launch)) {
+        return res.status(400).json({ error: 'Invalid launch designator' });
+    }
+
+    try {
+        const result = await getLaunch(launch);
+        if (!result) {
+            return res.status(503).json({ error: `No data available for launch ${launch}` });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Error serving launch:', error.message);
+        res.status(500).json({ error: 'Failed to load launch data' });
+    }
+});
+
+// Sightings synced from the clients' offline queues (see server/sightings.js).
+// Body: an array of sighting records; answers with the ids stored.
+app.post('/api/sightings', express.json({ limit: '2mb' }), async (req, res) => {
+    try {
+        const ids = await addSightings(req.body);
+        res.json({ stored: ids });
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error storing sightings:', error.message);
+        res.status(500).json({ error: 'Failed to store sightings' });
+    }
+});
+
+app.get('/api/sightings', async (req, res) => {
+    try {
+        res.json(await getSightings());
+    } catch (error) {
+        console.error('Error reading sightings:', error.message);
+        res.status(500).json({ error: 'Failed to load sightings' });
+    }
+});
+
+startAdsb();
+
 app.listen(PORT, () => {
     console.log(`Proxy server running on http://localhost:${PORT}`);
 });
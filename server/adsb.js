@@ -0,0 +1,234 @@
+const fs = require('fs/promises');
+const net = require('net');
+const axios = require('axios');
+
+// Local ADS-B receiver (dump1090 / readsb) as an aircraft source.
+// Two inputs are supported, either or both:
+//   ADSB_JSON       path or http(s) URL of dump1090/readsb aircraft.json
+//   ADSB_SBS_HOST   host of an SBS-1 BaseStation feed (ADSB_SBS_PORT, default 30003)
+// Everything is normalized into OpenSky's state-vector array layout so the
+// client (fetchPlanes / getPlanePositionRelative) can't tell the difference:
+// [icao24, callsign, origin_country, time_position, last_contact, longitude,
+//  latitude, baro_altitude (m), on_ground, velocity (m/s), true_track,
+//  vertical_rate (m/s), sensors, geo_altitude (m), squawk, spi, position_source, category]
+
+const JSON_SOURCE = process.env.ADSB_JSON;
+const SBS_HOST = process.env.ADSB_SBS_HOST;
+const SBS_PORT = Number(process.env.ADSB_SBS_PORT) || 30003;
+
+const FT_TO_M = 0.3048;
+const KT_TO_MS = 0.514444;
+const FPM_TO_MS = 0.00508;
+
+// Drop aircraft we haven't heard from in this long (seconds)
+const MAX_AGE_SECONDS = 60;
+const SBS_RECONNECT_MS = 5000;
+// aircraft.json is rewritten about once a second by dump1090; don't reread faster
+const JSON_CACHE_MS = 1000;
+
+const sbsAircraft = new Map(); // icao24 -> state being assembled from MSG lines
+let sbsSocket = null;
+let sbsConnected = false;
+let sbsLastMessageAt = null;
+let jsonCache = null; // { readAt, states }
+let lastError = null;
+
+const isConfigured = () => Boolean(JSON_SOURCE || SBS_HOST);
+
+const toNumber = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const n = Number(value);
+    return Number.isFinite(n) ? n : null;
+};
+
+// dump1090/readsb aircraft.json entry -> state vector
+const fromAircraftJson = (ac, nowSeconds) => {
+    if (ac.lat === undefined || ac.lon === undefined) return null;
+    const onGround = ac.alt_baro === 'ground';
+    const baroFt = onGround ? 0 : toNumber(ac.alt_baro);
+    const geomFt = toNumber(ac.alt_geom);
+    const rateFpm = toNumber(ac.baro_rate) ?? toNumber(ac.geom_rate);
+    const seenPos = toNumber(ac.seen_pos) ?? 0;
+    const seen = toNumber(ac.seen) ?? 0;
+
+    return [
+        ac.hex.replace(/^~/, '').toLowerCase(),
+        ac.flight ? ac.flight.trim() : null,
+        null,
+        nowSeconds - seenPos,
+        nowSeconds - seen,
+        ac.lon,
+        ac.lat,
+        baroFt === null ? null : baroFt * FT_TO_M,
+        onGround,
+        toNumber(ac.gs) === null ? null : ac.gs * KT_TO_MS,
+        toNumber(ac.track),
+        rateFpm === null ? null : rateFpm * FPM_TO_MS,
+        null,
+        geomFt === null ? null : geomFt * FT_TO_M,
+        ac.squawk || null,
+        false,
+        0, // ADS-B
+        null
+    ];
+};
+
+const readAircraftJson = async () => {
+    if (jsonCache && Date.now() - jsonCache.readAt < JSON_CACHE_MS) {
+        return jsonCache.states;
+    }
+
+    let data;
+    if (/^https?:\/\//.test(JSON_SOURCE)) {
+        const response = await axios.get(JSON_SOURCE, { timeout: 2000 });
+        data = response.data;
+    } else {
+        data = JSON.parse(await fs.readFile(JSON_SOURCE, 'utf8'));
+    }
+
+    const nowSeconds = data.now || Date.now() / 1000;
+    const states = (data.aircraft || [])
+        .filter(ac => ac.hex && (toNumber(ac.seen) ?? 0) < MAX_AGE_SECONDS)
+        .map(ac => fromAircraftJson(ac, nowSeconds))
+        .filter(Boolean);
+
+    jsonCache = { readAt: Date.now(), states };
+    return states;
+};
+
+// One SBS-1 "MSG" line updates whatever fields it carries
+const handleSbsLine = (line) => {
+    const f = line.split(',');
+    if (f[0] !== 'MSG' || !f[4]) return;
+
+    const icao24 = f[4].trim().toLowerCase();
+    const nowSeconds = Date.now() / 1000;
+    sbsLastMessageAt = Date.now();
+
+    let state = sbsAircraft.get(icao24);
+    if (!state) {
+        state = [icao24, null, null, null, nowSeconds, null, null, null, false, null, null, null, null, null, null, false, 0, null];
+        sbsAircraft.set(icao24, state);
+    }
+    state[4] = nowSeconds;
+
+    if (f[10] && f[10].trim()) state[1] = f[10].trim();
+    const altitude = toNumber(f[11]);
+    if (altitude !== null) state[7] = altitude * FT_TO_M;
+    const groundSpeed = toNumber(f[12]);
+    if (groundSpeed !== null) state[9] = groundSpeed * KT_TO_MS;
+    const track = toNumber(f[13]);
+    if (track !== null) state[10] = track;
+    const lat = toNumber(f[14]);
+    const lon = toNumber(f[15]);
+    if (lat !== null && lon !== null) {
+        state[6] = lat;
+        state[5] = lon;
+        state[3] = nowSeconds;
+    }
+    const verticalRate = toNumber(f[16]);
+    if (verticalRate !== null) state[11] = verticalRate * FPM_TO_MS;
+    if (f[17] && f[17].trim()) state[14] = f[17].trim();
+    if (f[21] !== undefined && f[21].trim() !== '') state[8] = f[21].trim() === '-1';
+};
+
+const connectSbs = () => {
+    let buffer = '';
+    sbsSocket = net.createConnection({ host: SBS_HOST, port: SBS_PORT });
+
+    sbsSocket.on('connect', () => {
+        sbsConnected = true;
+        lastError = null;
+        console.log(`Connected to SBS feed at ${SBS_HOST}:${SBS_PORT}`);
+    });
+    sbsSocket.on('data', (chunk) => {
+        buffer += chunk.toString('ascii');
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+        lines.forEach(handleSbsLine);
+    });
+    sbsSocket.on('error', (error) => {
+        lastError = error.message;
+    });
+    sbsSocket.on('close', () => {
+        sbsConnected = false;
+        setTimeout(connectSbs, SBS_RECONNECT_MS);
+    });
+};
+
+const startAdsb = () => {
+    if (SBS_HOST && !sbsSocket) {
+        connectSbs();
+    }
+};
+
+const getSbsStates = () => {
+    const cutoff = Date.now() / 1000 - MAX_AGE_SECONDS;
+    const states = [];
+    sbsAircraft.forEach((state, icao24) => {
+        if (state[4] < cutoff) {
+            sbsAircraft.delete(icao24);
+        } else if (state[5] !== null && state[6] !== null) {
+            states.push(state);
+        }
+    });
+    return states;
+};
+
+const inBox = (state, box) => {
+    if (!box) return true;
+    const lon = state[5];
+    const lat = state[6];
+    return lat >= box.lamin && lat <= box.lamax && lon >= box.lomin && lon <= box.lomax;
+};
+
+// All aircraft currently known to the local receiver(s), optionally limited
+// to a bounding box. Resolves to an OpenSky-shaped { time, states }.
+const getLocalPlanes = async (box = null) => {
+    const byIcao = new Map();
+
+    if (SBS_HOST) {
+        getSbsStates().forEach(state => byIcao.set(state[0], state));
+    }
+    if (JSON_SOURCE) {
+        try {
+            // aircraft.json is usually the more complete picture, let it win
+            (await readAircraftJson()).forEach(state => byIcao.set(state[0], state));
+            lastError = null;
+        } catch (error) {
+            lastError = error.message;
+            if (!SBS_HOST) throw error;
+        }
+    }
+
+    return {
+        time: Math.floor(Date.now() / 1000),
+        states: [...byIcao.values()].filter(state => inBox(state, box))
+    };
+};
+
+// Combine two state arrays, keeping the most recently heard copy of each icao24
+const mergeStates = (a = [], b = []) => {
+    const byIcao = new Map();
+    [...a, ...b].forEach(state => {
+        const existing = byIcao.get(state[0]);
+        if (!existing || (state[4] || 0) > (existing[4] || 0)) {
+            byIcao.set(state[0], state);
+        }
+    });
+    return [...byIcao.values()];
+};
+
+const getAdsbStatus = () => ({
+    configured: isConfigured(),
+    json: JSON_SOURCE ? { source: JSON_SOURCE, lastReadAt: jsonCache ? jsonCache.readAt : null } : null,
+    sbs: SBS_HOST ? {
+        host: `${SBS_HOST}:${SBS_PORT}`,
+        connected: sbsConnected,
+        lastMessageAt: sbsLastMessageAt,
+        aircraft: sbsAircraft.size
+    } : null,
+    lastError
+});
+
+module.exports = { startAdsb, getLocalPlanes, mergeStates, getAdsbStatus, isConfigured };
@@ -0,0 +1,243 @@
+const axios = require('axios');
+
+// OpenSky proxy with a shared budget
+// Every open tab polls /api/planes, but OpenSky bills credits per request
+// (anonymous: 400/day). So:
+//   - requested bounding boxes are snapped outward to a whole-degree grid, so
+//     nearby observers and repeated polls ask for the same box
+//   - a cached response whose box contains the requested one is reused for
+//     CACHE_TTL seconds, filtered down to the requested box
+//   - concurrent misses for a covering box share a single upstream request
+//   - credit usage and OpenSky's X-Rate-Limit-* headers are tracked and
+//     reported by getStatus() for /api/planes/status
+//
+// Configuration (environment):
+//   OPENSKY_CLIENT_ID / OPENSKY_CLIENT_SECRET  OAuth2 API client (preferred)
+//   OPENSKY_USERNAME / OPENSKY_PASSWORD        legacy basic auth
+//   OPENSKY_CACHE_TTL                          seconds a response is reused
+//   OPENSKY_DAILY_CREDITS                      budget to assume if no header seen
+
+const STATES_URL = 'https://opensky-network.org/api/states/all';
+const TOKEN_URL = 'https://auth.opensky-network.org/auth/realms/opensky-network/protocol/openid-connect/token';
+
+const CLIENT_ID = process.env.OPENSKY_CLIENT_ID;
+const CLIENT_SECRET = process.env.OPENSKY_CLIENT_SECRET;
+const USERNAME = process.env.OPENSKY_USERNAME;
+const PASSWORD = process.env.OPENSKY_PASSWORD;
+const AUTH_MODE = CLIENT_ID && CLIENT_SECRET ? 'oauth' : (USERNAME && PASSWORD ? 'basic' : 'anonymous');
+
+// Anonymous data only updates every 10 s anyway, and the budget is small
+const CACHE_TTL_MS = (Number(process.env.OPENSKY_CACHE_TTL) || (AUTH_MODE === 'anonymous' ? 60 : 10)) * 1000;
+const DAILY_CREDITS = Number(process.env.OPENSKY_DAILY_CREDITS) || (AUTH_MODE === 'anonymous' ? 400 : 4000);
+// Older data is still better than nothing when throttled, up to this age
+const MAX_STALE_MS = 15 * 60 * 1000;
+
+let cache = []; // [{ box, fetchedAt, data }]
+const inFlight = new Map(); // box key -> { box, promise }
+
+const status = {
+    creditsUsed: 0,
+    creditsRemaining: null, // from X-Rate-Limit-Remaining
+    creditsDay: null, // UTC date the counter belongs to
+    throttledUntil: null, // ms timestamp, from X-Rate-Limit-Retry-After-Seconds
+    lastSuccessAt: null,
+    lastError: null,
+    upstreamRequests: 0,
+    cacheHits: 0
+};
+
+let token = null; // { value, expiresAt }
+
+// Credit cost per request by box area (square degrees), per OpenSky docs
+const creditCost = (box) => {
+    if (!box) return 4;
+    const area = (box.lamax - box.lamin) * (box.lomax - box.lomin);
+    if (area <= 25) return 1;
+    if (area <= 100) return 2;
+    if (area <= 400) return 3;
+    return 4;
+};
+
+// Snap outward to whole degrees so similar requests share a box
+const snapBox = ({ lamin, lomin, lamax, lomax }) => ({
+    lamin: Math.max(-90, Math.floor(lamin)),
+    lomin: Math.max(-180, Math.floor(lomin)),
+    lamax: Math.min(90, Math.ceil(lamax)),
+    lomax: Math.min(180, Math.ceil(lomax))
+});
+
+const boxKey = (box) => box ? `${box.lamin},${box.lomin},${box.lamax},${box.lomax}` : 'all';
+
+// Does box a contain box b? A null box means "the whole world".
+const contains = (a, b) => {
+    if (!a) return true;
+    if (!b) return false;
+    return a.lamin <= b.lamin && a.lomin <= b.lomin && a.lamax >= b.lamax && a.lomax >= b.lomax;
+};
+
+const filterToBox = (data, box) => {
+    if (!box || !data.states) return data;
+    return {
+        ...data,
+        states: data.states.filter(state => {
+            const lon = state[5];
+            const lat = state[6];
+            return lat !== null && lon !== null &&
+                lat >= box.lamin && lat <= box.lamax && lon >= box.lomin && lon <= box.lomax;
+        })
+    };
+};
+
+const resetDailyCounter = () => {
+    const today = new Date().toISOString().slice(0, 10);
+    if (status.creditsDay !== today) {
+        status.creditsDay = today;
+        status.creditsUsed = 0;
+    }
+};
+
+const getAuthHeaders = async () => {
+    if (AUTH_MODE === 'basic') {
+        return { Authorization: `Basic ${Buffer.from(`${USERNAME}:${PASSWORD}`).toString('base64')}` };
+    }
+    if (AUTH_MODE !== 'oauth') return {};
+
+    if (!token || Date.now() > token.expiresAt) {
+        const response = await axios.post(TOKEN_URL, new URLSearchParams({
+            grant_type: 'client_credentials',
+            client_id: CLIENT_ID,
+            client_secret: CLIENT_SECRET
+        }), { timeout: 5000 });
+        // Refresh a minute early so a token never expires mid-request
+        token = {
+            value: response.data.access_token,
+            expiresAt: Date.now() + (response.data.expires_in - 60) * 1000
+        };
+    }
+    return { Authorization: `Bearer ${token.value}` };
+};
+
+const readRateLimitHeaders = (headers = {}) => {
+    const remaining = headers['x-rate-limit-remaining'];
+    if (remaining !== undefined) {
+        status.creditsRemaining = Number(remaining);
+    }
+    const retryAfter = headers['x-rate-limit-retry-after-seconds'];
+    if (retryAfter !== undefined) {
+        status.throttledUntil = Date.now() + Number(retryAfter) * 1000;
+    }
+};
+
+const fetchUpstream = async (box) => {
+    const params = box ? { ...box } : {};
+    console.log(`Fetching planes from OpenSky with params: ${JSON.stringify(params)}`);
+
+    resetDailyCounter();
+    status.upstreamRequests++;
+
+    try {
+        const response = await axios.get(STATES_URL, {
+            params,
+            headers: await getAuthHeaders(),
+            timeout: 5000
+        });
+        readRateLimitHeaders(response.headers);
+        status.creditsUsed += creditCost(box);
+        status.lastSuccessAt = Date.now();
+        status.lastError = null;
+        status.throttledUntil = null;
+
+        const entry = { box, fetchedAt: Date.now(), data: response.data };
+        cache = [entry, ...cache.filter(e => Date.now() - e.fetchedAt < MAX_STALE_MS && boxKey(e.box) !== boxKey(box))];
+        return entry;
+    } catch (error) {
+        if (error.response) {
+            readRateLimitHeaders(error.response.headers);
+            if (error.response.status === 429 && !status.throttledUntil) {
+                status.throttledUntil = Date.now() + 60 * 1000;
+            }
+        }
+        status.lastError = error.message;
+        throw error;
+    }
+};
+
+const findCached = (box, maxAgeMs) => {
+    const now = Date.now();
+    return cache.find(entry => now - entry.fetchedAt < maxAgeMs && contains(entry.box, box));
+};
+
+// query: { lamin, lomin, lamax, lomax } (strings or numbers, all optional)
+// Resolves to { data, cache: 'HIT' | 'MISS' | 'STALE', fetchedAt }.
+// Throws (with error.response when upstream answered) if there is nothing to serve.
+const getPlanes = async (query) => {
+    const hasBox = ['lamin', 'lomin', 'lamax', 'lomax'].every(k => query[k] !== undefined && query[k] !== '');
+    const requested = hasBox ? {
+        lamin: Number(query.lamin),
+        lomin: Number(query.lomin),
+        lamax: Number(query.lamax),
+        lomax: Number(query.lomax)
+    } : null;
+
+    const fresh = findCached(requested, CACHE_TTL_MS);
+    if (fresh) {
+        status.cacheHits++;
+        return { data: filterToBox(fresh.data, requested), cache: 'HIT', fetchedAt: fresh.fetchedAt };
+    }
+
+    const serveStale = (error) => {
+        const stale = findCached(requested, MAX_STALE_MS);
+        if (stale) {
+            return { data: filterToBox(stale.data, requested), cache: 'STALE', fetchedAt: stale.fetchedAt };
+        }
+        throw error;
+    };
+
+    if (status.throttledUntil && Date.now() < status.throttledUntil) {
+        return serveStale(Object.assign(new Error('OpenSky rate limit reached'), { throttled: true }));
+    }
+
+    // Join an in-flight request whose box covers ours, or start one
+    let pending = [...inFlight.values()].find(p => contains(p.box, requested));
+    if (!pending) {
+        const box = requested && snapBox(requested);
+        const key = boxKey(box);
+        pending = {
+            box,
+            promise: fetchUpstream(box).finally(() => inFlight.delete(key))
+        };
+        inFlight.set(key, pending);
+    }
+
+    try {
+        const entry = await pending.promise;
+        return { data: filterToBox(entry.data, requested), cache: 'MISS', fetchedAt: entry.fetchedAt };
+    } catch (error) {
+        return serveStale(error);
+    }
+};
+
+const getStatus = () => {
+    resetDailyCounter();
+    const now = Date.now();
+    const newest = cache.reduce((latest, entry) => Math.max(latest, entry.fetchedAt), 0);
+    const throttled = Boolean(status.throttledUntil && now < status.throttledUntil);
+
+    return {
+        auth: AUTH_MODE,
+        cacheTtlSeconds: CACHE_TTL_MS / 1000,
+        creditsUsedToday: status.creditsUsed,
+        creditsRemaining: status.creditsRemaining ?? Math.max(0, DAILY_CREDITS - status.creditsUsed),
+        creditsRemainingSource: status.creditsRemaining !== null ? 'opensky' : 'estimate',
+        throttled,
+        retryAfterSeconds: throttled ? Math.ceil((status.throttledUntil - now) / 1000) : 0,
+        lastSuccessAt: status.lastSuccessAt,
+        dataAgeSeconds: newest ? Math.round((now - newest) / 1000) : null,
+        stale: !newest || now - newest > CACHE_TTL_MS * 2,
+        lastError: status.lastError,
+        upstreamRequests: status.upstreamRequests,
+        cacheHits: status.cacheHits
+    };
+};
+
+module.exports = { getPlanes, getStatus };
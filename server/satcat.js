@@ -0,0 +1,91 @@
+const fs = require('fs/promises');
+const path = require('path');
+const axios = require('axios');
+
+// Launch lookup from Celestrak's satellite catalog (SATCAT)
+// TLEs only carry the launch year and number ("2024-045"), not the date. The
+// client asks for a launch when it shows a satellite train. A launch date never
+// changes, so every answer is kept for good, in memory and on disk, and
+// Celestrak is asked about each launch once.
+
+const SATCAT_URL = 'https://celestrak.org/satcat/records.php';
+
+const CACHE_FILE = process.env.LAUNCH_CACHE_FILE || path.join(__dirname, '..', 'cache', 'launches.json');
+// After a failed upstream request, wait this long before asking about that launch again
+const RETRY_MS = 15 * 60 * 1000;
+const OFFLINE = process.env.TLE_OFFLINE === '1';
+
+// Launch designator without the piece letters: year-launch number
+const LAUNCH_PATTERN = /^\d{4}-\d{3}$/;
+
+let launches = null; // launch -> { launch, launchDate, launchSite, objects }
+const inFlight = new Map(); // launch -> Promise
+const lastFailure = new Map(); // launch -> timestamp
+
+const isValidLaunch = (launch) => LAUNCH_PATTERN.test(launch);
+
+const loadCache = async () => {
+    if (launches) return launches;
+    try {
+        launches = new Map(Object.entries(JSON.parse(await fs.readFile(CACHE_FILE, 'utf8'))));
+    } catch (error) {
+        launches = new Map();
+    }
+    return launches;
+};
+
+const writeCache = async () => {
+    try {
+        await fs.mkdir(path.dirname(CACHE_FILE), { recursive: true });
+        await fs.writeFile(CACHE_FILE, JSON.stringify(Object.fromEntries(launches)));
+    } catch (error) {
+        console.error('Could not write launch cache:', error.message);
+    }
+};
+
+const fetchUpstream = async (launch) => {
+    console.log(`Fetching launch ${launch} from Celestrak SATCAT`);
+    const response = await axios.get(SATCAT_URL, {
+        params: { INTDES: launch, FORMAT: 'json' },
+        timeout: 20000
+    });
+    // Unknown launches come back as a plain-text message
+    const records = Array.isArray(response.data) ? response.data : [];
+    if (records.length === 0) {
+        throw new Error(`No SATCAT records for launch ${launch}`);
+    }
+    return {
+        launch,
+        launchDate: records[0].LAUNCH_DATE || null,
+        launchSite: records[0].LAUNCH_SITE || null,
+        objects: records.length
+    };
+};
+
+// Resolves to { launch, launchDate (YYYY-MM-DD), launchSite, objects } or null
+// when the launch isn't known and Celestrak can't be reached.
+const getLaunch = async (launch) => {
+    const cache = await loadCache();
+    if (cache.has(launch)) return cache.get(launch);
+    if (OFFLINE || Date.now() - (lastFailure.get(launch) || 0) < RETRY_MS) return null;
+
+    if (!inFlight.has(launch)) {
+        inFlight.set(launch, fetchUpstream(launch)
+            .then(async (record) => {
+                cache.set(launch, record);
+                await writeCache();
+                return record;
+            })
+            .finally(() => inFlight.delete(launch)));
+    }
+
+    try {
+        return await inFlight.get(launch);
+    } catch (error) {
+        console.error(`Error fetching launch ${launch}:`, error.message);
+        lastFailure.set(launch, Date.now());
+        return null;
+    }
+};
+
+module.exports = { getLaunch, isValidLaunch };
@@ -0,0 +1,66 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Sightings uploaded by the clients
+// Sightings are logged on the phone first (localStorage) and queued for upload;
+// a phone out in the field may send the same ones again after a dropped
+// connection, so they are stored by id and a repeat just replaces the record.
+// Everything lives in one JSON file, which is plenty for a club's worth of
+// observers.
+
+const SIGHTINGS_FILE = process.env.SIGHTINGS_FILE || path.join(__dirname, '..', 'data', 'sightings.json');
+// Per request; a queue that has grown longer is sent in several requests
+const MAX_BATCH = 200;
+
+let sightings = null; // id -> sighting
+// Writes run one after another so a slow one can't overwrite a newer one
+let writeChain = Promise.resolve();
+
+const isSighting = (record) => Boolean(record) &&
+    typeof record.id === 'string' && record.id.length > 0 && record.id.length <= 64 &&
+    typeof record.timestamp === 'string' && !Number.isNaN(Date.parse(record.timestamp)) &&
+    record.observer && Number.isFinite(record.observer.lat) && Number.isFinite(record.observer.lon) &&
+    record.pointing && Number.isFinite(record.pointing.azimuth) && Number.isFinite(record.pointing.elevation);
+
+const load = async () => {
+    if (sightings) return sightings;
+    try {
+        sightings = new Map(JSON.parse(await fs.readFile(SIGHTINGS_FILE, 'utf8')).map(s => [s.id, s]));
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.error('Could not read sightings file:', error.message);
+        sightings = new Map();
+    }
+    return sightings;
+};
+
+const write = () => {
+    const next = writeChain.then(async () => {
+        await fs.mkdir(path.dirname(SIGHTINGS_FILE), { recursive: true });
+        await fs.writeFile(SIGHTINGS_FILE, JSON.stringify([...sightings.values()], null, 2));
+    });
+    // A failed write fails its own request, not the ones after it
+    writeChain = next.catch(() => {});
+    return next;
+};
+
+// Stores a batch; resolves to the ids stored. Throws an Error with `status`
+// 400 when the batch isn't a list of sightings.
+const addSightings = async (records) => {
+    if (!Array.isArray(records) || records.length === 0 || records.length > MAX_BATCH) {
+        throw Object.assign(new Error(`Expected 1 to ${MAX_BATCH} sightings`), { status: 400 });
+    }
+    const invalid = records.findIndex(record => !isSighting(record));
+    if (invalid !== -1) {
+        throw Object.assign(new Error(`Sighting ${invalid} is not a valid sighting record`), { status: 400 });
+    }
+
+    const store = await load();
+    const receivedAt = new Date().toISOString();
+    records.forEach(record => store.set(record.id, { ...record, receivedAt }));
+    await write();
+    return records.map(record => record.id);
+};
+
+const getSightings = async () => [...(await load()).values()];
+
+module.exports = { addSightings, getSightings, MAX_BATCH };
@@ -0,0 +1,156 @@
+const fs = require('fs/promises');
+const path = require('path');
+const axios = require('axios');
+
+// TLE proxy / cache
+// Celestrak asks clients not to download the same group more than once per
+// update (they update roughly every 2 hours) and blocks addresses that do.
+// So each group is fetched at most once per refresh interval, kept in memory
+// and on disk, and the last good copy is served whenever the upstream fails.
+// Locally supplied files in TLE_DIR (<group>.tle or <group>.txt) are used when
+// there is no network at all, or always when TLE_OFFLINE=1.
+
+const CELESTRAK_URL = 'https://celestrak.org/NORAD/elements/gp.php';
+
+const CACHE_DIR = process.env.TLE_CACHE_DIR || path.join(__dirname, '..', 'cache', 'tles');
+const LOCAL_DIR = process.env.TLE_DIR || path.join(__dirname, '..', 'tle');
+const REFRESH_MS = (Number(process.env.TLE_REFRESH_HOURS) || 2) * 3600 * 1000;
+// After a failed upstream request, wait this long before trying again
+const RETRY_MS = 15 * 60 * 1000;
+const OFFLINE = process.env.TLE_OFFLINE === '1';
+
+// Celestrak group names are short lowercase identifiers ("active", "stations",
+// "gps-ops"...). Anything else is rejected, which also keeps it safe as a file name.
+const GROUP_PATTERN = /^[a-z0-9-]{1,40}$/;
+
+const memoryCache = new Map(); // group -> { fetchedAt, satellites }
+const inFlight = new Map(); // group -> Promise
+const lastFailure = new Map(); // group -> timestamp
+
+const isValidGroup = (group) => GROUP_PATTERN.test(group);
+
+// Raw 3-line TLE text -> [{ name, line1, line2 }]
+// Also accepts 2-line sets without a name line.
+const parseTLEText = (text) => {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const satellites = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        if (lines[i].startsWith('1 ') && lines[i + 1] && lines[i + 1].startsWith('2 ')) {
+            const prev = lines[i - 1];
+            const hasName = i > 0 && prev && !prev.startsWith('1 ') && !prev.startsWith('2 ');
+            satellites.push({
+                // "0 NAME" is the GP format variant of the name line
+                name: hasName ? prev.replace(/^0 /, '') : lines[i].substring(2, 7).trim(),
+                line1: lines[i],
+                line2: lines[i + 1]
+            });
+            i++;
+        }
+    }
+    return satellites;
+};
+
+const cacheFile = (group) => path.join(CACHE_DIR, `${group}.json`);
+
+const readDiskCache = async (group) => {
+    try {
+        return JSON.parse(await fs.readFile(cacheFile(group), 'utf8'));
+    } catch (error) {
+        return null;
+    }
+};
+
+const writeDiskCache = async (group, entry) => {
+    try {
+        await fs.mkdir(CACHE_DIR, { recursive: true });
+        await fs.writeFile(cacheFile(group), JSON.stringify(entry));
+    } catch (error) {
+        console.error(`Could not write TLE cache for ${group}:`, error.message);
+    }
+};
+
+const readLocalFile = async (group) => {
+    for (const ext of ['tle', 'txt']) {
+        const file = path.join(LOCAL_DIR, `${group}.${ext}`);
+        try {
+            const [text, stat] = await Promise.all([fs.readFile(file, 'utf8'), fs.stat(file)]);
+            const satellites = parseTLEText(text);
+            if (satellites.length > 0) {
+                return { fetchedAt: stat.mtimeMs, satellites };
+            }
+        } catch (error) {
+            // Not there, try the next extension
+        }
+    }
+    return null;
+};
+
+const fetchUpstream = async (group) => {
+    console.log(`Fetching TLE group "${group}" from Celestrak`);
+    const response = await axios.get(CELESTRAK_URL, {
+        params: { GROUP: group, FORMAT: 'tle' },
+        timeout: 20000,
+        responseType: 'text'
+    });
+    const satellites = parseTLEText(response.data);
+    if (satellites.length === 0) {
+        // Celestrak answers unknown groups with a plain-text message and 200
+        throw new Error(`No TLE data for group "${group}"`);
+    }
+    return { fetchedAt: Date.now(), satellites };
+};
+
+// Resolves to { group, source, fetchedAt, stale, satellites } or null when
+// nothing at all is available for the group.
+const getTLEs = async (group) => {
+    if (OFFLINE) {
+        const local = await readLocalFile(group);
+        return local && { group, source: 'local', stale: false, ...local };
+    }
+
+    let cached = memoryCache.get(group);
+    if (!cached) {
+        cached = await readDiskCache(group);
+        if (cached) memoryCache.set(group, cached);
+    }
+
+    const now = Date.now();
+    const fresh = cached && now - cached.fetchedAt < REFRESH_MS;
+    const backingOff = now - (lastFailure.get(group) || 0) < RETRY_MS;
+
+    if (fresh) {
+        return { group, source: 'cache', stale: false, ...cached };
+    }
+
+    if (!backingOff) {
+        // Coalesce concurrent requests for the same group into one upstream call
+        if (!inFlight.has(group)) {
+            inFlight.set(group, fetchUpstream(group)
+                .then(async (entry) => {
+                    memoryCache.set(group, entry);
+                    lastFailure.delete(group);
+                    await writeDiskCache(group, entry);
+                    return entry;
+                })
+                .finally(() => inFlight.delete(group)));
+        }
+
+        try {
+            const entry = await inFlight.get(group);
+            return { group, source: 'celestrak', stale: false, ...entry };
+        } catch (error) {
+            console.error(`Error fetching TLE group "${group}":`, error.message);
+            lastFailure.set(group, Date.now());
+        }
+    }
+
+    // Upstream unavailable: last good copy, then local file
+    if (cached) {
+        return { group, source: 'cache', stale: true, ...cached };
+    }
+    const local = await readLocalFile(group);
+    return local && { group, source: 'local', stale: true, ...local };
+};
+
+module.exports = { getTLEs, isValidGroup, parseTLEText };
@@ -0,0 +1,167 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react'
+import { getStandardMagnitude } from '../utils/visibilityUtils'
+import {
+    evaluateSkyRules, isLookAheadRule, lookAheadCandidates, passMatches, groupAlerts, createAlertMonitor, LOOKAHEAD_STEP_MS
+} from '../utils/alertUtils'
+
+// How often rules are checked against the sky the layers publish
+const SKY_CHECK_MS = 5000
+// How often look-ahead rules rescan the coming minutes
+const LOOKAHEAD_REFRESH_MS = 60000
+// Banners go away by themselves after a while
+const BANNER_MS = 60000
+const MAX_BANNERS = 4
+
+const notify = (alert) => {
+    if (!('Notification' in window) || Notification.permission !== 'granted') return
+    try {
+        new Notification(`UAP Tracker: ${alert.rule.name}`, { body: alert.message, tag: alert.key })
+    } catch (error) {
+        // Some mobile browsers only allow notifications from a service worker
+        console.warn("Could not show notification:", error)
+    }
+}
+
+// Evaluates the alert rules (see alertUtils.js) continuously and shows what
+// fires as banners, plus a browser notification when allowed. Look-ahead rules
+// run on their own satellite worker so the scan never blocks the sky view; it
+// only gets the TLEs those rules pick (not the whole catalog the sky layer has).
+// trains: from findTrains, for train rules
+export default function AlertCenter({ rules, clock, skyRef, satellites, trains, observer, onShow }) {
+    const [banners, setBanners] = useState([])
+    const monitorRef = useRef(null)
+    const workerRef = useRef(null)
+    const pendingRef = useRef(new Map()) // requestId -> { rule, satellites, trains, catalogIndices, start }
+    const requestIdRef = useRef(0)
+
+    if (!monitorRef.current) monitorRef.current = createAlertMonitor()
+
+    const raise = useCallback((matches) => {
+        const fresh = monitorRef.current.update(matches, Date.now())
+        if (fresh.length === 0) return
+        const alerts = groupAlerts(fresh).map(alert => ({ ...alert, raisedAt: Date.now() }))
+        alerts.forEach(notify)
+        setBanners(current => [...alerts, ...current].slice(0, MAX_BANNERS))
+    }, [])
+
+    useEffect(() => {
+        const worker = new Worker(new URL('../workers/satelliteWorker.js', import.meta.url), { type: 'module' })
+        worker.onmessage = ({ data }) => {
+            if (data.type !== 'rising') return
+            const request = pendingRef.current.get(data.requestId)
+            if (!request) return
+            pendingRef.current.delete(data.requestId)
+            // Worker indices -> catalog indices
+            const results = data.results.map(result => ({ ...result, index: request.catalogIndices[result.index] }))
+            raise(passMatches(request.rule, results, request.satellites, request.start, request.trains))
+        }
+        workerRef.current = worker
+        return () => worker.terminate()
+    }, [raise])
+
+    const lookAheadRules = useMemo(() => rules.filter(rule => rule.enabled && isLookAheadRule(rule)), [rules])
+
+    // What the worker holds: the catalog indices any look-ahead rule scans, and
+    // per rule the positions of its satellites in that list
+    const scanSet = useMemo(() => {
+        const perRule = lookAheadRules.map(rule => lookAheadCandidates(rule, satellites, trains))
+        const catalogIndices = [...new Set(perRule.flat())].sort((a, b) => a - b)
+        const workerIndex = new Map(catalogIndices.map((catalogIndex, idx) => [catalogIndex, idx]))
+        return {
+            catalogIndices,
+            rules: lookAheadRules.map((rule, idx) => ({ rule, indices: perRule[idx].map(i => workerIndex.get(i)) }))
+        }
+    }, [lookAheadRules, satellites, trains])
+
+    useEffect(() => {
+        workerRef.current.postMessage({
+            type: 'init',
+            tles: scanSet.catalogIndices.map(i => {
+                const sat = satellites[i]
+                return { line1: sat.line1, line2: sat.line2, standardMagnitude: getStandardMagnitude(sat) }
+            })
+        })
+        // Indices of requests still out refer to the old list
+        pendingRef.current.clear()
+    }, [scanSet, satellites])
+
+    useEffect(() => {
+        workerRef.current.postMessage({
+            type: 'observer',
+            lat: observer.lat,
+            lon: observer.lon,
+            alt: observer.alt / 1000, // km
+            atmosphere: observer.atmosphere && { temperature: observer.atmosphere.temperature, pressure: observer.atmosphere.pressure }
+        })
+    }, [observer.lat, observer.lon, observer.alt, observer.atmosphere?.temperature, observer.atmosphere?.pressure])
+
+    // Rules that hold right now
+    useEffect(() => {
+        const check = () => raise(evaluateSkyRules(rules, skyRef.current, trains))
+        check()
+        const interval = setInterval(check, SKY_CHECK_MS)
+        return () => clearInterval(interval)
+    }, [rules, skyRef, trains, raise])
+
+    // Passes coming up
+    useEffect(() => {
+        if (scanSet.catalogIndices.length === 0) return
+        const scan = () => {
+            const start = clock.nowMs()
+            scanSet.rules.forEach(({ rule, indices }) => {
+                if (indices.length === 0) return
+                const requestId = ++requestIdRef.current
+                pendingRef.current.set(requestId, { rule, satellites, trains, catalogIndices: scanSet.catalogIndices, start })
+                workerRef.current.postMessage({
+                    type: 'rising',
+                    requestId,
+                    indices,
+                    start,
+                    end: start + rule.lookAheadMinutes * 60000,
+                    stepMs: LOOKAHEAD_STEP_MS,
+                    minElevation: rule.minElevation * Math.PI / 180
+                })
+            })
+        }
+        scan()
+        const interval = setInterval(scan, LOOKAHEAD_REFRESH_MS)
+        return () => clearInterval(interval)
+    }, [scanSet, satellites, trains, clock, observer.lat, observer.lon, observer.alt])
+
+    // Expire old banners
+    useEffect(() => {
+        if (banners.length === 0) return
+        const timeout = setTimeout(
+            () => setBanners(current => current.filter(banner => Date.now() - banner.raisedAt < BANNER_MS)),
+            Math.max(0, Math.min(...banners.map(banner => banner.raisedAt)) + BANNER_MS - Date.now())
+        )
+        return () => clearTimeout(timeout)
+    }, [banners])
+
+    const dismiss = (key) => setBanners(current => current.filter(banner => banner.key !== key))
+
+    if (banners.length === 0) return null
+
+    return (
+        <div className="absolute top-16 left-1/2 -translate-x-1/2 z-30 w-96 max-w-[90vw] flex flex-col gap-2 pointer-events-auto">
+            {banners.map(banner => (
+                <div key={banner.key} className="bg-amber-900 bg-opacity-95 border border-amber-400 rounded-lg px-3 py-2 text-white text-xs shadow-lg">
+                    <div className="flex justify-between items-start gap-2">
+                        <span className="font-bold text-amber-200">{banner.rule.name}</span>
+                        <button onClick={() => dismiss(banner.key)} className="text-amber-200 hover:text-white">✕</button>
+                    </div>
+                    <div>{banner.message}</div>
+                    <button
+                        onClick={() => {
+                            onShow({ type: banner.objectType, id: banner.id, name: banner.name })
+                            dismiss(banner.key)
+                        }}
+                        className="mt-1 text-amber-200 hover:text-white underline decoration-dotted"
+                    >
+                        Show {banner.name}
+                    </button>
+                </div>
+            ))}
+        </div>
+    )
+}
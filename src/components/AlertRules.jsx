@@ -0,0 +1,171 @@
+import React, { useMemo, useState } from 'react'
+import {
+    ALERT_OBJECT_TYPES, MAX_LOOKAHEAD_MINUTES, MAX_LOOKAHEAD_SATELLITES, createAlertRule, isLookAheadRule, countLookAheadMatches
+} from '../utils/alertUtils'
+
+// Empty input = no limit (null)
+const parseOptional = (value) => (value === '' ? null : Number(value))
+
+function NumberField({ label, value, onChange, min, max, step = 1, placeholder }) {
+    return (
+        <label className="flex items-center justify-between gap-2">
+            <span className="text-gray-400">{label}</span>
+            <input
+                type="number"
+                value={value ?? ''}
+                min={min}
+                max={max}
+                step={step}
+                placeholder={placeholder}
+                onChange={(e) => onChange(parseOptional(e.target.value))}
+                className="w-20 bg-gray-800 rounded px-1"
+            />
+        </label>
+    )
+}
+
+function RuleEditor({ rule, satellites, trains, onChange, onDelete }) {
+    const set = (changes) => onChange({ ...rule, ...changes })
+    const isPlane = rule.objectType === 'plane'
+    const isTrain = rule.objectType === 'train'
+    // Look-ahead scans are capped (see alertUtils.js)
+    const lookAheadCount = useMemo(
+        () => (isLookAheadRule(rule) ? countLookAheadMatches(rule, satellites, trains) : 0),
+        [rule, satellites, trains]
+    )
+
+    return (
+        <div className="px-2 py-2 border-b border-gray-800 space-y-1">
+            <div className="flex items-center gap-2">
+                <input type="checkbox" checked={rule.enabled} onChange={(e) => set({ enabled: e.target.checked })} title="Enabled" />
+                <input
+                    value={rule.name}
+                    onChange={(e) => set({ name: e.target.value })}
+                    className="flex-1 bg-gray-800 rounded px-1 font-bold"
+                />
+                <select
+                    value={rule.objectType}
+                    onChange={(e) => set({ objectType: e.target.value })}
+                    className="bg-gray-800 rounded px-1"
+                >
+                    {ALERT_OBJECT_TYPES.map(type => <option key={type.id} value={type.id}>{type.label}</option>)}
+                </select>
+                <button onClick={onDelete} className="text-gray-500 hover:text-red-400" title="Delete rule">✕</button>
+            </div>
+
+            <label className="flex items-center justify-between gap-2">
+                <span className="text-gray-400">{isPlane ? 'Callsign contains' : (isTrain ? 'Train name contains' : 'Name contains')}</span>
+                <input
+                    value={rule.nameMatch}
+                    placeholder="any (comma separates)"
+                    onChange={(e) => set({ nameMatch: e.target.value })}
+                    className="flex-1 bg-gray-800 rounded px-1"
+                />
+            </label>
+            <NumberField label="Elevation at least (°)" value={rule.minElevation} min={0} max={90} onChange={(value) => set({ minElevation: value ?? 0 })} />
+
+            {isPlane ? (
+                <>
+                    <NumberField label="Within (km)" value={rule.maxRange} min={0} placeholder="any" onChange={(value) => set({ maxRange: value })} />
+                    <label className="flex items-center gap-2">
+                        <input type="checkbox" checked={rule.noCallsign} onChange={(e) => set({ noCallsign: e.target.checked })} />
+                        <span className="text-gray-400">Only aircraft without a callsign</span>
+                    </label>
+                </>
+            ) : (
+                <>
+                    {/* A train is a string of satellites; brightness is per satellite */}
+                    {!isTrain && (
+                        <NumberField label="Brighter than (mag)" value={rule.maxMagnitude} step={0.5} placeholder="any" onChange={(value) => set({ maxMagnitude: value })} />
+                    )}
+                    <NumberField
+                        label="Warn ahead (min, 0 = while up)"
+                        value={rule.lookAheadMinutes}
+                        min={0}
+                        max={MAX_LOOKAHEAD_MINUTES}
+                        onChange={(value) => set({ lookAheadMinutes: Math.min(MAX_LOOKAHEAD_MINUTES, Math.max(0, value ?? 0)) })}
+                    />
+                    {lookAheadCount > MAX_LOOKAHEAD_SATELLITES && (
+                        <div className="text-yellow-300">
+                            Matches {lookAheadCount} {isTrain ? 'trains' : 'satellites'}; only the first {MAX_LOOKAHEAD_SATELLITES} are
+                            watched ahead of a pass. Narrow the name to cover them all.
+                        </div>
+                    )}
+                    {!isTrain && rule.lookAheadMinutes > 0 && rule.maxMagnitude !== null && (
+                        <div className="text-yellow-300">Brightness is only checked while the satellite is up, not ahead of a pass.</div>
+                    )}
+                </>
+            )}
+        </div>
+    )
+}
+
+// Alert rule editor (see alertUtils.js). Rules are saved as they are edited.
+// satellites, trains: what look-ahead rules are matched against
+export default function AlertRules({ rules, satellites, trains, onChange, onClose }) {
+    const [permission, setPermission] = useState(() => ('Notification' in window ? Notification.permission : 'unsupported'))
+
+    const updateRule = (updated) => onChange(rules.map(rule => (rule.id === updated.id ? updated : rule)))
+    const deleteRule = (id) => onChange(rules.filter(rule => rule.id !== id))
+
+    const requestPermission = async () => {
+        try {
+            setPermission(await Notification.requestPermission())
+        } catch (error) {
+            console.warn("Notification permission request failed:", error)
+        }
+    }
+
+    return (
+        <div className="absolute top-4 right-4 z-20 w-96 max-w-full max-h-[80vh] flex flex-col bg-gray-900 bg-opacity-90 border border-purple-600 rounded-lg p-3 text-white text-xs pointer-events-auto">
+            <div className="flex justify-between items-start mb-2">
+                <h2 className="font-bold text-sm">Alerts ({rules.filter(rule => rule.enabled).length} on)</h2>
+                <button onClick={onClose} className="text-gray-400 hover:text-white">✕</button>
+            </div>
+
+            <div className="flex items-center justify-between gap-2 mb-2">
+                <span className="text-gray-400">
+                    Browser notifications: {permission === 'unsupported' ? 'not supported' : permission}
+                </span>
+                {permission === 'default' && (
+                    <button onClick={requestPermission} className="bg-purple-600 px-2 py-0.5 rounded hover:bg-purple-700">
+                        Allow
+                    </button>
+                )}
+            </div>
+            <p className="text-gray-500 mb-2">
+                Rules are checked against the satellites and aircraft layers, so keep those on. Alerts show as banners
+                while the app is open.
+            </p>
+
+            <div className="overflow-y-auto border border-gray-700 rounded mb-2">
+                {rules.length === 0 ? (
+                    <div className="p-2 text-gray-500">No rules.</div>
+                ) : (
+                    rules.map(rule => (
+                        <RuleEditor
+                            key={rule.id}
+                            rule={rule}
+                            satellites={satellites}
+                            trains={trains}
+                            onChange={updateRule}
+                            onDelete={() => deleteRule(rule.id)}
+                        />
+                    ))
+                )}
+            </div>
+
+            <div className="flex gap-2">
+                {ALERT_OBJECT_TYPES.map(type => (
+                    <button
+                        key={type.id}
+                        onClick={() => onChange([...rules, createAlertRule(type.id)])}
+                        className="bg-gray-700 px-2 py-0.5 rounded hover:bg-gray-600"
+                    >
+                        + {type.label} rule
+                    </button>
+                ))}
+            </div>
+        </div>
+    )
+}
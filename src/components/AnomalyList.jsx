@@ -0,0 +1,59 @@
+import React, { useEffect, useState } from 'react'
+import { REASON_LABELS } from '../utils/anomalyUtils'
+
+const REFRESH_MS = 1000
+
+// Aircraft in view with anything unusual about their track (see
+// anomalyUtils.js), highest score first. Flagged ones are marked in the sky
+// view too; clicking one turns the view to it.
+export default function AnomalyList({ skyRef, onSelect, onClose }) {
+    const [planes, setPlanes] = useState([])
+
+    useEffect(() => {
+        const refresh = () => setPlanes(
+            (skyRef.current.planes || [])
+                .filter(plane => plane.anomaly && plane.anomaly.reasons.length > 0)
+                .sort((a, b) => b.anomaly.score - a.anomaly.score)
+        )
+        refresh()
+        const interval = setInterval(refresh, REFRESH_MS)
+        return () => clearInterval(interval)
+    }, [skyRef])
+
+    const flagged = planes.filter(plane => plane.anomaly.flagged).length
+
+    return (
+        <div className="absolute top-4 right-4 z-20 w-96 max-w-full max-h-[80vh] flex flex-col bg-gray-900 bg-opacity-90 border border-fuchsia-600 rounded-lg p-3 text-white text-xs pointer-events-auto">
+            <div className="flex justify-between items-start mb-2">
+                <h2 className="font-bold text-sm">Aircraft anomalies ({flagged} flagged)</h2>
+                <button onClick={onClose} className="text-gray-400 hover:text-white">✕</button>
+            </div>
+
+            <div className="overflow-y-auto border border-gray-700 rounded">
+                {planes.length === 0 ? (
+                    <div className="p-2 text-gray-500">Nothing unusual about the aircraft in view.</div>
+                ) : (
+                    planes.map(plane => (
+                        <button
+                            key={plane.id}
+                            onClick={() => onSelect(plane)}
+                            className="block w-full text-left px-2 py-1.5 border-b border-gray-800 hover:bg-gray-800"
+                        >
+                            <div className="flex justify-between">
+                                <span className={plane.anomaly.flagged ? 'text-fuchsia-400 font-bold' : 'text-cyan-400'}>
+                                    {plane.anomaly.flagged && '⚠ '}{plane.callsign}
+                                </span>
+                                <span className="text-gray-400">score {plane.anomaly.score.toFixed(1)} · {plane.range.toFixed(0)} km</span>
+                            </div>
+                            {plane.anomaly.reasons.map(reason => (
+                                <div key={reason.id} className="text-gray-300">
+                                    {REASON_LABELS[reason.id]}: <span className="text-gray-400">{reason.details[reason.details.length - 1]}</span>
+                                </div>
+                            ))}
+                        </button>
+                    ))
+                )}
+            </div>
+        </div>
+    )
+}
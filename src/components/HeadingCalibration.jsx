@@ -0,0 +1,119 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { getCalibrationReferences, describeCalibrationAge, isCalibrationStale } from '../utils/headingUtils'
+
+const toDeg = (rad) => rad * 180 / Math.PI
+
+const signed = (deg, digits = 1) => `${deg >= 0 ? '+' : ''}${deg.toFixed(digits)}°`
+
+// Angle between two Az/El directions (radians)
+const separation = (a, b) => Math.acos(Math.min(1, Math.max(-1,
+    Math.sin(a.elevation) * Math.sin(b.elevation) +
+    Math.cos(a.elevation) * Math.cos(b.elevation) * Math.cos(a.azimuth - b.azimuth))))
+
+// Status line for the overlay: "Heading: calibrated on Vega 2 h ago"
+export function CalibrationStatus({ calibration, onClick }) {
+    const stale = calibration && isCalibrationStale(calibration)
+    return (
+        <button
+            onClick={onClick}
+            className={`block text-xs underline decoration-dotted pointer-events-auto hover:text-white ${!calibration || stale ? 'text-yellow-300' : 'text-gray-400'}`}
+        >
+            {calibration
+                ? `Heading: calibrated on ${calibration.reference} ${describeCalibrationAge(calibration)}`
+                : 'Heading: compass only, not calibrated'}
+        </button>
+    )
+}
+
+// AR heading calibration: pick a bright object, center it in the reticle with
+// the phone, confirm. The difference between where the view is aimed and where
+// the object really is becomes the stored offset (see headingUtils.js).
+export default function HeadingCalibration({ calibration, declination, isARMode, clock, observer, aimRef, onCalibrate, onReset, onClose }) {
+    const [referenceId, setReferenceId] = useState(null)
+    const [tick, setTick] = useState(0)
+
+    // Refreshes the reference positions and the live aim error
+    useEffect(() => {
+        const interval = setInterval(() => setTick(t => t + 1), 500)
+        return () => clearInterval(interval)
+    }, [])
+
+    const references = useMemo(
+        () => getCalibrationReferences(clock.now(), observer),
+        [clock, observer, tick]
+    )
+    const reference = references.find(ref => ref.id === referenceId)
+    const aim = aimRef.current
+    const stale = calibration && isCalibrationStale(calibration)
+
+    return (
+        <div className="absolute top-4 right-4 z-20 w-80 max-w-full max-h-[80vh] flex flex-col bg-gray-900 bg-opacity-90 border border-yellow-600 rounded-lg p-3 text-white text-xs pointer-events-auto">
+            <div className="flex justify-between items-start mb-2">
+                <h2 className="font-bold text-sm">Heading calibration</h2>
+                <button onClick={onClose} className="text-gray-400 hover:text-white">✕</button>
+            </div>
+
+            <div className="mb-1">
+                {calibration ? (
+                    <span className={stale ? 'text-yellow-300' : 'text-green-300'}>
+                        Calibrated on {calibration.reference} {describeCalibrationAge(calibration)}
+                        {stale && ', consider redoing it'}
+                    </span>
+                ) : (
+                    <span className="text-yellow-300">Not calibrated, trusting the compass</span>
+                )}
+            </div>
+            <div className="text-gray-400">
+                Offset: az {signed(calibration ? calibration.azimuthOffset : 0)}, el {signed(calibration ? calibration.elevationOffset : 0)}
+            </div>
+            <div className="text-gray-400 mb-2">
+                Magnetic declination: {signed(toDeg(declination))} (WMM2025)
+            </div>
+
+            {!isARMode && <div className="text-yellow-300 mb-2">Switch to AR mode to calibrate.</div>}
+            <div className="text-gray-300 mb-1">
+                Pick a reference, hold the phone so it sits in the purple circle, then confirm.
+            </div>
+
+            <div className="overflow-y-auto border border-gray-700 rounded mb-2">
+                {references.length === 0 ? (
+                    <div className="p-2 text-gray-500">Nothing bright enough is above 10° right now.</div>
+                ) : (
+                    references.map(ref => (
+                        <button
+                            key={ref.id}
+                            onClick={() => setReferenceId(ref.id)}
+                            className={`w-full flex justify-between px-2 py-1 text-left border-b border-gray-800 hover:bg-gray-800 ${ref.id === referenceId ? 'bg-yellow-900 bg-opacity-50' : ''}`}
+                        >
+                            <span>{ref.name} <span className="text-gray-500">mag {ref.mag.toFixed(1)}</span></span>
+                            <span className="text-gray-400">Az {toDeg(ref.azimuth).toFixed(0)}° El {toDeg(ref.elevation).toFixed(0)}°</span>
+                        </button>
+                    ))
+                )}
+            </div>
+
+            {reference && isARMode && (
+                <div className="text-gray-300 mb-2">
+                    View is {toDeg(separation(aim, reference)).toFixed(1)}° from {reference.name}
+                </div>
+            )}
+
+            <div className="flex gap-2">
+                <button
+                    onClick={() => onCalibrate(reference)}
+                    disabled={!reference || !isARMode}
+                    className="bg-yellow-600 px-3 py-1 rounded hover:bg-yellow-700 disabled:opacity-50"
+                >
+                    Confirm centered
+                </button>
+                <button
+                    onClick={onReset}
+                    disabled={!calibration}
+                    className="bg-gray-700 px-3 py-1 rounded hover:bg-gray-600 disabled:opacity-50"
+                >
+                    Reset
+                </button>
+            </div>
+        </div>
+    )
+}
@@ -0,0 +1,58 @@
+import React from 'react'
+
+const TYPE_COLORS = {
+    star: 'text-white',
+    planet: 'text-yellow-300',
+    moon: 'text-gray-200',
+    sun: 'text-yellow-400',
+    satellite: 'text-green-400',
+    train: 'text-lime-300',
+    plane: 'text-cyan-400'
+}
+
+// Ranked "What is this?" result for the current aim point.
+export default function IdentifyPanel({ identification, onClose }) {
+    const { verdict, matched, candidates, sunAltitude } = identification
+
+    return (
+        <div className="absolute top-4 right-4 z-20 w-80 max-w-full bg-gray-900 bg-opacity-90 border border-indigo-600 rounded-lg p-3 text-white pointer-events-auto">
+            <div className="flex justify-between items-start mb-2">
+                <h2 className="font-bold">What is this?</h2>
+                <button onClick={onClose} className="text-gray-400 hover:text-white">✕</button>
+            </div>
+
+            <div className={`text-sm font-semibold mb-1 ${matched ? 'text-green-300' : 'text-yellow-300'}`}>
+                {verdict}
+            </div>
+            <div className="text-xs text-gray-400 mb-2">
+                Sun altitude {sunAltitude.toFixed(1)}° ({sunAltitude < -6 ? 'dark sky' : 'bright sky'})
+            </div>
+
+            {candidates.length === 0 ? (
+                <div className="text-xs text-gray-500">Nothing known near the aim point.</div>
+            ) : (
+                <div className="space-y-1 max-h-64 overflow-y-auto">
+                    {candidates.map((c, idx) => (
+                        <div key={idx} className="text-xs border-b border-gray-800 pb-1">
+                            <div className="flex justify-between">
+                                <span className={TYPE_COLORS[c.type]}>{c.name}</span>
+                                <span className="text-gray-300">{Math.round(c.confidence * 100)}%</span>
+                            </div>
+                            <div className="w-full h-1 bg-gray-800 rounded">
+                                <div className="h-1 bg-indigo-500 rounded" style={{ width: `${Math.round(c.confidence * 100)}%` }} />
+                            </div>
+                            <div className="text-gray-500">
+                                {c.type}, {c.separation.toFixed(1)}° away, {c.reason}
+                            </div>
+                            {c.train && <div className="text-lime-300">part of {c.train}</div>}
+                            <div className="text-gray-500">
+                                El {c.elevation.toFixed(2)}°
+                                {c.geometricElevation !== c.elevation && ` (geometric ${c.geometricElevation.toFixed(2)}°)`}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    )
+}
@@ -0,0 +1,135 @@
+import React, { useState } from 'react'
+import { createSite, validateLocation } from '../utils/observerUtils'
+
+const parseOptional = (text) => (text.trim() === '' ? null : Number(text))
+
+const formatSite = (site) =>
+    `${site.lat.toFixed(4)}, ${site.lon.toFixed(4)}${site.alt !== null && site.alt !== undefined ? `, ${Math.round(site.alt)} m` : ''}`
+
+// Where the observer is. GPS is used when available; a manual position (typed
+// in, picked from the saved sites or opened from a shared link) replaces it
+// until "Use GPS" is pressed.
+// location: the location in use ({ lat, lon, alt, source, name })
+// gpsError: why GPS isn't available, or null
+export default function LocationPicker({ location, gpsError, sites, onSetLocation, onUseGps, onSitesChange, onClose }) {
+    const [lat, setLat] = useState(location.lat.toFixed(5))
+    const [lon, setLon] = useState(location.lon.toFixed(5))
+    const [alt, setAlt] = useState(location.alt !== null && location.alt !== undefined ? Math.round(location.alt).toString() : '')
+    const [siteName, setSiteName] = useState('')
+    const [error, setError] = useState(null)
+
+    const readForm = () => {
+        const entered = { lat: Number(lat), lon: Number(lon), alt: parseOptional(alt) }
+        const problem = lat.trim() === '' || lon.trim() === '' ? 'Enter a latitude and longitude' : validateLocation(entered)
+        setError(problem)
+        return problem ? null : entered
+    }
+
+    const handleSet = () => {
+        const entered = readForm()
+        if (entered) onSetLocation({ ...entered, name: 'Manual' })
+    }
+
+    const handleSaveSite = () => {
+        const entered = readForm()
+        if (!entered) return
+        if (!siteName.trim()) {
+            setError('Give the site a name')
+            return
+        }
+        const site = createSite(siteName, entered)
+        onSitesChange([...sites, site])
+        onSetLocation(site)
+        setSiteName('')
+    }
+
+    const selectSite = (site) => {
+        setLat(site.lat.toFixed(5))
+        setLon(site.lon.toFixed(5))
+        setAlt(site.alt !== null && site.alt !== undefined ? Math.round(site.alt).toString() : '')
+        setError(null)
+        onSetLocation(site)
+    }
+
+    let status
+    if (location.source === 'gps') {
+        status = <span className="text-green-300">Using GPS{location.accuracy !== null && ` (±${Math.round(location.accuracy)} m)`}</span>
+    } else if (location.source === 'manual') {
+        status = <span className="text-blue-300">Using {location.name || 'manual location'}</span>
+    } else {
+        status = <span className="text-yellow-300">No position yet, showing the sky over {location.name}</span>
+    }
+
+    return (
+        <div className="absolute top-4 right-4 z-20 w-80 max-w-full max-h-[80vh] flex flex-col bg-gray-900 bg-opacity-90 border border-blue-600 rounded-lg p-3 text-white text-xs pointer-events-auto">
+            <div className="flex justify-between items-start mb-2">
+                <h2 className="font-bold text-sm">Location</h2>
+                <button onClick={onClose} className="text-gray-400 hover:text-white">✕</button>
+            </div>
+
+            <div className="mb-1">{status}</div>
+            {gpsError && <div className="text-red-400 mb-1">GPS unavailable: {gpsError}</div>}
+
+            <div className="grid grid-cols-3 gap-2 mb-2">
+                <label className="flex flex-col">
+                    <span className="text-gray-400">Latitude</span>
+                    <input value={lat} onChange={(e) => setLat(e.target.value)} inputMode="decimal" className="bg-gray-800 rounded px-2 py-1" />
+                </label>
+                <label className="flex flex-col">
+                    <span className="text-gray-400">Longitude</span>
+                    <input value={lon} onChange={(e) => setLon(e.target.value)} inputMode="decimal" className="bg-gray-800 rounded px-2 py-1" />
+                </label>
+                <label className="flex flex-col">
+                    <span className="text-gray-400">Alt (m)</span>
+                    <input value={alt} onChange={(e) => setAlt(e.target.value)} inputMode="decimal" placeholder="—" className="bg-gray-800 rounded px-2 py-1" />
+                </label>
+            </div>
+
+            {error && <div className="text-red-400 mb-2">{error}</div>}
+
+            <div className="flex gap-2 mb-2">
+                <button onClick={handleSet} className="bg-blue-600 px-3 py-1 rounded hover:bg-blue-700">Set location</button>
+                <button
+                    onClick={onUseGps}
+                    disabled={location.source === 'gps'}
+                    className="bg-gray-700 px-3 py-1 rounded hover:bg-gray-600 disabled:opacity-50"
+                >
+                    Use GPS
+                </button>
+            </div>
+
+            <div className="flex gap-2 mb-2">
+                <input
+                    value={siteName}
+                    onChange={(e) => setSiteName(e.target.value)}
+                    placeholder="Site name"
+                    className="flex-1 min-w-0 bg-gray-800 rounded px-2 py-1"
+                />
+                <button onClick={handleSaveSite} className="bg-gray-700 px-3 py-1 rounded hover:bg-gray-600">Save site</button>
+            </div>
+
+            <div className="text-sm font-semibold mb-1">Saved sites ({sites.length})</div>
+            <div className="overflow-y-auto border border-gray-700 rounded">
+                {sites.length === 0 ? (
+                    <div className="p-2 text-gray-500">No saved sites yet.</div>
+                ) : (
+                    sites.map(site => (
+                        <div key={site.id} className="flex items-center justify-between px-2 py-1 border-b border-gray-800">
+                            <button onClick={() => selectSite(site)} className="text-left hover:text-blue-300">
+                                <div>{site.name}</div>
+                                <div className="text-gray-500">{formatSite(site)}</div>
+                            </button>
+                            <button
+                                onClick={() => onSitesChange(sites.filter(s => s.id !== site.id))}
+                                className="text-gray-500 hover:text-red-400 ml-2"
+                                title="Delete site"
+                            >
+                                ✕
+                            </button>
+                        </div>
+                    ))
+                )}
+            </div>
+        </div>
+    )
+}
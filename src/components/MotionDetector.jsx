@@ -0,0 +1,144 @@
+import React, { useEffect, useRef } from 'react'
+import {
+    PROCESS_WIDTH, createPointSourceDetector, createTracker, imageToScreen, screenToAzEl, matchTrack, angularSpeed
+} from '../utils/motionUtils'
+
+// Analysed frames per second; the detector works on a small copy of the frame
+const ANALYSIS_INTERVAL_MS = 100
+// How often the track list is handed up for the panel
+const REPORT_INTERVAL_MS = 500
+// A moving track must stay unexplained this long before it is flagged
+const UNMATCHED_CONFIRM_MS = 1000
+
+const toDeg = (rad) => rad * 180 / Math.PI
+
+// Runs motion detection (see motionUtils.js) on the <video> in videoRef and
+// draws the moving tracks over it: unexplained ones highlighted in red,
+// matched ones labeled with the satellite/aircraft they follow.
+// cameraRef: the sky camera, for pixel -> Az/El
+// onTracks([{ id, azimuth, elevation, speed, match }]): moving tracks, a few times a second
+// onUnmatched(track): once per track that stays unexplained
+export default function MotionDetector({ videoRef, cameraRef, skyRef, threshold, onTracks, onUnmatched }) {
+    const overlayRef = useRef(null)
+    const callbacksRef = useRef({ onTracks, onUnmatched })
+    const thresholdRef = useRef(threshold)
+
+    useEffect(() => {
+        callbacksRef.current = { onTracks, onUnmatched }
+        thresholdRef.current = threshold
+    }, [onTracks, onUnmatched, threshold])
+
+    useEffect(() => {
+        const frameCanvas = document.createElement('canvas')
+        const frameCtx = frameCanvas.getContext('2d', { willReadFrequently: true })
+        const detector = createPointSourceDetector()
+        const tracker = createTracker()
+        // Per track: first direction seen, since when it is unexplained, whether it was flagged
+        const trackInfo = new Map()
+        let lastVideoTime = null
+        let lastReport = 0
+
+        const analyse = () => {
+            const video = videoRef.current
+            const overlay = overlayRef.current
+            const camera = cameraRef.current
+            if (!video || !overlay || !camera || video.readyState < 2 || video.videoWidth === 0) return
+
+            // currentTime, not the wall clock, so recorded clips keep their speed
+            const t = video.currentTime * 1000
+            if (t === lastVideoTime) return // no new frame
+            if (lastVideoTime !== null && t < lastVideoTime) {
+                // Clip looped
+                detector.reset()
+                tracker.reset()
+                trackInfo.clear()
+            }
+            lastVideoTime = t
+
+            const width = PROCESS_WIDTH
+            const height = Math.round(PROCESS_WIDTH * video.videoHeight / video.videoWidth)
+            frameCanvas.width = width
+            frameCanvas.height = height
+            frameCtx.drawImage(video, 0, 0, width, height)
+            const detections = detector.detect(frameCtx.getImageData(0, 0, width, height), thresholdRef.current)
+            const tracks = tracker.update(detections || [], t)
+
+            const viewWidth = overlay.clientWidth
+            const viewHeight = overlay.clientHeight
+            if (overlay.width !== viewWidth || overlay.height !== viewHeight) {
+                overlay.width = viewWidth
+                overlay.height = viewHeight
+            }
+            const ctx = overlay.getContext('2d')
+            ctx.clearRect(0, 0, viewWidth, viewHeight)
+            ctx.font = '12px sans-serif'
+            ctx.textBaseline = 'middle'
+
+            const live = new Set(tracks.map(track => track.id))
+            trackInfo.forEach((_, id) => {
+                if (!live.has(id)) trackInfo.delete(id)
+            })
+
+            const moving = []
+            tracks.filter(track => track.moving).forEach(track => {
+                const newest = track.points[track.points.length - 1]
+                const screen = imageToScreen(newest.x, newest.y, width, height, viewWidth, viewHeight)
+                const direction = { ...screenToAzEl(screen.x, screen.y, viewWidth, viewHeight, camera), t }
+                const match = matchTrack(skyRef.current, direction.azimuth, direction.elevation)
+
+                let info = trackInfo.get(track.id)
+                if (!info) {
+                    info = { first: direction, unmatchedSince: null, flagged: false }
+                    trackInfo.set(track.id, info)
+                }
+                info.unmatchedSince = match ? null : (info.unmatchedSince ?? t)
+
+                const summary = {
+                    id: track.id,
+                    azimuth: direction.azimuth,
+                    elevation: direction.elevation,
+                    speed: angularSpeed(info.first, direction), // radians/s
+                    match
+                }
+                moving.push(summary)
+
+                if (!info.flagged && info.unmatchedSince !== null && t - info.unmatchedSince >= UNMATCHED_CONFIRM_MS) {
+                    info.flagged = true
+                    callbacksRef.current.onUnmatched(summary)
+                }
+
+                // Trail, marker and label
+                const color = match ? '#4ade80' : '#f87171'
+                ctx.strokeStyle = color
+                ctx.fillStyle = color
+                ctx.lineWidth = match ? 1 : 2
+                ctx.beginPath()
+                track.points.forEach((point, idx) => {
+                    const p = imageToScreen(point.x, point.y, width, height, viewWidth, viewHeight)
+                    if (idx === 0) ctx.moveTo(p.x, p.y)
+                    else ctx.lineTo(p.x, p.y)
+                })
+                ctx.stroke()
+                ctx.strokeRect(screen.x - 10, screen.y - 10, 20, 20)
+                ctx.fillText(
+                    match ? match.name : `? #${track.id} ${toDeg(summary.speed).toFixed(1)}°/s`,
+                    screen.x + 14,
+                    screen.y
+                )
+            })
+
+            if (performance.now() - lastReport > REPORT_INTERVAL_MS) {
+                lastReport = performance.now()
+                callbacksRef.current.onTracks(moving)
+            }
+        }
+
+        const interval = setInterval(analyse, ANALYSIS_INTERVAL_MS)
+        return () => {
+            clearInterval(interval)
+            callbacksRef.current.onTracks([])
+        }
+    }, [videoRef, cameraRef, skyRef])
+
+    return <canvas ref={overlayRef} className="absolute top-0 left-0 w-full h-full z-10 pointer-events-none" />
+}
@@ -0,0 +1,90 @@
+import React, { useRef } from 'react'
+
+const toDeg = (rad) => rad * 180 / Math.PI
+
+// Controls for camera-feed motion detection (see MotionDetector.jsx): on/off,
+// sensitivity, auto-tagging, and a recorded video in place of the live camera
+// for testing. Lists the moving tracks currently followed.
+export default function MotionPanel({ enabled, onToggle, settings, onChange, videoFile, onVideoFile, tracks, autoTagged, onClose }) {
+    const fileInputRef = useRef(null)
+
+    const handleFile = (e) => {
+        const file = e.target.files[0]
+        e.target.value = ''
+        if (file) onVideoFile(file)
+    }
+
+    return (
+        <div className="absolute top-4 right-4 z-20 w-80 max-w-full max-h-[80vh] flex flex-col bg-gray-900 bg-opacity-90 border border-purple-600 rounded-lg p-3 text-white text-xs pointer-events-auto">
+            <div className="flex justify-between items-start mb-2">
+                <h2 className="font-bold text-sm">Motion Detection</h2>
+                <button onClick={onClose} className="text-gray-400 hover:text-white">✕</button>
+            </div>
+
+            <label className="flex items-center gap-2 mb-2">
+                <input type="checkbox" checked={enabled} onChange={(e) => onToggle(e.target.checked)} />
+                Analyse camera feed
+            </label>
+
+            <label className="block mb-2">
+                <span className="text-gray-400">Sensitivity threshold: {settings.threshold}</span>
+                <input
+                    type="range"
+                    min="10"
+                    max="80"
+                    step="5"
+                    value={settings.threshold}
+                    onChange={(e) => onChange({ ...settings, threshold: Number(e.target.value) })}
+                    className="w-full"
+                />
+                <span className="text-gray-500">Lower catches fainter lights, and more noise</span>
+            </label>
+
+            <label className="flex items-center gap-2 mb-2">
+                <input
+                    type="checkbox"
+                    checked={settings.autoTag}
+                    onChange={(e) => onChange({ ...settings, autoTag: e.target.checked })}
+                />
+                Auto-tag unmatched tracks{autoTagged > 0 && ` (${autoTagged} so far)`}
+            </label>
+
+            <div className="flex items-center justify-between gap-2 mb-2">
+                <span className="text-gray-400 truncate">
+                    Source: {videoFile ? videoFile.name : 'live camera'}
+                </span>
+                {videoFile ? (
+                    <button onClick={() => onVideoFile(null)} className="bg-gray-700 px-2 py-0.5 rounded hover:bg-gray-600 whitespace-nowrap">
+                        Back to live camera
+                    </button>
+                ) : (
+                    <button onClick={() => fileInputRef.current.click()} className="bg-purple-600 px-2 py-0.5 rounded hover:bg-purple-700 whitespace-nowrap">
+                        Use video file…
+                    </button>
+                )}
+                <input ref={fileInputRef} type="file" accept="video/*" onChange={handleFile} className="hidden" />
+            </div>
+
+            <div className="overflow-y-auto border border-gray-700 rounded">
+                {!enabled ? (
+                    <div className="p-2 text-gray-500">Analysis is off.</div>
+                ) : tracks.length === 0 ? (
+                    <div className="p-2 text-gray-500">No moving lights tracked.</div>
+                ) : (
+                    tracks.map(track => (
+                        <div key={track.id} className="px-2 py-1 border-b border-gray-800 flex justify-between gap-2">
+                            <span>
+                                #{track.id} Az {toDeg(track.azimuth).toFixed(1)}°, El {toDeg(track.elevation).toFixed(1)}°, {toDeg(track.speed).toFixed(2)}°/s
+                            </span>
+                            {track.match ? (
+                                <span className="text-green-300 truncate">{track.match.name}</span>
+                            ) : (
+                                <span className="text-red-400">UNMATCHED</span>
+                            )}
+                        </div>
+                    ))
+                )}
+            </div>
+        </div>
+    )
+}
@@ -0,0 +1,207 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react'
+import { getSatelliteDetails } from '../utils/satelliteUtils'
+import { createPassPredictor } from '../utils/passUtils'
+import { getStarPosition } from '../utils/astroUtils'
+import { findObjectById } from '../utils/sightingUtils'
+import { REASON_LABELS } from '../utils/anomalyUtils'
+
+const TYPE_STYLES = {
+    star: { label: 'Star', color: 'text-white', border: 'border-gray-400' },
+    satellite: { label: 'Satellite', color: 'text-green-400', border: 'border-green-600' },
+    plane: { label: 'Aircraft', color: 'text-cyan-400', border: 'border-cyan-600' }
+}
+
+const toDeg = (rad) => rad * 180 / Math.PI
+
+const formatTime = (date) => date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' })
+
+// Radians -> "05h 34m 31.9s"
+const formatRa = (ra) => {
+    const hours = (toDeg(ra) / 15 + 24) % 24
+    const h = Math.floor(hours)
+    const m = Math.floor((hours - h) * 60)
+    const s = ((hours - h) * 60 - m) * 60
+    return `${String(h).padStart(2, '0')}h ${String(m).padStart(2, '0')}m ${s.toFixed(1).padStart(4, '0')}s`
+}
+
+// Radians -> "+22° 00′ 52″"
+const formatDec = (dec) => {
+    const deg = Math.abs(toDeg(dec))
+    const d = Math.floor(deg)
+    const m = Math.floor((deg - d) * 60)
+    const s = Math.round(((deg - d) * 60 - m) * 60)
+    return `${dec < 0 ? '-' : '+'}${d}° ${String(m).padStart(2, '0')}′ ${String(s).padStart(2, '0')}″`
+}
+
+const orDash = (value, format = (v) => v) => (value === null || value === undefined ? '—' : format(value))
+
+function Row({ label, children }) {
+    return (
+        <div className="flex justify-between gap-3 py-0.5 border-b border-gray-800">
+            <span className="text-gray-400">{label}</span>
+            <span className="text-right">{children}</span>
+        </div>
+    )
+}
+
+// Apparent elevation with the geometric one next to it when refraction moved it
+function ElevationRows({ azimuth, elevation, geometricElevation }) {
+    return (
+        <>
+            <Row label="Azimuth">{toDeg(azimuth).toFixed(2)}°</Row>
+            <Row label="Elevation">{toDeg(elevation).toFixed(2)}°</Row>
+            {geometricElevation !== undefined && geometricElevation !== elevation && (
+                <Row label="Geometric elevation">{toDeg(geometricElevation).toFixed(2)}°</Row>
+            )}
+        </>
+    )
+}
+
+function StarDetails({ star, date, observer }) {
+    const position = getStarPosition(star, date, observer.lat, observer.lon, observer.atmosphere)
+    return (
+        <>
+            <Row label="Magnitude">{star.mag.toFixed(2)}</Row>
+            <Row label="B-V">{orDash(star.bv, bv => bv.toFixed(2))}</Row>
+            <Row label="Constellation">{orDash(star.con)}</Row>
+            <Row label="HIP">{star.hip}</Row>
+            <Row label="RA / Dec (J2000)">{formatRa(star.ra * Math.PI / 180)} {formatDec(star.dec * Math.PI / 180)}</Row>
+            <Row label="RA / Dec (date)">{formatRa(position.ra)} {formatDec(position.dec)}</Row>
+            <ElevationRows {...position} />
+        </>
+    )
+}
+
+function SatelliteDetails({ satellite, clock, date, observer }) {
+    // The pass search propagates two days of orbit, so it runs on the pass
+    // worker and is only redone for a new satellite/observer or once the
+    // simulation time leaves the found pass
+    const [passSearch, setPassSearch] = useState(null) // { satellite, observerKey, from, pass, error }
+    const predictorRef = useRef(null)
+    const observerKey = `${observer.lat},${observer.lon},${observer.alt}`
+    const stale = !passSearch || passSearch.satellite !== satellite || passSearch.observerKey !== observerKey ||
+        date < passSearch.from || Boolean(passSearch.pass && passSearch.pass.set.time <= date)
+
+    useEffect(() => {
+        predictorRef.current = createPassPredictor()
+        return () => predictorRef.current.terminate()
+    }, [])
+
+    useEffect(() => {
+        if (!satellite || !stale) return
+        const from = clock.now()
+        const searchObserver = { lat: observer.lat, lon: observer.lon, alt: observer.alt }
+        predictorRef.current.predict([satellite], searchObserver, { start: from, days: 2, minElevationDeg: 0 })
+            .then(([passes]) => setPassSearch({ satellite, observerKey, from, pass: passes[0] || null, error: null }))
+            .catch(error => setPassSearch({ satellite, observerKey, from, pass: null, error: error.message }))
+    }, [satellite, observer.lat, observer.lon, observer.alt, observerKey, stale, clock])
+
+    const nextPass = !stale && passSearch.pass
+
+    if (!satellite) return <div className="text-gray-500">No longer in the loaded catalog.</div>
+
+    const details = getSatelliteDetails(satellite, date, observer)
+    if (!details) return <div className="text-gray-500">Orbit can't be propagated (decayed or bad TLE).</div>
+
+    const up = nextPass && nextPass.rise.time <= date && nextPass.set.time > date
+    return (
+        <>
+            <Row label="NORAD ID">{details.noradId}</Row>
+            <Row label="Int'l designator">{orDash(details.intlDesignator)}</Row>
+            <Row label="Orbit altitude">{details.altitude.toFixed(0)} km</Row>
+            <Row label="Velocity">{details.velocity.toFixed(2)} km/s</Row>
+            <Row label="Slant range">{details.range.toFixed(0)} km</Row>
+            <Row label="Sunlit">{details.sunlit === null ? '—' : (details.sunlit ? 'Yes' : "No, in Earth's shadow")}</Row>
+            <Row label="Sun altitude">{toDeg(details.sunAltitude).toFixed(1)}°</Row>
+            <Row label="Phase angle">{toDeg(details.phaseAngle).toFixed(0)}°</Row>
+            <Row label="Est. magnitude">
+                {orDash(details.magnitude, mag => `${mag.toFixed(1)} (std ${details.standardMagnitude.toFixed(1)})`)}
+            </Row>
+            <ElevationRows {...details} />
+            <Row label={up ? 'Current pass' : 'Next pass'}>
+                {nextPass ? (
+                    <>
+                        {up ? `sets ${formatTime(nextPass.set.time)}` : `${nextPass.rise.time.toLocaleDateString()} ${formatTime(nextPass.rise.time)}`}
+                        , max {toDeg(nextPass.maxElevation).toFixed(0)}°{nextPass.visible && ', visible'}
+                    </>
+                ) : (stale ? 'searching…' : (passSearch.error ? 'search failed' : 'none in 48 h'))}
+            </Row>
+        </>
+    )
+}
+
+function PlaneDetails({ plane, date }) {
+    if (!plane) return <div className="text-gray-500">Aircraft is no longer in view.</div>
+
+    const state = plane.state
+    const ageSeconds = state[4] ? date.getTime() / 1000 - state[4] : null
+    return (
+        <>
+            <Row label="ICAO24">{state[0]}</Row>
+            <Row label="Callsign">{orDash(state[1] && state[1].trim())}</Row>
+            <Row label="Origin country">{orDash(state[2])}</Row>
+            <Row label="Baro altitude">{orDash(state[7], m => `${Math.round(m)} m (${Math.round(m / 0.3048)} ft)`)}</Row>
+            <Row label="Geo altitude">{orDash(state[13], m => `${Math.round(m)} m`)}</Row>
+            <Row label="Ground speed">{orDash(state[9], v => `${Math.round(v * 3.6)} km/h (${Math.round(v / 0.514444)} kt)`)}</Row>
+            <Row label="Vertical rate">{orDash(state[11], v => `${v.toFixed(1)} m/s`)}</Row>
+            <Row label="Squawk">{orDash(state[14])}</Row>
+            <Row label="Last contact">{orDash(ageSeconds, s => `${Math.max(0, Math.round(s))} s ago`)}</Row>
+            <Row label="Slant range">{plane.range.toFixed(1)} km</Row>
+            <ElevationRows {...plane} />
+            <Row label="Anomaly score">
+                <span className={plane.anomaly.flagged ? 'text-fuchsia-400' : ''}>
+                    {plane.anomaly.score.toFixed(1)}{plane.anomaly.flagged && ', flagged'}
+                </span>
+            </Row>
+            {plane.anomaly.reasons.map(reason => (
+                <div key={reason.id} className="mt-1">
+                    <div className="text-fuchsia-300">{REASON_LABELS[reason.id]}</div>
+                    {reason.details.map(detail => <div key={detail} className="text-gray-400 pl-2">{detail}</div>)}
+                </div>
+            ))}
+        </>
+    )
+}
+
+// Details for an object picked in the sky view. `selection` is the picked sky
+// entry ({ type, id, name, ... }); live values are looked up again on every
+// refresh so moving objects stay current.
+export default function ObjectInspector({ selection, clock, observer, satellites, skyRef, onClose }) {
+    const [, setTick] = useState(0)
+
+    useEffect(() => {
+        const rerender = () => setTick(t => t + 1)
+        const unsubscribe = clock.subscribe(rerender)
+        const interval = setInterval(rerender, 1000)
+        return () => {
+            unsubscribe()
+            clearInterval(interval)
+        }
+    }, [clock])
+
+    const satellite = useMemo(
+        () => selection.type === 'satellite' ? satellites.find(sat => sat.name === selection.id) : null,
+        [selection, satellites]
+    )
+
+    const date = clock.now()
+    const style = TYPE_STYLES[selection.type]
+
+    return (
+        <div className={`absolute top-4 right-4 z-20 w-80 max-w-full bg-gray-900 bg-opacity-90 border ${style.border} rounded-lg p-3 text-white text-xs pointer-events-auto`}>
+            <div className="flex justify-between items-start mb-2">
+                <div>
+                    <h2 className={`font-bold text-sm ${style.color}`}>{selection.name}</h2>
+                    <div className="text-gray-400">{style.label}</div>
+                </div>
+                <button onClick={onClose} className="text-gray-400 hover:text-white">✕</button>
+            </div>
+
+            {selection.type === 'star' && <StarDetails star={selection} date={date} observer={observer} />}
+            {selection.type === 'satellite' && <SatelliteDetails satellite={satellite} clock={clock} date={date} observer={observer} />}
+            {selection.type === 'plane' && (
+                <PlaneDetails plane={findObjectById(skyRef.current, 'plane', selection.id)} date={date} />
+            )}
+        </div>
+    )
+}
@@ -0,0 +1,95 @@
+import React from 'react'
+import { DEFAULT_OBSERVER_SETTINGS } from '../utils/observerUtils'
+
+const ALTITUDE_SOURCE_LABELS = {
+    manual: 'manual',
+    gps: 'GPS',
+    site: 'from location',
+    default: 'sea level, no GPS altitude'
+}
+
+// Number input where an empty field means "automatic" (null)
+function OptionalNumber({ label, unit, value, placeholder, onChange }) {
+    return (
+        <label className="flex items-center justify-between gap-2">
+            <span>{label}</span>
+            <span className="flex items-center gap-1">
+                <input
+                    type="number"
+                    value={value ?? ''}
+                    placeholder={placeholder}
+                    onChange={(e) => onChange(e.target.value === '' ? null : Number(e.target.value))}
+                    className="w-24 bg-gray-800 rounded px-2 py-1 text-right"
+                />
+                <span className="w-8 text-gray-400">{unit}</span>
+            </span>
+        </label>
+    )
+}
+
+// Altitude, temperature and pressure used for look angles and refraction.
+// `observer` is the resolved observer (see resolveObserver), so placeholders
+// show what is being used when a field is left empty.
+export default function ObserverSettings({ settings, observer, onChange, onClose }) {
+    const update = (key, value) => onChange({ ...settings, [key]: value })
+
+    return (
+        <div className="absolute top-4 right-4 z-20 w-72 max-w-full bg-gray-900 bg-opacity-90 border border-blue-600 rounded-lg p-3 text-white text-xs pointer-events-auto">
+            <div className="flex justify-between items-start mb-2">
+                <h2 className="font-bold text-sm">Observer</h2>
+                <button onClick={onClose} className="text-gray-400 hover:text-white">✕</button>
+            </div>
+
+            <div className="space-y-2">
+                <OptionalNumber
+                    label="Altitude"
+                    unit="m"
+                    value={settings.altitude}
+                    placeholder={Math.round(observer.alt).toString()}
+                    onChange={(value) => update('altitude', value)}
+                />
+                <div className="text-gray-500">
+                    Using {Math.round(observer.alt)} m ({ALTITUDE_SOURCE_LABELS[observer.altitudeSource]})
+                </div>
+
+                <label className="flex items-center gap-2">
+                    <input
+                        type="checkbox"
+                        checked={settings.refraction}
+                        onChange={(e) => update('refraction', e.target.checked)}
+                    />
+                    Atmospheric refraction
+                </label>
+
+                {settings.refraction && (
+                    <>
+                        <OptionalNumber
+                            label="Temperature"
+                            unit="°C"
+                            value={settings.temperature}
+                            placeholder={observer.atmosphere.temperature.toFixed(0)}
+                            onChange={(value) => update('temperature', value)}
+                        />
+                        <OptionalNumber
+                            label="Pressure"
+                            unit="hPa"
+                            value={settings.pressure}
+                            placeholder={observer.atmosphere.pressure.toFixed(0)}
+                            onChange={(value) => update('pressure', value)}
+                        />
+                        <div className="text-gray-500">
+                            Empty fields use a standard atmosphere for your altitude.
+                        </div>
+                    </>
+                )}
+            </div>
+
+            <button
+                onClick={() => onChange(DEFAULT_OBSERVER_SETTINGS)}
+                className="mt-3 bg-gray-700 px-3 py-1 rounded hover:bg-gray-600"
+            >
+                Reset
+            </button>
+        </div>
+    )
+}
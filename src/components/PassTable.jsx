@@ -0,0 +1,158 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react'
+import { createPassPredictor } from '../utils/passUtils'
+
+// Group predictions are O(satellites x days), so cap how many we propagate
+// (on the pass worker, but results should still come in seconds)
+const MAX_GROUP_SATELLITES = 25
+const DAY_OPTIONS = [1, 2, 3, 5, 7]
+
+const toDeg = (rad) => rad * 180 / Math.PI
+
+const COMPASS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW']
+const compassPoint = (azRad) => COMPASS[Math.round(toDeg(azRad) / 45) % 8]
+
+const formatTime = (date) => date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' })
+
+// Upcoming passes for one satellite (exact name) or a group (name prefix,
+// e.g. "STARLINK"). Clicking a row hands the pass to onSelectPass.
+export default function PassTable({ satellites, observer, startDate, onSelectPass, onClose }) {
+    const [query, setQuery] = useState('ISS (ZARYA)')
+    const [isGroup, setIsGroup] = useState(false)
+    const [days, setDays] = useState(2)
+    const [visibleOnly, setVisibleOnly] = useState(false)
+    const [passes, setPasses] = useState(null)
+    const [computing, setComputing] = useState(false)
+    const [error, setError] = useState(null)
+
+    const predictorRef = useRef(null)
+
+    const names = useMemo(() => satellites.map(sat => sat.name), [satellites])
+
+    useEffect(() => {
+        predictorRef.current = createPassPredictor()
+        return () => predictorRef.current.terminate()
+    }, [])
+
+    const handleCompute = () => {
+        const term = query.trim().toUpperCase()
+        const matches = isGroup
+            ? satellites.filter(sat => sat.name.toUpperCase().startsWith(term)).slice(0, MAX_GROUP_SATELLITES)
+            : satellites.filter(sat => sat.name.toUpperCase() === term)
+
+        if (matches.length === 0) {
+            setError(`No loaded satellite matches "${query}"`)
+            setPasses(null)
+            return
+        }
+
+        setError(null)
+        setComputing(true)
+        const search = isGroup ? matches : matches.slice(0, 1)
+        predictorRef.current.predict(search, observer, { start: startDate, days }).then(results => {
+            // A group's passes merged into one time-ordered list
+            setPasses(results.flat().sort((a, b) => a.rise.time - b.rise.time))
+            setComputing(false)
+        }).catch(searchError => {
+            setError(searchError.message)
+            setPasses(null)
+            setComputing(false)
+        })
+    }
+
+    const shown = passes ? passes.filter(pass => !visibleOnly || pass.visible) : []
+
+    return (
+        <div className="absolute top-4 right-4 z-20 w-96 max-w-full max-h-[80vh] flex flex-col bg-gray-900 bg-opacity-90 border border-green-600 rounded-lg p-3 text-white text-xs pointer-events-auto">
+            <div className="flex justify-between items-start mb-2">
+                <h2 className="font-bold text-sm">Satellite Passes</h2>
+                <button onClick={onClose} className="text-gray-400 hover:text-white">✕</button>
+            </div>
+
+            <div className="flex gap-2 mb-2">
+                <input
+                    list="pass-satellite-names"
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                    placeholder={isGroup ? 'Name prefix, e.g. STARLINK' : 'Satellite name'}
+                    className="flex-1 min-w-0 bg-gray-800 rounded px-2 py-1"
+                />
+                <datalist id="pass-satellite-names">
+                    {names.map(name => <option key={name} value={name} />)}
+                </datalist>
+                <select value={days} onChange={(e) => setDays(Number(e.target.value))} className="bg-gray-800 rounded px-1">
+                    {DAY_OPTIONS.map(d => <option key={d} value={d}>{d}d</option>)}
+                </select>
+            </div>
+
+            <div className="flex items-center gap-3 mb-2">
+                <label className="flex items-center gap-1">
+                    <input type="checkbox" checked={isGroup} onChange={(e) => setIsGroup(e.target.checked)} />
+                    Group (max {MAX_GROUP_SATELLITES})
+                </label>
+                <label className="flex items-center gap-1">
+                    <input type="checkbox" checked={visibleOnly} onChange={(e) => setVisibleOnly(e.target.checked)} />
+                    Visible only
+                </label>
+                <button
+                    onClick={handleCompute}
+                    disabled={computing || satellites.length === 0}
+                    className="ml-auto bg-green-700 px-3 py-1 rounded hover:bg-green-600 disabled:opacity-50"
+                >
+                    {computing ? 'Computing...' : 'Predict'}
+                </button>
+            </div>
+
+            {error && <div className="text-yellow-300 mb-2">{error}</div>}
+
+            {passes && (
+                <div className="overflow-y-auto">
+                    {shown.length === 0 ? (
+                        <div className="text-gray-500">No passes in the next {days} day(s).</div>
+                    ) : (
+                        <table className="w-full text-left">
+                            <thead className="text-gray-400">
+                                <tr>
+                                    {isGroup && <th className="pr-1">Sat</th>}
+                                    <th className="pr-1">Rise</th>
+                                    <th className="pr-1">Max</th>
+                                    <th className="pr-1">Set</th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {shown.map((pass, idx) => (
+                                    <tr
+                                        key={idx}
+                                        onClick={() => onSelectPass(pass)}
+                                        className="border-t border-gray-800 cursor-pointer hover:bg-gray-800"
+                                    >
+                                        {isGroup && <td className="pr-1 truncate max-w-[6rem]">{pass.satellite}</td>}
+                                        <td className="pr-1">
+                                            <div>{pass.rise.time.toLocaleDateString()}</div>
+                                            <div>{formatTime(pass.rise.time)} {compassPoint(pass.rise.azimuth)}</div>
+                                        </td>
+                                        <td className="pr-1">
+                                            <div>{toDeg(pass.maxElevation).toFixed(0)}° {compassPoint(pass.culmination.azimuth)}</div>
+                                            <div>{formatTime(pass.culmination.time)}</div>
+                                        </td>
+                                        <td className="pr-1">
+                                            <div>{formatTime(pass.set.time)}</div>
+                                            <div>{compassPoint(pass.set.azimuth)}</div>
+                                        </td>
+                                        <td>
+                                            {pass.visible ? (
+                                                <span className="text-green-400">visible</span>
+                                            ) : (
+                                                <span className="text-gray-500">{pass.sunlit ? 'daylight' : 'shadow'}</span>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+            )}
+        </div>
+    )
+}
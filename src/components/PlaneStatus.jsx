@@ -0,0 +1,62 @@
+import React, { useEffect, useState } from 'react'
+import { fetchPlaneStatus } from '../utils/planeUtils'
+
+const STATUS_POLL_MS = 30000
+
+// One-line summary of the plane feed: live, stale or throttled, plus the
+// remaining OpenSky credits as reported by the server proxy. For the local
+// receiver it shows whether the feed is connected instead.
+export default function PlaneStatus({ source = 'opensky' }) {
+    const [status, setStatus] = useState(null)
+    const [unreachable, setUnreachable] = useState(false)
+
+    useEffect(() => {
+        const load = async () => {
+            const data = await fetchPlaneStatus()
+            setUnreachable(data === null)
+            if (data) setStatus(data)
+        }
+        load()
+        const interval = setInterval(load, STATUS_POLL_MS)
+        return () => clearInterval(interval)
+    }, [])
+
+    if (unreachable) {
+        return <div className="text-xs mt-1 text-red-400">Planes: proxy unreachable</div>
+    }
+    if (!status) return null
+
+    const local = status.local
+    const localLabel = !local || !local.configured
+        ? 'no receiver configured'
+        : (local.lastError ? `receiver error: ${local.lastError}` : 'receiver OK')
+
+    if (source === 'local') {
+        return (
+            <div className={`text-xs mt-1 ${local && local.configured && !local.lastError ? 'text-cyan-400' : 'text-red-400'}`}>
+                Planes (ADS-B): {localLabel}
+            </div>
+        )
+    }
+
+    let label
+    let color
+    if (status.throttled) {
+        label = `throttled, retry in ${status.retryAfterSeconds}s`
+        color = 'text-red-400'
+    } else if (status.stale) {
+        label = status.dataAgeSeconds === null ? 'no data yet' : `stale (${status.dataAgeSeconds}s old)`
+        color = 'text-yellow-300'
+    } else {
+        label = 'live'
+        color = 'text-cyan-400'
+    }
+
+    return (
+        <div className={`text-xs mt-1 ${color}`}>
+            Planes: {label} · {status.creditsRemaining} credits left
+            {status.creditsRemainingSource === 'estimate' && ' (est.)'}
+            {source === 'merged' && ` · ADS-B: ${localLabel}`}
+        </div>
+    )
+}
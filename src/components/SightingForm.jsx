@@ -0,0 +1,85 @@
+import React, { useState } from 'react'
+
+const TYPE_COLORS = {
+    star: 'text-white',
+    planet: 'text-yellow-300',
+    moon: 'text-gray-200',
+    sun: 'text-yellow-400',
+    satellite: 'text-green-400',
+    plane: 'text-cyan-400'
+}
+
+// Shown after "Tag Object" is pressed. The sky snapshot is already frozen in
+// `sighting`; the user can only add a note before saving or discard it.
+export default function SightingForm({ sighting, onSave, onCancel }) {
+    const [note, setNote] = useState('')
+
+    const { observer, pointing, nearby } = sighting
+
+    return (
+        <div className="absolute inset-0 z-20 flex items-center justify-center bg-black bg-opacity-60 pointer-events-auto">
+            <div className="w-full max-w-md mx-4 bg-gray-900 border border-purple-600 rounded-lg p-4 text-white shadow-xl">
+                <h2 className="text-lg font-bold mb-2">Tag Sighting</h2>
+
+                <div className="text-xs text-gray-300 space-y-1 mb-3">
+                    <div>Time (UTC): {sighting.timestamp}</div>
+                    <div>
+                        Pointing: Az {pointing.azimuth.toFixed(1)}°, El {pointing.elevation.toFixed(1)}°
+                    </div>
+                    <div>
+                        Observer: {observer.lat.toFixed(5)}, {observer.lon.toFixed(5)}
+                        {observer.accuracy !== null && ` (±${Math.round(observer.accuracy)} m)`}
+                    </div>
+                </div>
+
+                {sighting.identification && (
+                    <div className={`text-sm mb-2 ${sighting.identification.matched ? 'text-green-300' : 'text-yellow-300'}`}>
+                        {sighting.identification.verdict}
+                    </div>
+                )}
+
+                <div className="text-sm font-semibold mb-1">Nearby objects ({nearby.length})</div>
+                <div className="max-h-32 overflow-y-auto text-xs mb-3 border border-gray-700 rounded">
+                    {nearby.length === 0 ? (
+                        <div className="p-2 text-gray-500">Nothing known within a few degrees.</div>
+                    ) : (
+                        nearby.map((obj, idx) => (
+                            <div key={idx} className="flex justify-between px-2 py-1 border-b border-gray-800">
+                                <span className={TYPE_COLORS[obj.type]}>{obj.name}</span>
+                                <span className="text-gray-400">
+                                    El {obj.elevation.toFixed(1)}°
+                                    {obj.geometricElevation !== undefined && obj.geometricElevation !== obj.elevation &&
+                                        ` (geom. ${obj.geometricElevation.toFixed(1)}°)`}
+                                    , {obj.separation.toFixed(1)}° away
+                                </span>
+                            </div>
+                        ))
+                    )}
+                </div>
+
+                <textarea
+                    value={note}
+                    onChange={(e) => setNote(e.target.value)}
+                    placeholder="Optional note (color, motion, duration...)"
+                    rows={3}
+                    className="w-full bg-gray-800 rounded p-2 text-sm mb-3"
+                />
+
+                <div className="flex justify-end gap-2">
+                    <button
+                        onClick={onCancel}
+                        className="bg-gray-700 px-4 py-2 rounded hover:bg-gray-600"
+                    >
+                        Discard
+                    </button>
+                    <button
+                        onClick={() => onSave({ ...sighting, note: note.trim() })}
+                        className="bg-purple-600 px-4 py-2 rounded hover:bg-purple-700"
+                    >
+                        Save Sighting
+                    </button>
+                </div>
+            </div>
+        </div>
+    )
+}
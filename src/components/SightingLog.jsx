@@ -0,0 +1,116 @@
+import React, { useRef, useState } from 'react'
+import { EXPORT_FORMATS, exportSightings, parseReport } from '../utils/exportUtils'
+
+const formatTimestamp = (timestamp) => new Date(timestamp).toLocaleString()
+
+function ExportButtons({ sightings }) {
+    return (
+        <span className="flex gap-1">
+            {EXPORT_FORMATS.map(format => (
+                <button
+                    key={format.id}
+                    onClick={() => exportSightings(sightings, format.id)}
+                    className="bg-gray-700 px-1.5 py-0.5 rounded hover:bg-gray-600"
+                    title={`Export as ${format.label}`}
+                >
+                    {format.label}
+                </button>
+            ))}
+        </span>
+    )
+}
+
+// The saved sightings: export one or all of them (see exportUtils.js), import a
+// shared report, and reopen a sighting at its recorded place, time and direction.
+export default function SightingLog({ sightings, onOpen, onImport, onDelete, onTriangulate, onClose }) {
+    const fileInputRef = useRef(null)
+    const [status, setStatus] = useState(null) // { error, text }
+
+    const handleFile = async (e) => {
+        const file = e.target.files[0]
+        e.target.value = ''
+        if (!file) return
+        try {
+            const imported = parseReport(await file.text())
+            const added = onImport(imported)
+            setStatus({ error: false, text: `Imported ${imported.length} sighting(s), ${added} new` })
+        } catch (error) {
+            setStatus({ error: true, text: `Could not import ${file.name}: ${error.message}` })
+        }
+    }
+
+    // Newest first
+    const ordered = [...sightings].sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+
+    return (
+        <div className="absolute top-4 right-4 z-20 w-96 max-w-full max-h-[80vh] flex flex-col bg-gray-900 bg-opacity-90 border border-purple-600 rounded-lg p-3 text-white text-xs pointer-events-auto">
+            <div className="flex justify-between items-start mb-2">
+                <h2 className="font-bold text-sm">Sightings ({sightings.length})</h2>
+                <button onClick={onClose} className="text-gray-400 hover:text-white">✕</button>
+            </div>
+
+            <div className="flex items-center justify-between gap-2 mb-2">
+                {sightings.length > 0 ? (
+                    <span className="flex items-center gap-1">
+                        <span className="text-gray-400">Export all:</span>
+                        <ExportButtons sightings={sightings} />
+                    </span>
+                ) : <span />}
+                <span className="flex gap-1">
+                    <button
+                        onClick={onTriangulate}
+                        className="bg-gray-700 px-2 py-0.5 rounded hover:bg-gray-600"
+                        title="Locate an object from several observers' tags"
+                    >
+                        Triangulate
+                    </button>
+                    <button
+                        onClick={() => fileInputRef.current.click()}
+                        className="bg-purple-600 px-2 py-0.5 rounded hover:bg-purple-700"
+                    >
+                        Import report
+                    </button>
+                </span>
+                <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={handleFile} className="hidden" />
+            </div>
+
+            {status && <div className={`mb-2 ${status.error ? 'text-red-400' : 'text-green-300'}`}>{status.text}</div>}
+
+            <div className="overflow-y-auto border border-gray-700 rounded">
+                {ordered.length === 0 ? (
+                    <div className="p-2 text-gray-500">No sightings yet. Use "Tag Object", or import a report.</div>
+                ) : (
+                    ordered.map(sighting => (
+                        <div key={sighting.id} className="px-2 py-1.5 border-b border-gray-800">
+                            <div className="flex justify-between items-start">
+                                <button onClick={() => onOpen(sighting)} className="text-left hover:text-purple-300" title="Show the sky as it was">
+                                    <div>{formatTimestamp(sighting.timestamp)}</div>
+                                    <div className="text-gray-400">
+                                        Az {sighting.pointing.azimuth.toFixed(1)}°, El {sighting.pointing.elevation.toFixed(1)}°
+                                        {' '}from {sighting.observer.lat.toFixed(3)}, {sighting.observer.lon.toFixed(3)}
+                                    </div>
+                                </button>
+                                <button
+                                    onClick={() => onDelete(sighting.id)}
+                                    className="text-gray-500 hover:text-red-400 ml-2"
+                                    title="Delete sighting"
+                                >
+                                    ✕
+                                </button>
+                            </div>
+                            {sighting.identification && (
+                                <div className={sighting.identification.matched ? 'text-green-300' : 'text-yellow-300'}>
+                                    {sighting.identification.verdict}
+                                </div>
+                            )}
+                            {sighting.note && <div className="text-gray-300 italic truncate">{sighting.note}</div>}
+                            <div className="mt-1">
+                                <ExportButtons sightings={[sighting]} />
+                            </div>
+                        </div>
+                    ))
+                )}
+            </div>
+        </div>
+    )
+}
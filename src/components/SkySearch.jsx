@@ -0,0 +1,80 @@
+import React, { useMemo, useState } from 'react'
+import { searchSky } from '../utils/searchUtils'
+
+const TYPE_COLORS = {
+    star: 'text-white',
+    planet: 'text-yellow-300',
+    moon: 'text-gray-200',
+    sun: 'text-yellow-400',
+    satellite: 'text-green-400',
+    plane: 'text-cyan-400'
+}
+
+// Search box for satellites (name / NORAD ID), aircraft (callsign / icao24),
+// stars and planets. Picking a result hands it to onSelect; the current target
+// is shown with a button to stop guiding to it.
+export default function SkySearch({ satellites, planeTracks, clock, target, onSelect, onClear }) {
+    const [query, setQuery] = useState('')
+    const [open, setOpen] = useState(false)
+
+    const results = useMemo(
+        () => searchSky(query, { satellites, planeTracks: planeTracks.current, timeSeconds: clock.nowMs() / 1000 }),
+        // Aircraft come and go, but re-searching on every keystroke is enough
+        [query, satellites]
+    )
+
+    const select = (result) => {
+        onSelect(result)
+        setQuery('')
+        setOpen(false)
+    }
+
+    return (
+        <div className="absolute top-4 left-1/2 -translate-x-1/2 z-10 w-72 max-w-[60vw] text-xs pointer-events-auto">
+            <input
+                value={query}
+                onChange={(e) => {
+                    setQuery(e.target.value)
+                    setOpen(true)
+                }}
+                onFocus={() => setOpen(true)}
+                onBlur={() => setTimeout(() => setOpen(false), 150)}
+                onKeyDown={(e) => {
+                    if (e.key === 'Enter' && results.length > 0) select(results[0])
+                    if (e.key === 'Escape') setOpen(false)
+                }}
+                placeholder="Search: ISS, 25544, BAW123, Sirius, Jupiter..."
+                className="w-full bg-gray-900 bg-opacity-80 border border-gray-600 rounded px-2 py-1 text-white"
+            />
+
+            {open && query.trim().length >= 2 && (
+                <div className="mt-1 bg-gray-900 bg-opacity-95 border border-gray-700 rounded max-h-64 overflow-y-auto">
+                    {results.length === 0 ? (
+                        <div className="px-2 py-1 text-gray-500">No matches</div>
+                    ) : (
+                        results.map(result => (
+                            <button
+                                key={`${result.type}-${result.id}`}
+                                onMouseDown={(e) => e.preventDefault()}
+                                onClick={() => select(result)}
+                                className="w-full flex justify-between px-2 py-1 text-left hover:bg-gray-800"
+                            >
+                                <span className={TYPE_COLORS[result.type]}>{result.name}</span>
+                                <span className="text-gray-500">{result.detail}</span>
+                            </button>
+                        ))
+                    )}
+                </div>
+            )}
+
+            {target && (
+                <div className="mt-1 flex justify-between items-center bg-gray-900 bg-opacity-80 rounded px-2 py-1">
+                    <span className="text-gray-300">
+                        Target: <span className={TYPE_COLORS[target.type]}>{target.name}</span>
+                    </span>
+                    <button onClick={onClear} className="text-gray-400 hover:text-white ml-2">✕</button>
+                </div>
+            )}
+        </div>
+    )
+}
@@ -0,0 +1,39 @@
+import React, { useEffect, useState } from 'react'
+
+const AGE_REFRESH_MS = 60000
+// Orbital elements get noticeably off after a few days (low orbits most)
+const WARN_AGE_HOURS = 24
+const OLD_AGE_HOURS = 72
+
+const formatAge = (hours) => {
+    if (hours < 1) return `${Math.max(1, Math.round(hours * 60))} min`
+    if (hours < 48) return `${Math.round(hours)} h`
+    return `${Math.round(hours / 24)} days`
+}
+
+// How old the loaded TLEs are (when the server last got them from Celestrak),
+// and whether they came from the offline cache. tleInfo: from fetchTLESet.
+export default function TLEStatus({ tleInfo, online }) {
+    const [now, setNow] = useState(Date.now())
+
+    useEffect(() => {
+        const interval = setInterval(() => setNow(Date.now()), AGE_REFRESH_MS)
+        return () => clearInterval(interval)
+    }, [])
+
+    if (!tleInfo) return null
+    if (tleInfo.fetchedAt === null) {
+        return <div className="text-xs mt-1 text-red-400">TLEs: none loaded{online ? '' : ' (offline)'}</div>
+    }
+
+    const hours = (now - tleInfo.fetchedAt) / 3600000
+    const color = hours >= OLD_AGE_HOURS ? 'text-red-400' : (hours >= WARN_AGE_HOURS || tleInfo.offline ? 'text-yellow-300' : 'text-green-400')
+
+    return (
+        <div className={`text-xs mt-1 ${color}`} title={`Fetched ${new Date(tleInfo.fetchedAt).toLocaleString()}`}>
+            TLEs: {formatAge(hours)} old
+            {tleInfo.offline ? ' · offline copy' : (tleInfo.stale ? ' · server could not refresh' : '')}
+            {!online && !tleInfo.offline && ' · offline'}
+        </div>
+    )
+}
@@ -0,0 +1,102 @@
+import React, { useEffect, useState } from 'react'
+import { SPEED_OPTIONS } from '../utils/simClock'
+
+// The scrubber covers this many hours either side of its center time
+const SCRUB_RANGE_HOURS = 12
+
+const pad = (n) => String(n).padStart(2, '0')
+
+// Value for <input type="datetime-local"> in the browser's local time zone
+const toLocalInputValue = (date) =>
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`
+
+const formatSpeed = (rate) => `${rate < 0 ? '◀ ' : ''}${Math.abs(rate)}x`
+
+// Play/pause, speed, date-time picker and timeline scrubber for the sim clock.
+export default function TimeControls({ clock }) {
+    const [, setTick] = useState(0)
+    const [scrubCenter, setScrubCenter] = useState(() => clock.nowMs())
+
+    // Re-render a few times a second to show the running clock, and immediately
+    // whenever the clock is changed from elsewhere.
+    useEffect(() => {
+        const rerender = () => setTick(t => t + 1)
+        const unsubscribe = clock.subscribe(rerender)
+        const interval = setInterval(rerender, 250)
+        return () => {
+            unsubscribe()
+            clearInterval(interval)
+        }
+    }, [clock])
+
+    const now = clock.now()
+    const rate = clock.getRate()
+    const paused = clock.isPaused()
+    const live = clock.isLive()
+
+    const rangeMs = SCRUB_RANGE_HOURS * 3600 * 1000
+    const offsetMinutes = Math.round((now.getTime() - scrubCenter) / 60000)
+
+    const handlePick = (e) => {
+        if (!e.target.value) return
+        const picked = new Date(e.target.value)
+        clock.setTime(picked)
+        setScrubCenter(picked.getTime())
+    }
+
+    const handleLive = () => {
+        clock.goLive()
+        setScrubCenter(Date.now())
+    }
+
+    return (
+        <div className="bg-gray-900 bg-opacity-80 rounded p-2 text-white text-xs pointer-events-auto w-80 max-w-full">
+            <div className="flex items-center justify-between mb-1">
+                <span className="font-mono">{now.toISOString().replace('T', ' ').slice(0, 19)} UTC</span>
+                {live ? (
+                    <span className="text-green-400">● LIVE</span>
+                ) : (
+                    <button onClick={handleLive} className="text-yellow-300 hover:text-white">Go live</button>
+                )}
+            </div>
+
+            <input
+                type="range"
+                min={-SCRUB_RANGE_HOURS * 60}
+                max={SCRUB_RANGE_HOURS * 60}
+                value={Math.max(-SCRUB_RANGE_HOURS * 60, Math.min(SCRUB_RANGE_HOURS * 60, offsetMinutes))}
+                onChange={(e) => clock.setTime(scrubCenter + Number(e.target.value) * 60000)}
+                className="w-full"
+            />
+            <div className="flex justify-between text-gray-500 mb-1">
+                <span>-{SCRUB_RANGE_HOURS}h</span>
+                <span>{new Date(scrubCenter - rangeMs).toLocaleTimeString()} … {new Date(scrubCenter + rangeMs).toLocaleTimeString()}</span>
+                <span>+{SCRUB_RANGE_HOURS}h</span>
+            </div>
+
+            <div className="flex items-center gap-2">
+                <button
+                    onClick={() => (paused ? clock.play() : clock.pause())}
+                    className="bg-gray-700 px-2 py-1 rounded hover:bg-gray-600 w-16"
+                >
+                    {paused ? 'Play' : 'Pause'}
+                </button>
+                <select
+                    value={rate}
+                    onChange={(e) => clock.setRate(Number(e.target.value))}
+                    className="bg-gray-800 rounded px-1 py-1"
+                >
+                    {SPEED_OPTIONS.map(option => (
+                        <option key={option} value={option}>{formatSpeed(option)}</option>
+                    ))}
+                </select>
+                <input
+                    type="datetime-local"
+                    value={toLocalInputValue(now)}
+                    onChange={handlePick}
+                    className="bg-gray-800 rounded px-1 py-1 flex-1 min-w-0"
+                />
+            </div>
+        </div>
+    )
+}
@@ -0,0 +1,108 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { fetchLaunchInfo } from '../utils/trainUtils'
+import { createPassPredictor } from '../utils/passUtils'
+
+// How far ahead to look for a visible pass
+const PASS_DAYS = 3
+
+const COMPASS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW']
+const compassPoint = (azRad) => COMPASS[Math.round(azRad * 180 / Math.PI / 45) % 8]
+
+const formatDateTime = (date) => date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+
+// Satellite trains found in the loaded TLEs (see trainUtils.js), with the
+// launch date and the next naked-eye pass over the observer. Clicking a train
+// turns the view to its leading satellite, clicking the pass goes to it.
+export default function TrainList({ trains, satellites, observer, startDate, onSelect, onSelectPass, onClose }) {
+    const [launches, setLaunches] = useState({}) // launch -> info, null when unavailable
+    const [passes, setPasses] = useState({}) // train id -> pass, null when none
+    const [passError, setPassError] = useState(null)
+    const predictorRef = useRef(null)
+    // startDate is a new Date every render; passes are searched from whatever
+    // it was when the trains or the observer last changed
+    const startRef = useRef(startDate)
+    startRef.current = startDate
+
+    useEffect(() => {
+        let cancelled = false
+        const wanted = [...new Set(trains.map(train => train.launch))]
+        wanted.forEach(async (launch) => {
+            const info = await fetchLaunchInfo(launch)
+            if (!cancelled) setLaunches(current => ({ ...current, [launch]: info }))
+        })
+        return () => { cancelled = true }
+    }, [trains])
+
+    useEffect(() => {
+        predictorRef.current = createPassPredictor()
+        return () => predictorRef.current.terminate()
+    }, [])
+
+    // The train's pass is its leader's. Searched on the pass worker, each
+    // train's result shown as soon as it's in.
+    useEffect(() => {
+        setPasses({})
+        setPassError(null)
+        const leaders = trains.map(train => satellites[train.members[0]])
+        if (leaders.some(leader => !leader)) return // trains not redone for new satellites yet
+        predictorRef.current.predict(leaders, observer, {
+            start: startRef.current,
+            days: PASS_DAYS,
+            onProgress: (index, found) => setPasses(current => ({
+                ...current,
+                [trains[index].id]: found.find(pass => pass.visible) || null
+            }))
+        }).catch(error => setPassError(error.message))
+    }, [trains, satellites, observer.lat, observer.lon, observer.alt])
+
+    return (
+        <div className="absolute top-4 right-4 z-20 w-96 max-w-full max-h-[80vh] flex flex-col bg-gray-900 bg-opacity-90 border border-lime-600 rounded-lg p-3 text-white text-xs pointer-events-auto">
+            <div className="flex justify-between items-start mb-2">
+                <h2 className="font-bold text-sm">Satellite trains ({trains.length})</h2>
+                <button onClick={onClose} className="text-gray-400 hover:text-white">✕</button>
+            </div>
+            <p className="text-gray-500 mb-2">
+                Batches from one launch still flying in a line, the usual "string of lights". They spread out
+                within weeks as the satellites raise their orbits.
+            </p>
+
+            <div className="overflow-y-auto border border-gray-700 rounded">
+                {trains.length === 0 ? (
+                    <div className="p-2 text-gray-500">No trains in the loaded satellites.</div>
+                ) : (
+                    trains.map(train => {
+                        const launch = launches[train.launch]
+                        const pass = passes[train.id]
+                        return (
+                            <div key={train.id} className="px-2 py-1.5 border-b border-gray-800">
+                                <button onClick={() => onSelect(train)} className="block w-full text-left hover:text-white">
+                                    <div className="flex justify-between">
+                                        <span className="text-lime-300 font-bold">{train.label}</span>
+                                        <span className="text-gray-400">{train.members.length} satellites</span>
+                                    </div>
+                                    <div className="text-gray-400">
+                                        Launched {launch === undefined ? '…' : (launch && launch.launchDate) || 'date unknown'}
+                                        {launch && launch.launchSite && ` from ${launch.launchSite}`}
+                                        {' · '}led by {train.names[0]}
+                                    </div>
+                                </button>
+                                <div className="text-gray-300">
+                                    {pass === undefined ? (
+                                        passError || 'Finding the next visible pass…'
+                                    ) : pass ? (
+                                        <button onClick={() => onSelectPass(pass)} className="text-left hover:text-white underline decoration-dotted">
+                                            Next visible pass {formatDateTime(pass.rise.time)} {compassPoint(pass.rise.azimuth)}
+                                            {' → '}{compassPoint(pass.set.azimuth)}, max {(pass.maxElevation * 180 / Math.PI).toFixed(0)}°
+                                        </button>
+                                    ) : (
+                                        `No visible pass in the next ${PASS_DAYS} days`
+                                    )}
+                                </div>
+                            </div>
+                        )
+                    })
+                )}
+            </div>
+        </div>
+    )
+}
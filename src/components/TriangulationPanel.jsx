@@ -0,0 +1,123 @@
+import React from 'react'
+import { FIX_WINDOW_SECONDS, POINTING_SIGMA_OPTIONS } from '../utils/triangulationUtils'
+
+const formatTimestamp = (timestamp) => new Date(timestamp).toLocaleString()
+
+const formatDistance = (meters) => (meters >= 10000 ? `${(meters / 1000).toFixed(1)} km` : `${Math.round(meters)} m`)
+
+function FixDetails({ fix, index, onLookAt }) {
+    if (fix.error) {
+        return (
+            <div className="px-2 py-1.5 border-b border-gray-800">
+                <div>Fix {index + 1} · {fix.time.toLocaleTimeString()}</div>
+                <div className="text-yellow-300">{fix.error}</div>
+            </div>
+        )
+    }
+
+    return (
+        <div className="px-2 py-1.5 border-b border-gray-800">
+            <div className="flex justify-between">
+                <span>Fix {index + 1} · {fix.time.toLocaleTimeString()}</span>
+                <button onClick={() => onLookAt(fix)} className="text-purple-300 hover:text-white">Look at</button>
+            </div>
+            <div>
+                {fix.position.lat.toFixed(5)}, {fix.position.lon.toFixed(5)}
+            </div>
+            <div className="text-green-300">
+                Altitude {formatDistance(fix.position.alt)} ± {formatDistance(fix.altitudeSigma)}
+            </div>
+            <div className="text-gray-400">
+                Error ellipse {formatDistance(fix.ellipse.semiMajor)} × {formatDistance(fix.ellipse.semiMinor)},
+                {' '}major axis {fix.ellipse.bearing.toFixed(0)}°
+            </div>
+            <div className="text-gray-400">
+                Lines cross at {fix.convergence.toFixed(1)}° over a {fix.baseline.toFixed(1)} km baseline
+            </div>
+            {fix.observers.map(obs => (
+                <div key={obs.id} className="text-gray-500">
+                    Tag {obs.id.slice(-6)}: {obs.range.toFixed(1)} km away, {obs.miss.toFixed(2)}° off its line
+                </div>
+            ))}
+        </div>
+    )
+}
+
+// Intersects the lines of sight of tags of one object from several observers
+// (see triangulationUtils.js). The other observers' tags come in as imported
+// reports; the tags picked here are grouped into simultaneous fixes.
+export default function TriangulationPanel({ sightings, selectedIds, onSelect, pointingSigma, onPointingSigma, result, onLookAt, onClose }) {
+    const selected = new Set(selectedIds)
+    const toggle = (id) => onSelect(selected.has(id) ? selectedIds.filter(other => other !== id) : [...selectedIds, id])
+
+    // Newest first
+    const ordered = [...sightings].sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+
+    return (
+        <div className="absolute top-4 right-4 z-20 w-96 max-w-full max-h-[80vh] flex flex-col bg-gray-900 bg-opacity-90 border border-purple-600 rounded-lg p-3 text-white text-xs pointer-events-auto">
+            <div className="flex justify-between items-start mb-2">
+                <h2 className="font-bold text-sm">Triangulation</h2>
+                <button onClick={onClose} className="text-gray-400 hover:text-white">✕</button>
+            </div>
+
+            <p className="text-gray-400 mb-2">
+                Select tags of the same object from two or more places. Tags within {FIX_WINDOW_SECONDS} s of each
+                other make one fix; several fixes give speed and heading.
+            </p>
+
+            <div className="flex items-center justify-between mb-2">
+                <label className="flex items-center gap-2">
+                    <span className="text-gray-400">Pointing accuracy</span>
+                    <select
+                        value={pointingSigma}
+                        onChange={(e) => onPointingSigma(Number(e.target.value))}
+                        className="bg-gray-800 rounded px-1"
+                    >
+                        {POINTING_SIGMA_OPTIONS.map(option => (
+                            <option key={option} value={option}>±{option}°</option>
+                        ))}
+                    </select>
+                </label>
+                {selectedIds.length > 0 && (
+                    <button onClick={() => onSelect([])} className="bg-gray-700 px-2 py-0.5 rounded hover:bg-gray-600">
+                        Clear selection
+                    </button>
+                )}
+            </div>
+
+            <div className="overflow-y-auto max-h-48 border border-gray-700 rounded mb-2">
+                {ordered.length === 0 ? (
+                    <div className="p-2 text-gray-500">No sightings yet. Tag an object, or import other observers' reports.</div>
+                ) : (
+                    ordered.map(sighting => (
+                        <label key={sighting.id} className="flex items-start gap-2 px-2 py-1 border-b border-gray-800 cursor-pointer">
+                            <input type="checkbox" checked={selected.has(sighting.id)} onChange={() => toggle(sighting.id)} className="mt-0.5" />
+                            <span>
+                                <span className="block">{formatTimestamp(sighting.timestamp)}</span>
+                                <span className="block text-gray-400">
+                                    From {sighting.observer.lat.toFixed(3)}, {sighting.observer.lon.toFixed(3)}:
+                                    {' '}Az {sighting.pointing.azimuth.toFixed(1)}°, El {sighting.pointing.elevation.toFixed(1)}°
+                                </span>
+                            </span>
+                        </label>
+                    ))
+                )}
+            </div>
+
+            {result && (
+                <div className="overflow-y-auto border border-gray-700 rounded">
+                    {result.motion && (
+                        <div className="px-2 py-1.5 border-b border-gray-800 text-green-300">
+                            Speed {(result.motion.speed * 3.6).toFixed(0)} km/h ({result.motion.speed.toFixed(0)} m/s),
+                            {' '}heading {result.motion.heading.toFixed(0)}°,
+                            {' '}climb {result.motion.climbRate.toFixed(1)} m/s over {result.motion.duration.toFixed(0)} s
+                        </div>
+                    )}
+                    {result.fixes.map((fix, idx) => (
+                        <FixDetails key={fix.sightingIds.join()} fix={fix} index={idx} onLookAt={onLookAt} />
+                    ))}
+                </div>
+            )}
+        </div>
+    )
+}
@@ -0,0 +1,35 @@
+import React, { useEffect, useState } from 'react'
+import { getSunPosition, getTwilightPhase } from '../utils/astroUtils'
+
+const PHASE_COLORS = {
+    'Daylight': 'text-yellow-300',
+    'Civil twilight': 'text-orange-300',
+    'Nautical twilight': 'text-blue-300',
+    'Astronomical twilight': 'text-indigo-300',
+    'Night': 'text-gray-400'
+}
+
+// Sun altitude and twilight phase at the simulation time. The Sun moves slowly,
+// so a once-a-second refresh (plus clock changes) is plenty.
+export default function TwilightIndicator({ clock, observerLat, observerLon }) {
+    const [, setTick] = useState(0)
+
+    useEffect(() => {
+        const rerender = () => setTick(t => t + 1)
+        const unsubscribe = clock.subscribe(rerender)
+        const interval = setInterval(rerender, 1000)
+        return () => {
+            unsubscribe()
+            clearInterval(interval)
+        }
+    }, [clock])
+
+    const sunAltitude = getSunPosition(clock.now(), observerLat, observerLon).elevation * 180 / Math.PI
+    const phase = getTwilightPhase(sunAltitude)
+
+    return (
+        <div className={`text-xs mt-1 ${PHASE_COLORS[phase]}`}>
+            {phase} · Sun {sunAltitude.toFixed(1)}°
+        </div>
+    )
+}
@@ -1,11 +1,49 @@
-import React, { Suspense, useEffect, useState, useRef, useMemo } from 'react'
+import React, { Suspense, useCallback, useEffect, useLayoutEffect, useState, useRef, useMemo } from 'react'
 import { Canvas, useFrame, useThree } from '@react-three/fiber'
 import { OrbitControls, DeviceOrientationControls, Html, Sphere, Text } from '@react-three/drei'
 import * as THREE from 'three'
-import { fetchTLEs, getSatPositionRelative, polarToCartesian } from '../utils/satelliteUtils'
-import { fetchPlanes, getPlanePositionRelative } from '../utils/planeUtils'
+import { fetchTLESet, polarToCartesian, cartesianToPolar } from '../utils/satelliteUtils'
+import { createSkyPointsGeometry, createSkyPointsMaterial, bvToRgb, HIDDEN_Y } from '../utils/skyPoints'
+import { fetchPlanes, PLANE_SOURCES, getPlanePositionRelative, updatePlaneTracks, getPlaneStatesAt, getPlaneDisplayStates, getTrackTrail, MAX_TRACK_POINTS } from '../utils/planeUtils'
+import { createSighting, loadSightings, saveSightings, findNearestObject, findObjectById } from '../utils/sightingUtils'
+import { localSiderealTime, equatorialToHorizontal, getPrecessionNutationMatrix, precessRaDec, yearsSinceJ2000, applyRefraction, removeRefraction, getSunPosition, getMoonPosition, getPlanetPositions, moonPhaseName } from '../utils/astroUtils'
+import { identifyPoint } from '../utils/identifyUtils'
+import { createSimClock } from '../utils/simClock'
+import { loadObserverSettings, saveObserverSettings, resolveObserver, loadSites, saveSites, DEFAULT_LOCATION } from '../utils/observerUtils'
+import { encodeViewParams, decodeViewParams } from '../utils/shareUtils'
+import { locateTarget } from '../utils/searchUtils'
+import { captureAnnotatedPhoto } from '../utils/captureUtils'
+import { downloadFile } from '../utils/exportUtils'
+import { scorePlaneTrack, REASON_LABELS } from '../utils/anomalyUtils'
+import { getStandardMagnitude, isNakedEyeVisible, DARK_SKY_SUN_ALTITUDE, NAKED_EYE_LIMIT_MAG } from '../utils/visibilityUtils'
+import { getMagneticDeclination, loadCalibration, saveCalibration, computeCalibration } from '../utils/headingUtils'
+import { DEFAULT_MOTION_SETTINGS } from '../utils/motionUtils'
+import { loadAlertRules, saveAlertRules } from '../utils/alertUtils'
+import { findTrains } from '../utils/trainUtils'
+import { queueSighting, countQueuedSightings, syncQueuedSightings } from '../utils/offlineUtils'
+import { triangulateSightings, lookFromObserver, uncertaintyOutline, DEFAULT_POINTING_SIGMA_DEG } from '../utils/triangulationUtils'
 import starCatalog from '../utils/starCatalog.json'
-import { gstime } from 'satellite.js'
+import constellations from '../utils/constellations.json'
+import SightingForm from '../components/SightingForm'
+import IdentifyPanel from '../components/IdentifyPanel'
+import TimeControls from '../components/TimeControls'
+import PassTable from '../components/PassTable'
+import TwilightIndicator from '../components/TwilightIndicator'
+import PlaneStatus from '../components/PlaneStatus'
+import TLEStatus from '../components/TLEStatus'
+import ObserverSettings from '../components/ObserverSettings'
+import ObjectInspector from '../components/ObjectInspector'
+import LocationPicker from '../components/LocationPicker'
+import SkySearch from '../components/SkySearch'
+import HeadingCalibration, { CalibrationStatus } from '../components/HeadingCalibration'
+import SightingLog from '../components/SightingLog'
+import MotionDetector from '../components/MotionDetector'
+import MotionPanel from '../components/MotionPanel'
+import TriangulationPanel from '../components/TriangulationPanel'
+import AlertCenter from '../components/AlertCenter'
+import AlertRules from '../components/AlertRules'
+import AnomalyList from '../components/AnomalyList'
+import TrainList from '../components/TrainList'
 
 function Loading() {
     return (
@@ -15,238 +53,862 @@ function Loading() {
     )
 }
 
-function RealStars({ observerLat, observerLon }) {
+// Publishes a lazily computed list on skyRef (e.g. skyRef.current.stars).
+// The big layers keep their positions in typed arrays; building thousands of
+// objects every frame just in case someone tags a sighting would be wasteful,
+// so the list is only built when it is read.
+const publishLazy = (skyRef, key, build) => {
+    Object.defineProperty(skyRef.current, key, { get: build, configurable: true, enumerable: true });
+    return () => {
+        Object.defineProperty(skyRef.current, key, { value: [], writable: true, configurable: true, enumerable: true });
+    };
+};
+
+// Stars barely move: recompute when simulation time has moved this much (ms)
+const STAR_UPDATE_MS = 1000;
+
+// Runs update(date) from useFrame when one of `inputs` (observer position,
+// atmosphere...) changes or simulation time has moved by STAR_UPDATE_MS since
+// the last run.
+const useStarFieldUpdate = (clock, inputs, update) => {
+    const lastUpdateRef = useRef({ time: null, inputs: [] });
+
+    useFrame(() => {
+        const nowMs = clock.nowMs();
+        const last = lastUpdateRef.current;
+        if (last.time !== null && Math.abs(nowMs - last.time) < STAR_UPDATE_MS &&
+            inputs.every((value, idx) => value === last.inputs[idx])) return;
+        lastUpdateRef.current = { time: nowMs, inputs };
+        update(new Date(nowMs));
+    });
+};
+
+// J2000 catalog position -> Az/El for the observer at `date`. Built once per
+// star field update: precession/nutation matrix, proper-motion epoch and LST.
+// elevation is apparent (refracted), geometricElevation is without the air.
+const createStarProjector = (date, observerLat, observerLon, atmosphere) => {
+    const matrix = getPrecessionNutationMatrix(date);
+    const years = yearsSinceJ2000(date);
+    const lst = localSiderealTime(date, observerLon); // radians
+    const latRad = observerLat * (Math.PI / 180);
+
+    return (raDeg, decDeg, pmRa, pmDec) => {
+        const { ra, dec } = precessRaDec(raDeg * (Math.PI / 180), decDeg * (Math.PI / 180), matrix, pmRa, pmDec, years);
+        const { azimuth, elevation } = equatorialToHorizontal(ra, dec, lst, latRad);
+        return { azimuth, elevation: applyRefraction(elevation, atmosphere), geometricElevation: elevation };
+    };
+};
+
+function RealStars({ clock, observerLat, observerLon, atmosphere, skyRef, magLimit }) {
     // We calculate star positions based on Local Sidereal Time (LST)
     // LST = GMST + Longitude
     // RA/Dec to Az/El conversion needs:
     // HA (Hour Angle) = LST - RA
     // Then use spherical trig to get Az/El.
+    // Catalog positions are J2000 and get precessed (plus nutation and proper
+    // motion) to the date first, and refracted last, see createStarProjector.
+    // Positions go straight into a Points buffer (see skyPoints.js).
 
-    const [starPositions, setStarPositions] = useState([]);
+    const distance = 400; // Stars are background
+    const geometry = useMemo(() => {
+        const geo = createSkyPointsGeometry(starCatalog.length);
+        const sizes = geo.getAttribute('size');
+        const colors = geo.getAttribute('rgba');
+        starCatalog.forEach((star, idx) => {
+            sizes.setX(idx, Math.max(1.5, 5 - star.mag * 1.2));
+            // Below ~3rd magnitude they all end up the same size; fade them instead
+            const alpha = star.mag <= 3 ? 1 : Math.max(0.3, 1 - (star.mag - 3) * 0.2);
+            colors.setXYZW(idx, ...bvToRgb(star.bv), alpha);
+        });
+        return geo;
+    }, []);
+    const material = useMemo(() => createSkyPointsMaterial(), []);
+    // [azimuth, apparent elevation, geometric elevation] per star
+    const azElRef = useRef(new Float32Array(starCatalog.length * 3));
+    // The catalog is sorted by magnitude, so the limit is just a draw count
+    const visibleCount = useMemo(() => {
+        const idx = starCatalog.findIndex(star => star.mag > magLimit);
+        return idx === -1 ? starCatalog.length : idx;
+    }, [magLimit]);
 
-    useFrame(() => {
-        const now = new Date();
-        const gmst = gstime(now); // radians
-        // gmst is in radians? satellite.js gstime returns radians.
-        // wait, let's verify gstime unit. It usually returns radians.
-        // observerLon is degrees. Convert to radians.
-
-        const latRad = observerLat * (Math.PI / 180);
-        const lonRad = observerLon * (Math.PI / 180);
-        const lst = gmst + lonRad; // Local Sidereal Time in radians
-
-        const positions = starCatalog.map(star => {
-            // star.ra is in degrees. Convert to radians.
-            const raRad = star.ra * (Math.PI / 180);
-            const decRad = star.dec * (Math.PI / 180);
-
-            const ha = lst - raRad; // Hour Angle
-
-            // sin(El) = sin(Dec)sin(Lat) + cos(Dec)cos(Lat)cos(HA)
-            const sinEl = Math.sin(decRad) * Math.sin(latRad) + Math.cos(decRad) * Math.cos(latRad) * Math.cos(ha);
-            const el = Math.asin(sinEl);
-
-            // cos(Az) = (sin(Dec) - sin(El)sin(Lat)) / (cos(El)cos(Lat))
-            // Azimuth calculation is tricky due to quadrants.
-            // Using atan2 is better.
-            // sin(Az) = - sin(HA) * cos(Dec) / cos(El)
-            // cos(Az) = (sin(Dec) - sin(El)*sin(Lat)) / (cos(El)*cos(Lat))
-
-            // Formula for Az measured from North (0) Eastwards:
-            // tan(Az) = sin(HA) / (cos(HA)sin(Lat) - tan(Dec)cos(Lat))
-            // This usually gives Az from South? No, depends on convention.
-            // Let's use the standard transformation:
-            // x = -sin(HA)cos(Dec)
-            // y = sin(Dec)cos(Lat) - cos(HA)cos(Dec)sin(Lat)
-            // Az = atan2(x, y)
-            // This Az is usually from South, Westward?
-            // Standard Astronomy: Az 0 is North.
-            // If we use the formula:
-            // Az = atan2( sin(HA), cos(HA)sin(lat) - tan(dec)cos(lat) )
-            // Check sign.
-
-            const y = Math.sin(ha);
-            const x = Math.cos(ha) * Math.sin(latRad) - Math.tan(decRad) * Math.cos(latRad);
-            let az = Math.atan2(y, x) + Math.PI; // Add PI to shift 0 to North?
-            // Usually this formula gives Az from South. Adding PI makes it from North.
-            // Let's verify experimentally or assume standard 0=North convention required.
-
-            // Re-normalizing to 0-2PI
-            az = (az + 2 * Math.PI) % (2 * Math.PI);
-
-            // Filter below horizon?
-            // "Real stars" should probably be visible even if below horizon in "Globe View", but in AR view, ground blocks them.
-            // But we render them far away.
-            // If we render below horizon, and we have a ground, it's fine.
-
-            const distance = 400; // Stars are background
-            // Use polarToCartesian (expects 0=North)
-            const pos = polarToCartesian(az, el, distance);
+    useEffect(() => () => {
+        geometry.dispose();
+        material.dispose();
+    }, [geometry, material]);
 
-            return {
+    useEffect(() => {
+        geometry.setDrawRange(0, visibleCount);
+    }, [geometry, visibleCount]);
+
+    useEffect(() => publishLazy(skyRef, 'stars', () => {
+        const azEl = azElRef.current;
+        return starCatalog
+            .slice(0, visibleCount)
+            .map((star, idx) => ({
                 ...star,
-                position: pos,
-                visible: el > -0.1 // show slightly below horizon to avoid popping
-            };
+                id: `HIP ${star.hip}`,
+                azimuth: azEl[idx * 3],
+                elevation: azEl[idx * 3 + 1],
+                geometricElevation: azEl[idx * 3 + 2]
+            }))
+            .filter(star => star.elevation > 0);
+    }), [skyRef, visibleCount]);
+
+    useStarFieldUpdate(clock, [observerLat, observerLon, atmosphere?.temperature, atmosphere?.pressure], (date) => {
+        const project = createStarProjector(date, observerLat, observerLon, atmosphere);
+        const positions = geometry.getAttribute('position');
+        const azEl = azElRef.current;
+
+        starCatalog.forEach((star, idx) => {
+            // star.ra/dec are J2000 degrees, pmRa/pmDec mas/yr when known
+            const { azimuth: az, elevation: el, geometricElevation } = project(star.ra, star.dec, star.pmRa, star.pmDec);
+            azEl[idx * 3] = az;
+            azEl[idx * 3 + 1] = el;
+            azEl[idx * 3 + 2] = geometricElevation;
+
+            // Show slightly below horizon to avoid popping
+            if (el > -0.1) {
+                // Use polarToCartesian (expects 0=North)
+                const [x, y, z] = polarToCartesian(az, el, distance);
+                positions.setXYZ(idx, x, y, z);
+            } else {
+                positions.setXYZ(idx, 0, HIDDEN_Y, 0);
+            }
+        });
+        positions.needsUpdate = true;
+    });
+
+    return <points geometry={geometry} material={material} frustumCulled={false} />;
+}
+
+// Every stick-figure segment as [ra1, dec1, ra2, dec2] (J2000 degrees)
+const CONSTELLATION_SEGMENTS = constellations.flatMap(constellation =>
+    constellation.lines.flatMap(line =>
+        line.slice(1).map((point, idx) => [...line[idx], ...point])));
+
+function Constellations({ clock, observerLat, observerLon, atmosphere }) {
+    // Stick figures and names, drawn on the same sphere as the stars. Segments
+    // with both ends below the horizon are hidden like the stars are.
+    const distance = 400;
+    const geometry = useMemo(() => {
+        const geo = new THREE.BufferGeometry();
+        geo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(CONSTELLATION_SEGMENTS.length * 6), 3));
+        return geo;
+    }, []);
+    const [labels, setLabels] = useState([]);
+
+    useEffect(() => () => geometry.dispose(), [geometry]);
+
+    useStarFieldUpdate(clock, [observerLat, observerLon, atmosphere?.temperature, atmosphere?.pressure], (date) => {
+        const project = createStarProjector(date, observerLat, observerLon, atmosphere);
+        const positions = geometry.getAttribute('position');
+
+        CONSTELLATION_SEGMENTS.forEach(([ra1, dec1, ra2, dec2], idx) => {
+            const a = project(ra1, dec1);
+            const b = project(ra2, dec2);
+            if (a.elevation > -0.1 || b.elevation > -0.1) {
+                positions.setXYZ(idx * 2, ...polarToCartesian(a.azimuth, a.elevation, distance));
+                positions.setXYZ(idx * 2 + 1, ...polarToCartesian(b.azimuth, b.elevation, distance));
+            } else {
+                positions.setXYZ(idx * 2, 0, HIDDEN_Y, 0);
+                positions.setXYZ(idx * 2 + 1, 0, HIDDEN_Y, 0);
+            }
         });
-        setStarPositions(positions);
+        positions.needsUpdate = true;
+
+        setLabels(constellations.map(constellation => {
+            const { azimuth, elevation } = project(...constellation.label);
+            return elevation > 0 && {
+                id: constellation.id,
+                name: constellation.name,
+                position: polarToCartesian(azimuth, elevation, distance)
+            };
+        }).filter(Boolean));
     });
 
     return (
         <group>
-            {starPositions.map((star, idx) => (
-                star.visible && (
-                <group key={idx} position={star.position}>
-                    <mesh>
-                        <sphereGeometry args={[Math.max(0.2, 1.5 + star.mag * -0.5), 8, 8]} />
-                        <meshBasicMaterial color="white" />
-                    </mesh>
-                     {/* Only label very bright stars or if zoomed in? keeping simple for now */}
-                </group>
-                )
+            <lineSegments geometry={geometry} frustumCulled={false}>
+                <lineBasicMaterial color="#6f8fd8" transparent opacity={0.35} depthWrite={false} />
+            </lineSegments>
+            {labels.map(label => (
+                <Html key={label.id} position={label.position} distanceFactor={120}>
+                    <div className="text-xs text-blue-300 opacity-60 whitespace-nowrap pointer-events-none">{label.name}</div>
+                </Html>
             ))}
         </group>
-    )
+    );
 }
 
-function Satellites({ observerLat, observerLon }) {
-    const [satellites, setSatellites] = useState([]);
-    const [satPositions, setSatPositions] = useState([]);
+// Celestrak groups offered in the UI (served through /api/tles)
+const TLE_GROUPS = [
+    { id: 'active', label: 'All active' },
+    { id: 'visual', label: '100 brightest' },
+    { id: 'stations', label: 'Space stations' },
+    { id: 'starlink', label: 'Starlink' },
+    { id: 'gps-ops', label: 'GPS' }
+];
 
-    useEffect(() => {
-        const loadData = async () => {
-            const data = await fetchTLEs();
-            setSatellites(data.slice(0, 500));
-        };
-        loadData();
-    }, []);
+// Toggleable sky layers, in legend order. `swatch` styles the legend marker.
+const SKY_LAYERS = [
+    { id: 'satellites', label: 'Satellites', swatch: 'w-3 h-3 rounded-full bg-green-500', default: true },
+    { id: 'planes', label: 'Planes', swatch: 'w-3 h-3 bg-cyan-500', default: true },
+    { id: 'stars', label: 'Stars', swatch: 'w-3 h-3 rounded-full bg-white', default: true },
+    { id: 'constellations', label: 'Constellations', swatch: 'w-3 h-px bg-blue-300', default: false },
+    { id: 'solarSystem', label: 'Sun/Moon/Planets', swatch: 'w-3 h-3 rounded-full bg-yellow-300', default: true }
+];
 
-    useFrame(() => {
-        if (satellites.length === 0) return;
+// { id: visible } from a list of visible ids (or the defaults)
+const layersFromList = (ids) => Object.fromEntries(SKY_LAYERS.map(layer => [
+    layer.id,
+    ids ? ids.includes(layer.id) : layer.default
+]));
 
-        const now = new Date();
-        const positions = satellites.map(sat => {
-            const relativePos = getSatPositionRelative(sat.satrec, now, observerLat, observerLon, 0);
-            if (!relativePos) return null;
-            if (relativePos.elevation < 0) return null; // Below horizon
+// Limiting magnitude slider: roughly a city sky up to a dark rural one
+// (the bundled catalog goes down to 6.5)
+const STAR_MAG_RANGE = [1, 6.5];
+const DEFAULT_STAR_MAG_LIMIT = 5;
 
-            const distance = 80; // Render further out
-            const pos = polarToCartesian(relativePos.azimuth, relativePos.elevation, distance);
+const PLANE_SOURCE_LABELS = {
+    opensky: 'OpenSky',
+    local: 'Local ADS-B',
+    merged: 'OpenSky + ADS-B'
+};
 
+const PLANET_COLORS = {
+    mercury: '#b5b5b5',
+    venus: '#fff4c2',
+    mars: '#ff7043',
+    jupiter: '#f2d7a6',
+    saturn: '#e8c36a'
+};
+
+function SolarSystem({ clock, observerLat, observerLon, atmosphere, skyRef }) {
+    // Sun, Moon and naked-eye planets. Same RA/Dec -> Az/El pipeline as RealStars,
+    // recomputed on the STAR_UPDATE_MS throttle (they drift no faster than the
+    // sky turns). Markers are moved through refs; React state only holds the Moon's
+    // label text, which changes a few times a day.
+    const [moonLabel, setMoonLabel] = useState('');
+    const sunRef = useRef();
+    const lightRef = useRef();
+    const moonRef = useRef();
+    const planetRefs = useRef({}); // id -> { group, mesh }
+    // Html ignores the group's `visible`, so the labels are hidden themselves
+    const labelRefs = useRef({}); // id -> element
+    // The planets drawn; their positions come from the frame updates
+    const planetList = useMemo(
+        () => getPlanetPositions(new Date(), observerLat, observerLon).map(({ id, name }) => ({ id, name })),
+        [observerLat, observerLon]
+    );
+
+    // Hidden layer: nothing of it is in the sky any more
+    useEffect(() => () => {
+        skyRef.current.solarSystem = [];
+    }, [skyRef]);
+
+    const show = (id, group, body) => {
+        const label = labelRefs.current[id];
+        if (!group) return;
+        group.visible = body.visible;
+        if (label) label.style.display = body.visible ? '' : 'none';
+        group.position.set(...body.position);
+    };
+
+    useStarFieldUpdate(clock, [observerLat, observerLon, atmosphere?.temperature, atmosphere?.pressure], (now) => {
+        const sun = { ...getSunPosition(now, observerLat, observerLon), id: 'sun', name: 'Sun', type: 'sun', mag: -26.7 };
+        const moon = { ...getMoonPosition(now, observerLat, observerLon), type: 'moon' };
+        const planets = getPlanetPositions(now, observerLat, observerLon).map(planet => ({ ...planet, type: 'planet' }));
+
+        const place = (body, distance) => {
+            const elevation = applyRefraction(body.elevation, atmosphere);
             return {
-                id: sat.name,
-                position: pos,
-                info: sat
+                ...body,
+                elevation,
+                geometricElevation: body.elevation,
+                position: polarToCartesian(body.azimuth, elevation, distance),
+                visible: elevation > -0.1
             };
-        }).filter(p => p !== null);
+        };
+
+        const placedSun = place(sun, 390);
+        const placedMoon = place(moon, 380);
+        const placedPlanets = planets.map(planet => place(planet, 395));
+
+        // Lights the Moon from the Sun's direction so its phase shows
+        if (lightRef.current) lightRef.current.position.set(...placedSun.position);
+        show('sun', sunRef.current, placedSun);
+        show('moon', moonRef.current, placedMoon);
+        placedPlanets.forEach(planet => {
+            const refs = planetRefs.current[planet.id];
+            if (!refs) return;
+            show(planet.id, refs.group, planet);
+            if (refs.mesh) refs.mesh.scale.setScalar(Math.max(0.8, 2 - planet.mag * 0.5));
+        });
 
-        setSatPositions(positions);
+        const label = `Moon · ${moonPhaseName(placedMoon.illumination, placedMoon.waxing)} ${Math.round(placedMoon.illumination * 100)}%`;
+        setMoonLabel(current => (current === label ? current : label));
+
+        skyRef.current.solarSystem = [placedSun, placedMoon, ...placedPlanets].filter(body => body.elevation > 0);
     });
 
+    const planetRef = (id, key) => (el) => {
+        planetRefs.current[id] = { ...planetRefs.current[id], [key]: el };
+    };
+    const labelRef = (id) => (el) => {
+        labelRefs.current[id] = el;
+    };
+
     return (
         <group>
-            {satPositions.map((sat, idx) => (
-                <mesh key={idx} position={sat.position}>
-                    <sphereGeometry args={[0.3, 8, 8]} />
-                    <meshBasicMaterial color="#00ff00" />
+            <directionalLight ref={lightRef} intensity={1.5} />
+
+            <group ref={sunRef}>
+                <mesh>
+                    <sphereGeometry args={[8, 16, 16]} />
+                    <meshBasicMaterial color="#ffdd55" />
                 </mesh>
+                <Html distanceFactor={120}>
+                    <div ref={labelRef('sun')} style={{ display: 'none' }} className="text-xs text-yellow-300 whitespace-nowrap">Sun</div>
+                </Html>
+            </group>
+
+            <group ref={moonRef}>
+                <mesh>
+                    <sphereGeometry args={[6, 24, 24]} />
+                    <meshStandardMaterial color="#e6e6e6" roughness={1} />
+                </mesh>
+                <Html distanceFactor={120}>
+                    <div ref={labelRef('moon')} style={{ display: 'none' }} className="text-xs text-gray-200 whitespace-nowrap">
+                        {moonLabel}
+                    </div>
+                </Html>
+            </group>
+
+            {planetList.map(planet => (
+                <group key={planet.id} ref={planetRef(planet.id, 'group')}>
+                    <mesh ref={planetRef(planet.id, 'mesh')}>
+                        <sphereGeometry args={[1, 12, 12]} />
+                        <meshBasicMaterial color={PLANET_COLORS[planet.id]} />
+                    </mesh>
+                    <Html distanceFactor={120}>
+                        <div ref={labelRef(planet.id)} style={{ display: 'none' }} className="text-xs text-yellow-200 whitespace-nowrap">{planet.name}</div>
+                    </Html>
+                </group>
             ))}
         </group>
     );
 }
 
-function Planes({ observerLat, observerLon }) {
-    const [planes, setPlanes] = useState([]);
-    const [planePositions, setPlanePositions] = useState([]);
+// Keyframe spacing for satellite propagation, in simulation time. About one
+// keyframe pair per second of real time, but never so far apart that linear
+// interpolation between them visibly cuts the corner of an orbit.
+const SAT_KEYFRAME_REAL_MS = 1000;
+const SAT_KEYFRAME_MIN_MS = 1000;
+const SAT_KEYFRAME_MAX_MS = 30000;
 
-    useEffect(() => {
-        const loadPlanes = async () => {
-            // Define bounding box around observer (approx +/- 2 degrees ~ 200km)
-            const minLat = observerLat - 2;
-            const maxLat = observerLat + 2;
-            const minLon = observerLon - 2;
-            const maxLon = observerLon + 2;
+// Marker looks (point size px, RGBA) for satellites nobody could see
+const SAT_SHADOW_LOOK = { size: 2, rgba: [0.5, 0.5, 0.5, 0.35] }; // in Earth's shadow
+const SAT_DAYLIGHT_LOOK = { size: 2.5, rgba: [0, 1, 0, 0.3] }; // sunlit, but the sky is too bright
+
+// Point size and color for a satellite, or null to hide it.
+// magnitude: estimated visual magnitude (Infinity in shadow), sunAltitude: radians
+const satelliteLook = (magnitude, sunAltitude, nakedEyeOnly) => {
+    if (nakedEyeOnly && !isNakedEyeVisible(magnitude, sunAltitude)) return null;
+    if (magnitude === Infinity) return SAT_SHADOW_LOOK;
+    if (sunAltitude >= DARK_SKY_SUN_ALTITUDE) return SAT_DAYLIGHT_LOOK;
+    // Brighter is bigger, like the stars; fainter than the eye can see is faded
+    return {
+        size: Math.min(8, Math.max(2, 6 - magnitude)),
+        rgba: [0, 1, 0, magnitude <= NAKED_EYE_LIMIT_MAG ? 1 : 0.45]
+    };
+};
 
-            const data = await fetchPlanes(minLat, minLon, maxLat, maxLon);
-            setPlanes(data);
+// Satellite trains (see trainUtils.js): a line through the members above the
+// horizon, in flight order, and a label at the front. Positions come from the
+// vectors Satellites interpolates; this frame callback is registered first, so
+// it draws the previous frame's, which nobody can tell.
+function SatelliteTrains({ trains, vectorsRef, distance }) {
+    const segmentCount = trains.reduce((sum, train) => sum + train.members.length - 1, 0);
+    const geometry = useMemo(() => {
+        const lineGeometry = new THREE.BufferGeometry();
+        lineGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(segmentCount * 6), 3));
+        return lineGeometry;
+    }, [segmentCount]);
+    const labelGroupRefs = useRef([]);
+    const labelRefs = useRef([]);
+
+    useEffect(() => () => geometry.dispose(), [geometry]);
+
+    useFrame(() => {
+        const vectors = vectorsRef.current;
+        const positions = geometry.getAttribute('position');
+        // Scene position of satellite i, null when below the horizon
+        const toScene = (i) => {
+            const x = vectors[i * 3], y = vectors[i * 3 + 1], z = vectors[i * 3 + 2];
+            if (!(y > 0)) return null;
+            const scale = distance / Math.sqrt(x * x + y * y + z * z);
+            return [x * scale, y * scale, z * scale];
         };
 
-        // Poll every 10 seconds
-        loadPlanes();
-        const interval = setInterval(loadPlanes, 10000);
-        return () => clearInterval(interval);
-    }, [observerLat, observerLon]);
+        let segment = 0;
+        trains.forEach((train, idx) => {
+            const points = train.members.map(toScene);
+            for (let k = 1; k < points.length; k++, segment++) {
+                if (points[k - 1] && points[k]) {
+                    positions.setXYZ(segment * 2, ...points[k - 1]);
+                    positions.setXYZ(segment * 2 + 1, ...points[k]);
+                } else {
+                    positions.setXYZ(segment * 2, 0, HIDDEN_Y, 0);
+                    positions.setXYZ(segment * 2 + 1, 0, HIDDEN_Y, 0);
+                }
+            }
+
+            // Html ignores the group's `visible`, so hide the label element itself
+            const front = points.find(Boolean);
+            const group = labelGroupRefs.current[idx];
+            const label = labelRefs.current[idx];
+            if (!group || !label) return;
+            label.style.display = front ? '' : 'none';
+            if (front) group.position.set(...front);
+        });
+        positions.needsUpdate = true;
+    });
+
+    return (
+        <>
+            <lineSegments geometry={geometry} frustumCulled={false}>
+                <lineBasicMaterial color="#bef264" transparent opacity={0.6} depthWrite={false} />
+            </lineSegments>
+            {trains.map((train, idx) => (
+                <group key={train.id} ref={(el) => { labelGroupRefs.current[idx] = el; }}>
+                    <Html distanceFactor={120}>
+                        <div ref={(el) => { labelRefs.current[idx] = el; }} style={{ display: 'none' }} className="text-xs text-lime-300 whitespace-nowrap pointer-events-none">
+                            {train.label} ({train.members.length})
+                        </div>
+                    </Html>
+                </group>
+            ))}
+        </>
+    );
+}
+
+function Satellites({ clock, satellites, observerLat, observerLon, observerAlt, atmosphere, skyRef, nakedEyeOnly, trains }) {
+    // Propagation runs in a Web Worker (satelliteWorker.js) which returns
+    // keyframe pairs; each frame we interpolate between them straight into the
+    // Points buffer. No React state is touched per frame.
+    // Marker size/color follow the estimated brightness of the keyframe nearest
+    // in time (it changes slowly), redone only when that keyframe changes.
+    const distance = 80; // Render further out
+    const count = satellites.length;
+
+    const geometry = useMemo(() => createSkyPointsGeometry(count, 4, [0, 1, 0, 1]), [count, satellites]);
+    const material = useMemo(() => createSkyPointsMaterial(), []);
+    const workerRef = useRef(null);
+    const framesRef = useRef([]); // received keyframe pairs { t0, t1, a, b }
+    const pendingRef = useRef(null); // requestId in flight
+    const generationRef = useRef(0); // bumped whenever catalog/observer change
+    const requestIdRef = useRef(0);
+    // Interpolated topocentric vectors (km) from the last frame, for skyRef
+    const vectorsRef = useRef(new Float32Array(0));
+    // Brightness the markers currently show: { magnitudes, sunAltitude, hidden, nakedEyeOnly }
+    const lookRef = useRef(null);
+
+    useEffect(() => {
+        const worker = new Worker(new URL('../workers/satelliteWorker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = ({ data }) => {
+            if (data.requestId === pendingRef.current) pendingRef.current = null;
+            if (data.generation !== generationRef.current) return;
+            framesRef.current = [...framesRef.current.slice(-1), {
+                t0: data.times[0],
+                t1: data.times[1],
+                a: data.frames[0],
+                b: data.frames[1],
+                magnitudes: data.magnitudes,
+                sunAltitudes: data.sunAltitudes
+            }];
+        };
+        workerRef.current = worker;
+        return () => {
+            worker.terminate();
+            workerRef.current = null;
+        };
+    }, []);
+
+    useEffect(() => () => geometry.dispose(), [geometry]);
+    useEffect(() => () => material.dispose(), [material]);
+
+    // New catalog or observer: everything computed so far is stale
+    const invalidate = () => {
+        generationRef.current++;
+        framesRef.current = [];
+        pendingRef.current = null;
+    };
+
+    useEffect(() => {
+        invalidate();
+        vectorsRef.current = new Float32Array(count * 3).fill(NaN);
+        lookRef.current = null;
+        workerRef.current.postMessage({
+            type: 'init',
+            tles: satellites.map(sat => ({ line1: sat.line1, line2: sat.line2, standardMagnitude: getStandardMagnitude(sat) }))
+        });
+    }, [satellites, count]);
+
+    useEffect(() => {
+        invalidate();
+        workerRef.current.postMessage({
+            type: 'observer',
+            lat: observerLat,
+            lon: observerLon,
+            alt: observerAlt / 1000, // km
+            atmosphere: atmosphere && { temperature: atmosphere.temperature, pressure: atmosphere.pressure }
+        });
+    }, [observerLat, observerLon, observerAlt, atmosphere?.temperature, atmosphere?.pressure]);
+
+    useEffect(() => publishLazy(skyRef, 'satellites', () => {
+        const vectors = vectorsRef.current;
+        const look = lookRef.current;
+        const list = [];
+        for (let i = 0; i < satellites.length; i++) {
+            const x = vectors[i * 3], y = vectors[i * 3 + 1], z = vectors[i * 3 + 2];
+            if (!(y > 0)) continue; // below horizon or not propagated
+            if (look && look.hidden[i]) continue; // filtered out, can't be seen
+            const { azimuth, elevation, distance: range } = cartesianToPolar(x, y, z);
+            const magnitude = look ? look.magnitudes[i] : NaN;
+            list.push({
+                id: satellites[i].name,
+                name: satellites[i].name,
+                azimuth,
+                elevation, // apparent, the worker refracts
+                geometricElevation: removeRefraction(elevation, atmosphere),
+                range,
+                sunlit: Number.isNaN(magnitude) ? null : magnitude !== Infinity,
+                magnitude: Number.isFinite(magnitude) ? magnitude : null,
+                info: satellites[i]
+            });
+        }
+        return list;
+    }), [skyRef, satellites, atmosphere]);
+
+    const request = (t0, t1) => {
+        const requestId = ++requestIdRef.current;
+        pendingRef.current = requestId;
+        workerRef.current.postMessage({
+            type: 'propagate',
+            requestId,
+            generation: generationRef.current,
+            times: [t0, t1]
+        });
+    };
 
     useFrame(() => {
-        if (planes.length === 0) return;
+        if (count === 0 || !workerRef.current) return;
+
+        const t = clock.nowMs();
+        const rate = clock.isPaused() ? 0 : clock.getRate();
+        const step = (rate < 0 ? -1 : 1) *
+            Math.min(SAT_KEYFRAME_MAX_MS, Math.max(SAT_KEYFRAME_MIN_MS, Math.abs(rate) * SAT_KEYFRAME_REAL_MS));
+
+        const frames = framesRef.current;
+        const covers = (f, time) => time >= Math.min(f.t0, f.t1) && time <= Math.max(f.t0, f.t1);
+        const current = frames.find(f => covers(f, t));
+
+        // Keep the worker one keyframe pair ahead in the direction time is running
+        if (pendingRef.current === null) {
+            if (!current) {
+                request(t, t + step);
+            } else {
+                const edge = step > 0 ? Math.max(current.t0, current.t1) : Math.min(current.t0, current.t1);
+                const nearEdge = Math.abs(edge - t) < Math.abs(current.t1 - current.t0) / 2;
+                const beyond = edge + step * 0.01;
+                if (nearEdge && !frames.some(f => covers(f, beyond))) {
+                    request(edge, edge + step);
+                }
+            }
+        }
+
+        // While waiting after a jump, hold the closest keyframe we have
+        const frame = current || frames[frames.length - 1];
+        if (!frame) return;
+        const f = Math.max(0, Math.min(1, (t - frame.t0) / (frame.t1 - frame.t0)));
+
+        const keyframe = f < 0.5 ? 0 : 1;
+        const magnitudes = frame.magnitudes[keyframe];
+        const sunAltitude = frame.sunAltitudes[keyframe];
+        if (!lookRef.current || lookRef.current.magnitudes !== magnitudes || lookRef.current.nakedEyeOnly !== nakedEyeOnly) {
+            const hidden = new Uint8Array(count);
+            const sizes = geometry.getAttribute('size');
+            const colors = geometry.getAttribute('rgba');
+            for (let i = 0; i < count; i++) {
+                const look = satelliteLook(magnitudes[i], sunAltitude, nakedEyeOnly);
+                if (!look) {
+                    hidden[i] = 1;
+                    continue;
+                }
+                sizes.setX(i, look.size);
+                colors.setXYZW(i, ...look.rgba);
+            }
+            sizes.needsUpdate = true;
+            colors.needsUpdate = true;
+            lookRef.current = { magnitudes, sunAltitude, hidden, nakedEyeOnly };
+        }
+        const hidden = lookRef.current.hidden;
+
+        const positions = geometry.getAttribute('position');
+        const vectors = vectorsRef.current;
+        const { a, b } = frame;
+        for (let i = 0; i < count; i++) {
+            const x = a[i * 3] + (b[i * 3] - a[i * 3]) * f;
+            const y = a[i * 3 + 1] + (b[i * 3 + 1] - a[i * 3 + 1]) * f;
+            const z = a[i * 3 + 2] + (b[i * 3 + 2] - a[i * 3 + 2]) * f;
+            vectors[i * 3] = x;
+            vectors[i * 3 + 1] = y;
+            vectors[i * 3 + 2] = z;
+
+            if (y > 0 && !hidden[i]) { // Above horizon (false for NaN too)
+                const scale = distance / Math.sqrt(x * x + y * y + z * z);
+                positions.setXYZ(i, x * scale, y * scale, z * scale);
+            } else {
+                positions.setXYZ(i, 0, HIDDEN_Y, 0);
+            }
+        }
+        positions.needsUpdate = true;
+    });
+
+    return (
+        <>
+            <points geometry={geometry} material={material} frustumCulled={false} />
+            {trains.length > 0 && <SatelliteTrains trains={trains} vectorsRef={vectorsRef} distance={distance} />}
+        </>
+    );
+}
+
+// Track history plus the current position
+const TRAIL_CAPACITY = MAX_TRACK_POINTS + 1;
 
-        const now = Date.now() / 1000; // current time in seconds
+// Fading line through an aircraft's recent positions, oldest (transparent) to
+// newest (bright). points: [[x, y, z], ...] in scene coordinates.
+// Planes hands over a new array every frame, so the buffers are allocated once
+// at full size and only written to.
+function PlaneTrail({ points }) {
+    const geometry = useMemo(() => {
+        const trailGeometry = new THREE.BufferGeometry();
+        trailGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(TRAIL_CAPACITY * 3), 3));
+        trailGeometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(TRAIL_CAPACITY * 4), 4));
+        return trailGeometry;
+    }, []);
+
+    useEffect(() => () => geometry.dispose(), [geometry]);
+
+    useLayoutEffect(() => {
+        const positions = geometry.getAttribute('position');
+        const colors = geometry.getAttribute('color');
+        const count = Math.min(points.length, TRAIL_CAPACITY);
+        const first = points.length - count;
+        for (let idx = 0; idx < count; idx++) {
+            positions.setXYZ(idx, ...points[first + idx]);
+            colors.setXYZW(idx, 0, 1, 1, 0.8 * (idx + 1) / count);
+        }
+        positions.needsUpdate = true;
+        colors.needsUpdate = true;
+        geometry.setDrawRange(0, count);
+    }, [geometry, points]);
+
+    return (
+        <line geometry={geometry} frustumCulled={false}>
+            <lineBasicMaterial vertexColors transparent depthWrite={false} />
+        </line>
+    );
+}
 
-        const positions = planes.map(plane => {
-            const timePos = plane[3];
-            const velocity = plane[9] || 0;
-            const heading = plane[10] || 0;
-            const lat = plane[6];
-            const lon = plane[5];
-            const alt = plane[7] || 0;
-            const verticalRate = plane[11] || 0;
+// Anomaly scores are recomputed when a track gets a report, or this often (s)
+// for the checks that depend on the time alone (stale position)
+const ANOMALY_REFRESH_SECONDS = 5;
 
-            if (lat === null || lon === null) return null;
+function Planes({ clock, planeTracks, observerLat, observerLon, observerAlt, skyRef, oddOnly }) {
+    const [planePositions, setPlanePositions] = useState([]);
+    const anomalyCacheRef = useRef(new Map()); // icao24 -> { stamp, anomaly }
 
-            const elapsedSeconds = timePos ? Math.max(0, now - timePos) : 0;
+    // Cached scorePlaneTrack
+    const trackAnomaly = (track, now) => {
+        const last = track.points[track.points.length - 1];
+        const stamp = `${track.points.length}:${last.lastSeen}:${Math.floor(now / ANOMALY_REFRESH_SECONDS)}`;
+        const cached = anomalyCacheRef.current.get(track.icao24);
+        if (cached && cached.stamp === stamp) return cached.anomaly;
+        const anomaly = scorePlaneTrack(track, now);
+        anomalyCacheRef.current.set(track.icao24, { stamp, anomaly });
+        return anomaly;
+    };
 
-            const R = 6371000; // Earth radius in meters
-            const distMoved = velocity * elapsedSeconds; // meters
-            const headingRad = heading * Math.PI / 180;
-            const latRad = lat * Math.PI / 180;
+    useEffect(() => () => {
+        skyRef.current.planes = [];
+    }, [skyRef]);
 
-            const dLat = (distMoved * Math.cos(headingRad)) / R;
-            const dLon = (distMoved * Math.sin(headingRad)) / (R * Math.cos(latRad));
+    useFrame(() => {
+        const now = clock.nowMs() / 1000; // simulation time in seconds
 
-            const newLat = lat + (dLat * 180 / Math.PI);
-            const newLon = lon + (dLon * 180 / Math.PI);
-            const newAlt = alt + (verticalRate * elapsedSeconds);
+        // Live or replayed, from whatever report was current at that time,
+        // blended so new reports don't make the aircraft jump.
+        const planes = getPlaneDisplayStates(planeTracks.current, now);
+        if (planes.length === 0 && planePositions.length === 0) return;
 
-            const virtualPlane = [...plane];
-            virtualPlane[5] = newLon;
-            virtualPlane[6] = newLat;
-            virtualPlane[7] = newAlt;
+        const distance = 60; // Render closer than satellites
+        const toScene = (state) => {
+            const relativePos = getPlanePositionRelative(state, observerLat, observerLon, observerAlt);
+            return relativePos && polarToCartesian(relativePos.azimuth, relativePos.elevation, distance);
+        };
 
-            const relativePos = getPlanePositionRelative(virtualPlane, observerLat, observerLon, 0);
+        const positions = planes.map(({ track, state: virtualPlane }) => {
+            // No refraction: aircraft are inside the atmosphere and close by,
+            // astronomical refraction would overstate it
+            const relativePos = getPlanePositionRelative(virtualPlane, observerLat, observerLon, observerAlt);
             if (!relativePos) return null;
             if (relativePos.elevation < 0) return null; // Below horizon
 
-            const distance = 60; // Render closer than satellites
+            const anomaly = trackAnomaly(track, now);
+            if (oddOnly && !anomaly.flagged) return null;
+
             const pos = polarToCartesian(relativePos.azimuth, relativePos.elevation, distance);
+            const trail = [
+                ...getTrackTrail(track, now).map(toScene).filter(Boolean),
+                pos
+            ];
 
             return {
-                id: plane[0], // icao24
-                callsign: relativePos.callsign || plane[0],
+                id: virtualPlane[0], // icao24
+                name: relativePos.callsign || virtualPlane[0],
+                callsign: relativePos.callsign || virtualPlane[0],
+                azimuth: relativePos.azimuth,
+                elevation: relativePos.elevation,
+                geometricElevation: relativePos.elevation,
+                range: relativePos.range,
                 position: pos,
-                heading: plane[10] || 0
+                trail,
+                state: virtualPlane,
+                heading: virtualPlane[10] || 0,
+                anomaly
             };
         }).filter(p => p !== null);
 
+        // Forget tracks that are gone
+        if (anomalyCacheRef.current.size > planeTracks.current.size) {
+            anomalyCacheRef.current.forEach((_, icao24) => {
+                if (!planeTracks.current.has(icao24)) anomalyCacheRef.current.delete(icao24);
+            });
+        }
+
         setPlanePositions(positions);
+        skyRef.current.planes = positions;
     });
 
     return (
         <group>
-            {planePositions.map((plane, idx) => (
-                <group key={idx} position={plane.position} rotation={[0, -plane.heading * (Math.PI / 180), 0]}>
-                    <mesh rotation={[-Math.PI / 2, 0, 0]}>
-                        <coneGeometry args={[0.2, 0.6, 8]} />
-                        <meshBasicMaterial color="#00ffff" />
-                    </mesh>
-                    <Html distanceFactor={15}>
-                        <div className="text-xs text-cyan-400 whitespace-nowrap">{plane.callsign}</div>
-                    </Html>
+            {planePositions.map(plane => (
+                <group key={plane.id}>
+                    {plane.trail.length > 1 && <PlaneTrail points={plane.trail} />}
+                    <group position={plane.position} rotation={[0, -plane.heading * (Math.PI / 180), 0]}>
+                        <mesh rotation={[-Math.PI / 2, 0, 0]}>
+                            <coneGeometry args={plane.anomaly.flagged ? [0.35, 0.9, 8] : [0.2, 0.6, 8]} />
+                            <meshBasicMaterial color={plane.anomaly.flagged ? '#ff00ff' : '#00ffff'} />
+                        </mesh>
+                        <Html distanceFactor={15}>
+                            {plane.anomaly.flagged ? (
+                                <div className="text-xs text-fuchsia-400 whitespace-nowrap" title={plane.anomaly.reasons.map(reason => REASON_LABELS[reason.id]).join(', ')}>
+                                    ⚠ {plane.callsign}
+                                </div>
+                            ) : (
+                                <div className="text-xs text-cyan-400 whitespace-nowrap">{plane.callsign}</div>
+                            )}
+                        </Html>
+                    </group>
                 </group>
             ))}
         </group>
     )
 }
 
+// Triangulated fixes are drawn at this scene distance, between planes and the highlight rings
+const TRIANGULATION_DISTANCE = 55;
+
+// Polyline through scene points (closed when `loop`)
+function SkyPolyline({ points, color, loop }) {
+    const geometryRef = useRef();
+
+    useLayoutEffect(() => {
+        const geometry = geometryRef.current;
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(points.flat()), 3));
+        geometry.computeBoundingSphere();
+    }, [points]);
+
+    const material = <lineBasicMaterial color={color} transparent opacity={0.8} depthWrite={false} />;
+    return loop ? (
+        <lineLoop>
+            <bufferGeometry ref={geometryRef} />
+            {material}
+        </lineLoop>
+    ) : (
+        <line>
+            <bufferGeometry ref={geometryRef} />
+            {material}
+        </line>
+    );
+}
+
+// Object positions estimated by triangulation (triangulationUtils.js), seen
+// from the current observer: a marker per fix with its error ellipse and
+// altitude error bar, and the path through the fixes. Positions are fixed in
+// space, so this only changes with the observer. No refraction, like aircraft.
+function TriangulatedObject({ triangulation, observerLat, observerLon, observerAlt }) {
+    const fixes = useMemo(() => {
+        const observer = { lat: observerLat, lon: observerLon, alt: observerAlt };
+        const toScene = (look) => polarToCartesian(look.azimuth, look.elevation, TRIANGULATION_DISTANCE);
+        const positionToScene = (position) => toScene(lookFromObserver(observer, position));
+        return triangulation.fixes.filter(fix => !fix.error).map(fix => {
+            const look = lookFromObserver(observer, fix.position);
+            return {
+                key: fix.sightingIds.join(),
+                fix,
+                position: toScene(look),
+                range: look.range,
+                outline: uncertaintyOutline(fix).map(positionToScene),
+                altitudeBar: [
+                    positionToScene({ ...fix.position, alt: fix.position.alt - fix.altitudeSigma }),
+                    positionToScene({ ...fix.position, alt: fix.position.alt + fix.altitudeSigma })
+                ]
+            };
+        });
+    }, [triangulation, observerLat, observerLon, observerAlt]);
+
+    if (fixes.length === 0) return null;
+    const { motion } = triangulation;
+    const last = fixes[fixes.length - 1];
+
+    return (
+        <group>
+            {fixes.length > 1 && <SkyPolyline points={fixes.map(item => item.position)} color="#fb923c" />}
+            {fixes.map(item => (
+                <group key={item.key}>
+                    <SkyPolyline points={item.outline} color="#fb923c" loop />
+                    <SkyPolyline points={item.altitudeBar} color="#fb923c" />
+                    <mesh position={item.position}>
+                        <sphereGeometry args={[0.25, 8, 8]} />
+                        <meshBasicMaterial color="#fb923c" />
+                    </mesh>
+                </group>
+            ))}
+            <group position={last.position}>
+                <Html distanceFactor={15}>
+                    <div className="text-xs text-orange-400 whitespace-nowrap">
+                        <div>Triangulated · alt {(last.fix.position.alt / 1000).toFixed(1)} ± {(last.fix.altitudeSigma / 1000).toFixed(1)} km</div>
+                        <div>{last.range.toFixed(1)} km away</div>
+                        {motion && <div>{(motion.speed * 3.6).toFixed(0)} km/h → {motion.heading.toFixed(0)}°</div>}
+                    </div>
+                </Html>
+            </group>
+        </group>
+    );
+}
+
 function Globe() {
     // A simple representation of the Earth below the observer
     // Observer is at (0,0,0). Earth radius is huge.
@@ -273,19 +935,301 @@ function Globe() {
     )
 }
 
-function Scene({ observerLat, observerLon, isARMode }) {
+// Publishes the direction the camera is looking (Az/El, radians) so the
+// DOM overlay can read it, e.g. when tagging a sighting.
+function AimTracker({ aimRef }) {
+    const direction = useMemo(() => new THREE.Vector3(), []);
+
+    useFrame(({ camera }) => {
+        camera.getWorldDirection(direction);
+        const { azimuth, elevation } = cartesianToPolar(direction.x, direction.y, direction.z);
+        aimRef.current = { azimuth, elevation };
+    });
+
+    return null;
+}
+
+// How close (screen pixels) a click/hover has to be to an object to pick it
+const PICK_RADIUS_PX = 15;
+// Pointer movement (pixels) between down and up that still counts as a click,
+// anything more is an OrbitControls drag
+const CLICK_SLOP_PX = 5;
+
+// Click/tap picking and hover for the sky layers. Points have no meshes to
+// raycast against, so the pointer is turned into a direction (Az/El) and
+// matched against what the layers publish on skyRef, like "Tag Object" does
+// for the aim point. Hover only happens in manual mode (there is no hover on
+// a phone held up to the sky).
+function SkyPicker({ skyRef, hoverRef, isARMode, onPick }) {
+    const { camera, gl } = useThree();
+    const onPickRef = useRef(onPick);
+    onPickRef.current = onPick;
+
+    useEffect(() => {
+        const element = gl.domElement;
+        const raycaster = new THREE.Raycaster();
+        const pointer = new THREE.Vector2();
+        let down = null;
+        let hoverFrame = null;
+
+        const pickAt = (event) => {
+            const rect = element.getBoundingClientRect();
+            pointer.set(
+                ((event.clientX - rect.left) / rect.width) * 2 - 1,
+                -((event.clientY - rect.top) / rect.height) * 2 + 1
+            );
+            raycaster.setFromCamera(pointer, camera);
+            const { x, y, z } = raycaster.ray.direction;
+            const { azimuth, elevation } = cartesianToPolar(x, y, z);
+            const radius = PICK_RADIUS_PX * (camera.fov * Math.PI / 180) / rect.height;
+            return findNearestObject(skyRef.current, azimuth, elevation, radius);
+        };
+
+        const handleDown = (event) => {
+            down = { x: event.clientX, y: event.clientY };
+        };
+        const handleUp = (event) => {
+            if (!down) return;
+            const moved = Math.hypot(event.clientX - down.x, event.clientY - down.y);
+            down = null;
+            if (moved <= CLICK_SLOP_PX) onPickRef.current(pickAt(event));
+        };
+        const handleMove = (event) => {
+            if (isARMode || hoverFrame !== null) return;
+            // At most one pick per animation frame
+            hoverFrame = requestAnimationFrame(() => {
+                hoverFrame = null;
+                hoverRef.current = pickAt(event);
+                element.style.cursor = hoverRef.current ? 'pointer' : '';
+            });
+        };
+        const handleLeave = () => {
+            hoverRef.current = null;
+            element.style.cursor = '';
+        };
+
+        element.addEventListener('pointerdown', handleDown);
+        element.addEventListener('pointerup', handleUp);
+        element.addEventListener('pointermove', handleMove);
+        element.addEventListener('pointerleave', handleLeave);
+        return () => {
+            if (hoverFrame !== null) cancelAnimationFrame(hoverFrame);
+            handleLeave();
+            element.removeEventListener('pointerdown', handleDown);
+            element.removeEventListener('pointerup', handleUp);
+            element.removeEventListener('pointermove', handleMove);
+            element.removeEventListener('pointerleave', handleLeave);
+        };
+    }, [camera, gl, skyRef, hoverRef, isARMode]);
+
+    return null;
+}
+
+// Re-find the selected object in its layer this often (ms of real time); in
+// between its last known direction is used
+const HIGHLIGHT_REFRESH_MS = 250;
+
+// Rings around the hovered object and the one open in the inspector
+function SkyHighlight({ skyRef, hoverRef, selection }) {
+    const hoverGroupRef = useRef();
+    const hoverRingRef = useRef();
+    const selectedGroupRef = useRef();
+    const selectedRingRef = useRef();
+    const selectedRef = useRef(null);
+    const lastRefreshRef = useRef(0);
+
+    useEffect(() => {
+        selectedRef.current = selection;
+        lastRefreshRef.current = 0;
+    }, [selection]);
+
+    // Html ignores the group's `visible`, so hide the ring element itself
+    const place = (group, ring, obj) => {
+        if (!group || !ring) return;
+        ring.style.display = obj ? '' : 'none';
+        if (obj) group.position.set(...polarToCartesian(obj.azimuth, obj.elevation, 50));
+    };
+
+    useFrame(() => {
+        if (selection && performance.now() - lastRefreshRef.current > HIGHLIGHT_REFRESH_MS) {
+            lastRefreshRef.current = performance.now();
+            selectedRef.current = findObjectById(skyRef.current, selection.type, selection.id) || selectedRef.current;
+        }
+
+        const hover = hoverRef.current;
+        const hoveringSelected = hover && selection && hover.type === selection.type && hover.id === selection.id;
+        place(hoverGroupRef.current, hoverRingRef.current, hoveringSelected ? null : hover);
+        place(selectedGroupRef.current, selectedRingRef.current, selection && selectedRef.current);
+    });
+
+    return (
+        <>
+            <group ref={hoverGroupRef}>
+                <Html center>
+                    <div ref={hoverRingRef} style={{ display: 'none' }} className="w-6 h-6 rounded-full border border-white opacity-70 pointer-events-none" />
+                </Html>
+            </group>
+            <group ref={selectedGroupRef}>
+                <Html center>
+                    <div ref={selectedRingRef} style={{ display: 'none' }} className="w-8 h-8 rounded-full border-2 border-yellow-300 pointer-events-none" />
+                </Html>
+            </group>
+        </>
+    );
+}
+
+// Turns the manual-mode camera to face lookAt ({ azimuth, elevation } radians)
+// whenever a new target object is passed in. OrbitControls orbits the origin,
+// so the camera sits just behind the origin, opposite the target direction.
+function CameraDirector({ lookAt }) {
+    const { camera, controls } = useThree();
+
+    useEffect(() => {
+        if (!lookAt || !controls) return;
+        const [x, y, z] = polarToCartesian(lookAt.azimuth, lookAt.elevation, 0.1);
+        camera.position.set(-x, -y, -z);
+        controls.target.set(0, 0, 0);
+        controls.update();
+    }, [lookAt, camera, controls]);
+
+    return null;
+}
+
+// Within this angle (radians) of the view center the target counts as found
+const ON_TARGET_RAD = 2 * Math.PI / 180;
+// Arrow distance from the screen center (px)
+const GUIDE_ARROW_RADIUS_PX = 48;
+
+// AR guidance to a search target: points the on-screen arrow the way to turn
+// and writes the angle still to go. Both are DOM elements owned by the page,
+// updated here every frame without going through React state.
+// locate(date) -> { azimuth, elevation } or null, see locateTarget.
+function TargetGuide({ clock, locate, arrowRef, readoutRef }) {
+    const forward = useMemo(() => new THREE.Vector3(), []);
+    const toTarget = useMemo(() => new THREE.Vector3(), []);
+    const locateRef = useRef(locate);
+    const positionRef = useRef(null);
+    const lastRefreshRef = useRef(0);
+
+    useEffect(() => {
+        locateRef.current = locate;
+        lastRefreshRef.current = 0;
+    }, [locate]);
+
+    useFrame(({ camera }) => {
+        const arrow = arrowRef.current;
+        const readout = readoutRef.current;
+        if (!arrow || !readout) return;
+
+        if (performance.now() - lastRefreshRef.current > HIGHLIGHT_REFRESH_MS) {
+            lastRefreshRef.current = performance.now();
+            positionRef.current = locateRef.current(clock.now());
+        }
+        const position = positionRef.current;
+        if (!position) {
+            arrow.style.display = 'none';
+            readout.textContent = 'Target not available';
+            return;
+        }
+
+        toTarget.set(...polarToCartesian(position.azimuth, position.elevation, 1));
+        camera.getWorldDirection(forward);
+        const separation = forward.angleTo(toTarget);
+        const belowHorizon = position.elevation < 0 ? ' (below horizon)' : '';
+
+        if (separation < ON_TARGET_RAD) {
+            arrow.style.display = 'none';
+            readout.textContent = `On target${belowHorizon}`;
+            return;
+        }
+
+        // Direction on screen: camera space has x right, y up. CSS rotates
+        // clockwise, screen y is down.
+        toTarget.transformDirection(camera.matrixWorldInverse);
+        const screenAngle = -Math.atan2(toTarget.y, toTarget.x);
+        arrow.style.display = '';
+        arrow.style.transform = `rotate(${screenAngle}rad) translateX(${GUIDE_ARROW_RADIUS_PX}px)`;
+        readout.textContent = `${(separation * 180 / Math.PI).toFixed(0)}° to go${belowHorizon}`;
+    });
+
+    return null;
+}
+
+// DeviceOrientationControls plus the heading correction (magnetic declination
+// and calibration, see headingUtils.js). correction is { azimuth, elevation }
+// radians: the sky drawn in the middle of the view is turned that far east
+// and up from what the phone's sensors report.
+function CalibratedOrientationControls({ correction }) {
+    const camera = useThree(state => state.camera);
+    const yaw = useMemo(
+        () => new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), -correction.azimuth),
+        [correction.azimuth]
+    );
+    const pitch = useMemo(
+        () => new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), correction.elevation),
+        [correction.elevation]
+    );
+
+    // Same priority as the controls' own update. A parent's frame callback is
+    // registered after its children's, so this always runs right after the
+    // controls have set the raw orientation and before anything reads it.
+    useFrame(() => {
+        camera.quaternion.premultiply(yaw).multiply(pitch);
+    }, -1);
+
+    return <DeviceOrientationControls />;
+}
+
+// Lets the page grab a rendered frame for photo capture. The WebGL canvas is
+// created without preserveDrawingBuffer, so a frame is rendered on demand and
+// handed to draw(canvas, camera) straight away, while the buffer still holds it.
+// The camera itself goes on cameraRef for motion detection (pixel -> Az/El).
+function CaptureBridge({ captureRef, cameraRef }) {
+    const { gl, scene, camera } = useThree();
+
+    useEffect(() => {
+        captureRef.current = (draw) => {
+            gl.render(scene, camera);
+            return draw(gl.domElement, camera);
+        };
+        cameraRef.current = camera;
+        return () => {
+            captureRef.current = null;
+            cameraRef.current = null;
+        };
+    }, [gl, scene, camera, captureRef, cameraRef]);
+
+    return null;
+}
+
+function Scene({ clock, observerLat, observerLon, observerAlt, atmosphere, isARMode, satellites, planeTracks, skyRef, aimRef, lookAt, starMagLimit, layers, selection, onPick, guide, headingCorrection, nakedEyeOnly, oddPlanesOnly, captureRef, cameraRef, triangulation, trains }) {
+    const hoverRef = useRef(null);
+
     return (
         <>
             <ambientLight intensity={0.5} />
-            <RealStars observerLat={observerLat} observerLon={observerLon} />
+            <AimTracker aimRef={aimRef} />
+            <CaptureBridge captureRef={captureRef} cameraRef={cameraRef} />
+            <SkyPicker skyRef={skyRef} hoverRef={hoverRef} isARMode={isARMode} onPick={onPick} />
+            <SkyHighlight skyRef={skyRef} hoverRef={hoverRef} selection={selection} />
+            {layers.stars && <RealStars clock={clock} observerLat={observerLat} observerLon={observerLon} atmosphere={atmosphere} skyRef={skyRef} magLimit={starMagLimit} />}
+            {layers.constellations && <Constellations clock={clock} observerLat={observerLat} observerLon={observerLon} atmosphere={atmosphere} />}
+            {layers.solarSystem && <SolarSystem clock={clock} observerLat={observerLat} observerLon={observerLon} atmosphere={atmosphere} skyRef={skyRef} />}
+
+            {layers.satellites && <Satellites clock={clock} satellites={satellites} observerLat={observerLat} observerLon={observerLon} observerAlt={observerAlt} atmosphere={atmosphere} skyRef={skyRef} nakedEyeOnly={nakedEyeOnly} trains={trains} />}
+            {layers.planes && <Planes clock={clock} planeTracks={planeTracks} observerLat={observerLat} observerLon={observerLon} observerAlt={observerAlt} skyRef={skyRef} oddOnly={oddPlanesOnly} />}
+
+            {triangulation && <TriangulatedObject triangulation={triangulation} observerLat={observerLat} observerLon={observerLon} observerAlt={observerAlt} />}
 
-            <Satellites observerLat={observerLat} observerLon={observerLon} />
-            <Planes observerLat={observerLat} observerLon={observerLon} />
+            {guide && <TargetGuide clock={clock} {...guide} />}
 
             {isARMode ? (
-                 <DeviceOrientationControls />
+                <CalibratedOrientationControls correction={headingCorrection} />
             ) : (
-                <OrbitControls enableZoom={true} enablePan={true} enableRotate={true} />
+                <>
+                    <OrbitControls makeDefault enableZoom={true} enablePan={true} enableRotate={true} />
+                    <CameraDirector lookAt={lookAt} />
+                </>
             )}
 
             {/* Compass / Ground Reference */}
@@ -310,14 +1254,30 @@ function Scene({ observerLat, observerLon, isARMode }) {
     )
 }
 
-function CameraFeed() {
-    const videoRef = useRef(null)
-
+// fileUrl: play a recorded clip (looped) instead of the live camera, e.g. to
+// test motion detection
+function CameraFeed({ videoRef, fileUrl }) {
     useEffect(() => {
+        const video = videoRef.current
+        if (fileUrl) {
+            video.srcObject = null
+            video.src = fileUrl
+            video.loop = true
+            video.play().catch(e => console.error("Could not play video file", e))
+            return () => {
+                video.removeAttribute('src')
+                video.load()
+            }
+        }
+
+        let stream = null
+        let cancelled = false
         async function getCamera() {
              try {
-                const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
-                if (videoRef.current) {
+                stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
+                if (cancelled) {
+                    stream.getTracks().forEach(track => track.stop())
+                } else if (videoRef.current) {
                     videoRef.current.srcObject = stream
                 }
             } catch (e) {
@@ -325,7 +1285,11 @@ function CameraFeed() {
             }
         }
         getCamera()
-    }, [])
+        return () => {
+            cancelled = true
+            if (stream) stream.getTracks().forEach(track => track.stop())
+        }
+    }, [videoRef, fileUrl])
 
     return (
         <video
@@ -338,58 +1302,626 @@ function CameraFeed() {
     )
 }
 
+// How often satellite trains are looked for again (see trainUtils.js)
+const TRAIN_REFRESH_MS = 10 * 60 * 1000;
+// Queued sightings are retried this often too; `online` events aren't reliable
+const SIGHTING_SYNC_RETRY_MS = 60000;
+
 export default function UAPTracker() {
-    const [userLocation, setUserLocation] = useState({ lat: 40.7128, lon: -74.0060 }); // Default NYC
+    const [searchParams, setSearchParams] = useSearchParams();
+    // A shared link (see shareUtils.js) sets up the initial view
+    const [initialView] = useState(() => decodeViewParams(searchParams));
+
+    const [gpsLocation, setGpsLocation] = useState(null);
+    const [gpsError, setGpsError] = useState(null);
+    const [manualLocation, setManualLocation] = useState(() => initialView.location
+        ? { ...initialView.location, accuracy: null, source: 'manual', name: 'Shared link' }
+        : null);
+    const [sites, setSites] = useState(loadSites);
     const [isARMode, setIsARMode] = useState(false);
-    const [hasLocation, setHasLocation] = useState(false);
+    const [sightings, setSightings] = useState(loadSightings);
+    const [draftSighting, setDraftSighting] = useState(null);
+    // Which side panel is open: 'identify', 'passes', 'inspector', 'observer',
+    // 'location', 'calibration', 'sightings' or null
+    const [panel, setPanel] = useState(null);
+    const [identification, setIdentification] = useState(null);
+    const [lookAt, setLookAt] = useState(initialView.aim || null);
+    const [satellites, setSatellites] = useState([]);
+    const [trains, setTrains] = useState([]); // satellite trains in `satellites` (trainUtils.js)
+    const [tleInfo, setTleInfo] = useState(null); // age/source of `satellites`, see fetchTLESet
+    const [online, setOnline] = useState(navigator.onLine);
+    const [queuedSightings, setQueuedSightings] = useState(0); // waiting for upload (offlineUtils.js)
+    const [tleGroup, setTleGroup] = useState(initialView.tleGroup || 'active');
+    const [planeSource, setPlaneSource] = useState(
+        PLANE_SOURCES.includes(initialView.planeSource) ? initialView.planeSource : 'opensky');
+    const [starMagLimit, setStarMagLimit] = useState(initialView.starMagLimit ?? DEFAULT_STAR_MAG_LIMIT);
+    const [layers, setLayers] = useState(() => layersFromList(initialView.layers));
+    const [nakedEyeOnly, setNakedEyeOnly] = useState(false); // hide satellites nobody could see
+    const [oddPlanesOnly, setOddPlanesOnly] = useState(false); // hide aircraft with nothing flagged
+    const [observerSettings, setObserverSettings] = useState(loadObserverSettings);
+    const [selection, setSelection] = useState(null); // object picked in the sky view
+    const [shareStatus, setShareStatus] = useState(null);
+    const [captureStatus, setCaptureStatus] = useState(null);
+    const [target, setTarget] = useState(null); // search result being guided to
+    const [calibration, setCalibration] = useState(loadCalibration);
+    // Camera-feed motion detection (AR mode)
+    const [motionEnabled, setMotionEnabled] = useState(false);
+    const [motionSettings, setMotionSettings] = useState(DEFAULT_MOTION_SETTINGS);
+    const [motionTracks, setMotionTracks] = useState([]);
+    const [autoTagged, setAutoTagged] = useState(0);
+    const [videoFile, setVideoFile] = useState(null); // { name, url } of a clip replacing the camera
+    // Multi-observer triangulation: the tags picked as the same object
+    const [triangulationIds, setTriangulationIds] = useState([]);
+    const [pointingSigma, setPointingSigma] = useState(DEFAULT_POINTING_SIGMA_DEG);
+    const [alertRules, setAlertRules] = useState(loadAlertRules);
+    // Manual location, else GPS, else the default
+    const userLocation = manualLocation || gpsLocation || DEFAULT_LOCATION;
+    // Location plus manual altitude / atmosphere: what every calculation uses
+    const observer = useMemo(() => resolveObserver(userLocation, observerSettings), [userLocation, observerSettings]);
+    // Magnetic declination plus the calibration offset, applied to the AR view
+    const declination = useMemo(
+        () => getMagneticDeclination(observer.lat, observer.lon, observer.alt),
+        [observer.lat, observer.lon, observer.alt]
+    );
+    const triangulation = useMemo(() => {
+        const selected = sightings.filter(s => triangulationIds.includes(s.id));
+        return selected.length > 0 ? triangulateSightings(selected, pointingSigma) : null;
+    }, [sightings, triangulationIds, pointingSigma]);
+    const headingCorrection = useMemo(() => ({
+        azimuth: declination + (calibration ? calibration.azimuthOffset * Math.PI / 180 : 0),
+        elevation: calibration ? calibration.elevationOffset * Math.PI / 180 : 0
+    }), [declination, calibration]);
+    const clock = useMemo(() => {
+        const simClock = createSimClock();
+        // A link to a moment opens paused at that moment
+        if (initialView.time) {
+            simClock.pause();
+            simClock.setTime(initialView.time);
+        }
+        return simClock;
+    }, [initialView]);
+    // Per-icao24 report history, for smoothing, trails and replaying the past
+    const planeTracks = useRef(new Map());
+
+    // Written every frame by the sky layers / camera, read on demand by the UI.
+    const skyRef = useRef({ stars: [], solarSystem: [], satellites: [], planes: [] });
+    const aimRef = useRef({ azimuth: 0, elevation: 0 });
+    // Photo capture: the camera feed, a frame grabber from the Canvas, and the
+    // last raw device orientation (degrees) for the sidecar
+    const videoRef = useRef(null);
+    const captureRef = useRef(null);
+    const orientationRef = useRef(null);
+    // Sky camera, for motion detection
+    const cameraRef = useRef(null);
+    // AR guidance overlay, written by TargetGuide
+    const guideArrowRef = useRef(null);
+    const guideReadoutRef = useRef(null);
 
     useEffect(() => {
-        if (navigator.geolocation) {
-            const id = navigator.geolocation.watchPosition(
-                (position) => {
-                    setUserLocation({
-                        lat: position.coords.latitude,
-                        lon: position.coords.longitude
-                    });
-                    setHasLocation(true);
-                },
-                (error) => console.error("Geolocation error:", error),
-                { enableHighAccuracy: true }
-            );
-            return () => navigator.geolocation.clearWatch(id);
+        if (!navigator.geolocation) {
+            setGpsError('not supported by this browser');
+            return;
         }
+        const id = navigator.geolocation.watchPosition(
+            (position) => {
+                setGpsLocation({
+                    lat: position.coords.latitude,
+                    lon: position.coords.longitude,
+                    alt: position.coords.altitude,
+                    accuracy: position.coords.accuracy,
+                    source: 'gps',
+                    name: 'GPS'
+                });
+                setGpsError(null);
+            },
+            (error) => {
+                console.error("Geolocation error:", error);
+                setGpsError(error.code === error.PERMISSION_DENIED ? 'permission denied' : error.message);
+            },
+            { enableHighAccuracy: true }
+        );
+        return () => navigator.geolocation.clearWatch(id);
+    }, []);
+
+    useEffect(() => {
+        if (!isARMode) return;
+        const handleOrientation = (e) => {
+            orientationRef.current = {
+                alpha: e.alpha,
+                beta: e.beta,
+                gamma: e.gamma,
+                absolute: e.absolute,
+                screenAngle: window.screen.orientation ? window.screen.orientation.angle : (window.orientation || 0)
+            };
+        };
+        window.addEventListener('deviceorientation', handleOrientation);
+        return () => window.removeEventListener('deviceorientation', handleOrientation);
+    }, [isARMode]);
+
+    useEffect(() => {
+        const loadData = async () => {
+            const { satellites: data, ...info } = await fetchTLESet(tleGroup);
+            setSatellites(data);
+            setTleInfo(info);
+        };
+        loadData();
+    }, [tleGroup]);
+
+    // Upload queue: sent at start, when the connection comes back and every
+    // so often while anything is waiting
+    const syncingRef = useRef(false);
+    const syncSightings = useCallback(async () => {
+        if (syncingRef.current) return;
+        syncingRef.current = true;
+        await syncQueuedSightings();
+        // Counted again: sightings may have been queued during the upload
+        setQueuedSightings(await countQueuedSightings());
+        syncingRef.current = false;
     }, []);
 
+    useEffect(() => {
+        syncSightings();
+        const handleOnline = () => {
+            setOnline(true);
+            syncSightings();
+        };
+        const handleOffline = () => setOnline(false);
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, [syncSightings]);
+
+    useEffect(() => {
+        if (queuedSightings === 0) return;
+        const interval = setInterval(syncSightings, SIGHTING_SYNC_RETRY_MS);
+        return () => clearInterval(interval);
+    }, [queuedSightings, syncSightings]);
+
+    const queueUpload = async (sighting) => {
+        await queueSighting(sighting);
+        syncSightings();
+    };
+
+    useEffect(() => {
+        const loadPlanes = async () => {
+            // Define bounding box around observer (approx +/- 2 degrees ~ 200km)
+            const minLat = userLocation.lat - 2;
+            const maxLat = userLocation.lat + 2;
+            const minLon = userLocation.lon - 2;
+            const maxLon = userLocation.lon + 2;
+
+            const data = await fetchPlanes(minLat, minLon, maxLat, maxLon, planeSource);
+            updatePlaneTracks(planeTracks.current, data);
+        };
+
+        // Poll every 10 seconds
+        loadPlanes();
+        const interval = setInterval(loadPlanes, 10000);
+        return () => clearInterval(interval);
+    }, [userLocation.lat, userLocation.lon, planeSource]);
+
+    // Trains change shape slowly (over days), but redo them now and then and
+    // whenever the catalog changes
+    useEffect(() => {
+        setTrains([]);
+        if (satellites.length === 0) return;
+        const update = () => setTrains(findTrains(satellites, clock.now()));
+        update();
+        const interval = setInterval(update, TRAIN_REFRESH_MS);
+        return () => clearInterval(interval);
+    }, [satellites, clock]);
+
+    const identifyAim = (date) => identifyPoint({
+        aim: aimRef.current,
+        observer,
+        date,
+        satellites,
+        trains,
+        planes: getPlaneStatesAt(planeTracks.current, date.getTime() / 1000)
+    });
+
+    const handleTag = () => {
+        // Freeze the sky as it is right now; the note is added in the form.
+        const now = clock.now();
+        setDraftSighting(createSighting({
+            aim: aimRef.current,
+            observer,
+            sky: skyRef.current,
+            identification: identifyAim(now),
+            date: now
+        }));
+    };
+
+    // Video frame + rendered sky + labels as a PNG, with a sidecar JSON
+    const handleCapture = async () => {
+        if (!captureRef.current) return;
+        const date = clock.now();
+        try {
+            const { png, sidecar, baseName } = await captureRef.current((glCanvas, camera) => captureAnnotatedPhoto(glCanvas, camera, videoRef.current, {
+                date,
+                observer,
+                aim: aimRef.current,
+                sky: skyRef.current,
+                identification: identifyAim(date),
+                orientation: isARMode ? orientationRef.current : null,
+                headingCorrection,
+                calibration
+            }));
+            downloadFile(`${baseName}.png`, png);
+            downloadFile(`${baseName}.json`, new Blob([JSON.stringify(sidecar, null, 2)], { type: 'application/json' }));
+            setCaptureStatus('Saved');
+        } catch (error) {
+            console.error("Capture failed:", error);
+            setCaptureStatus('Capture failed');
+        }
+        setTimeout(() => setCaptureStatus(null), 3000);
+    };
+
+    // A moving light on the camera feed that no satellite/aircraft explains
+    const handleUnmatchedTrack = (track) => {
+        if (!motionSettings.autoTag) return;
+        const now = clock.now();
+        const aim = { azimuth: track.azimuth, elevation: track.elevation };
+        const sighting = createSighting({
+            aim,
+            observer,
+            sky: skyRef.current,
+            identification: identifyPoint({
+                aim,
+                observer,
+                date: now,
+                satellites,
+                trains,
+                planes: getPlaneStatesAt(planeTracks.current, now.getTime() / 1000)
+            }),
+            note: `Auto-tagged moving light (track #${track.id}, ${(track.speed * 180 / Math.PI).toFixed(2)}°/s)`,
+            date: now
+        });
+        setSightings(current => {
+            const updated = [...current, sighting];
+            saveSightings(updated);
+            return updated;
+        });
+        queueUpload(sighting);
+        setAutoTagged(count => count + 1);
+    };
+
+    const handleVideoFile = (file) => {
+        if (videoFile) URL.revokeObjectURL(videoFile.url);
+        setVideoFile(file ? { name: file.name, url: URL.createObjectURL(file) } : null);
+    };
+
+    const handleSelectPass = (pass) => {
+        // Freeze the sky at the top of the pass, looking where the satellite will be
+        clock.pause();
+        clock.setTime(pass.culmination.time);
+        setLookAt({ azimuth: pass.culmination.azimuth, elevation: pass.culmination.elevation });
+    };
+
+    const locateSearchTarget = useCallback(
+        (date) => locateTarget(target, date, observer, { satellites, planeTracks: planeTracks.current }),
+        [target, observer, satellites]
+    );
+
+    const handleSelectTarget = (result) => {
+        setTarget(result);
+        // Manual mode turns the camera straight to it; AR mode shows the arrow
+        if (!isARMode) {
+            const position = locateTarget(result, clock.now(), observer, { satellites, planeTracks: planeTracks.current });
+            if (position) setLookAt({ azimuth: position.azimuth, elevation: position.elevation });
+        }
+    };
+
+    const togglePanel = (name) => setPanel(current => (current === name ? null : name));
+
+    const handlePick = (obj) => {
+        setSelection(obj);
+        // Clicking empty sky closes the inspector
+        setPanel(current => (obj ? 'inspector' : (current === 'inspector' ? null : current)));
+    };
+
+    const handleSetLocation = (location) => {
+        setManualLocation({
+            lat: location.lat,
+            lon: location.lon,
+            alt: location.alt ?? null,
+            accuracy: null,
+            source: 'manual',
+            name: location.name
+        });
+    };
+
+    const handleSitesChange = (updated) => {
+        setSites(updated);
+        saveSites(updated);
+    };
+
+    const handleShare = async () => {
+        const params = encodeViewParams({
+            location: userLocation,
+            time: clock.isLive() ? null : clock.now(),
+            aim: aimRef.current,
+            layers: SKY_LAYERS.filter(layer => layers[layer.id]).map(layer => layer.id),
+            tleGroup,
+            planeSource,
+            starMagLimit
+        });
+        setSearchParams(params, { replace: true });
+        const url = `${window.location.origin}${window.location.pathname}?${params}`;
+        try {
+            await navigator.clipboard.writeText(url);
+            setShareStatus('Link copied');
+        } catch (error) {
+            setShareStatus('Link is in the address bar');
+        }
+        setTimeout(() => setShareStatus(null), 3000);
+    };
+
+    const handleObserverSettingsChange = (settings) => {
+        setObserverSettings(settings);
+        saveObserverSettings(settings);
+    };
+
+    const handleAlertRulesChange = (rules) => {
+        setAlertRules(rules);
+        saveAlertRules(rules);
+    };
+
+    const handleCalibrate = (reference) => {
+        const updated = computeCalibration(calibration, aimRef.current, reference);
+        setCalibration(updated);
+        saveCalibration(updated);
+    };
+
+    const handleResetCalibration = () => {
+        setCalibration(null);
+        saveCalibration(null);
+    };
+
+    const handleSaveSighting = (sighting) => {
+        const updated = [...sightings, sighting];
+        setSightings(updated);
+        saveSightings(updated);
+        queueUpload(sighting);
+        setDraftSighting(null);
+    };
+
+    // Back to the sky as it was: the sighting's place and moment (paused),
+    // looking where it was pointed
+    const handleOpenSighting = (sighting) => {
+        handleSetLocation({ ...sighting.observer, name: 'Sighting' });
+        clock.pause();
+        clock.setTime(new Date(sighting.timestamp));
+        setIsARMode(false);
+        setLookAt({
+            azimuth: sighting.pointing.azimuth * Math.PI / 180,
+            elevation: sighting.pointing.elevation * Math.PI / 180
+        });
+    };
+
+    // Adds the sightings not already in the log; returns how many were new.
+    // A single imported sighting is opened straight away.
+    const handleImportSightings = (imported) => {
+        const known = new Set(sightings.map(s => s.id));
+        const added = imported.filter(s => !known.has(s.id));
+        const updated = [...sightings, ...added];
+        setSightings(updated);
+        saveSightings(updated);
+        if (imported.length === 1) handleOpenSighting(imported[0]);
+        return added.length;
+    };
+
+    // Manual mode turns to the triangulated position as seen from here
+    const handleLookAtFix = (fix) => {
+        const look = lookFromObserver(observer, fix.position);
+        setIsARMode(false);
+        setLookAt({ azimuth: look.azimuth, elevation: look.elevation });
+    };
+
+    const handleDeleteSighting = (id) => {
+        const updated = sightings.filter(s => s.id !== id);
+        setSightings(updated);
+        saveSightings(updated);
+    };
+
     return (
         <div className="w-full h-screen bg-black relative">
-            {isARMode && <CameraFeed />}
+            {isARMode && <CameraFeed videoRef={videoRef} fileUrl={videoFile && videoFile.url} />}
 
             <Suspense fallback={<Loading />}>
                 <Canvas camera={{ position: [0, 0, 0.1], fov: 75 }} style={{ zIndex: 1, background: 'transparent' }}>
-                    <Scene observerLat={userLocation.lat} observerLon={userLocation.lon} isARMode={isARMode} />
+                    <Scene
+                        observerLat={userLocation.lat}
+                        observerLon={userLocation.lon}
+                        observerAlt={observer.alt}
+                        atmosphere={observer.atmosphere}
+                        clock={clock}
+                        isARMode={isARMode}
+                        satellites={satellites}
+                        planeTracks={planeTracks}
+                        skyRef={skyRef}
+                        aimRef={aimRef}
+                        lookAt={lookAt}
+                        starMagLimit={starMagLimit}
+                        layers={layers}
+                        selection={panel === 'inspector' ? selection : null}
+                        onPick={handlePick}
+                        headingCorrection={headingCorrection}
+                        nakedEyeOnly={nakedEyeOnly}
+                        oddPlanesOnly={oddPlanesOnly}
+                        captureRef={captureRef}
+                        cameraRef={cameraRef}
+                        triangulation={triangulation}
+                        trains={trains}
+                        guide={isARMode && target
+                            ? { locate: locateSearchTarget, arrowRef: guideArrowRef, readoutRef: guideReadoutRef }
+                            : null}
+                    />
                 </Canvas>
             </Suspense>
 
+            {isARMode && motionEnabled && (
+                <MotionDetector
+                    videoRef={videoRef}
+                    cameraRef={cameraRef}
+                    skyRef={skyRef}
+                    threshold={motionSettings.threshold}
+                    onTracks={setMotionTracks}
+                    onUnmatched={handleUnmatchedTrack}
+                />
+            )}
+
             {/* UI Overlay */}
             <div className="absolute top-4 left-4 z-10 pointer-events-none select-none">
                 <h1 className="text-2xl font-bold text-white shadow-md">UAP Tracker</h1>
-                <div className="text-xs text-gray-400">
-                    {hasLocation ? `Lat: ${userLocation.lat.toFixed(4)}, Lon: ${userLocation.lon.toFixed(4)}` : "Locating..."}
+                <button
+                    onClick={() => togglePanel('location')}
+                    className={`block text-xs hover:text-white underline decoration-dotted pointer-events-auto ${userLocation.source === 'default' ? 'text-yellow-300' : 'text-gray-400'}`}
+                >
+                    {userLocation.source === 'default'
+                        ? `${gpsError ? 'No GPS' : 'Locating...'}, showing ${userLocation.name}. Set location`
+                        : `Lat: ${userLocation.lat.toFixed(4)}, Lon: ${userLocation.lon.toFixed(4)}${userLocation.source === 'manual' ? ` (${userLocation.name})` : ''}`}
+                </button>
+                <button
+                    onClick={() => togglePanel('observer')}
+                    className="block text-xs text-gray-400 hover:text-white underline decoration-dotted pointer-events-auto"
+                >
+                    Alt {Math.round(observer.alt)} m
+                    {observer.atmosphere
+                        ? ` · ${observer.atmosphere.temperature.toFixed(0)}°C · ${observer.atmosphere.pressure.toFixed(0)} hPa`
+                        : ' · no refraction'}
+                </button>
+                <CalibrationStatus calibration={calibration} onClick={() => togglePanel('calibration')} />
+                {/* Legend doubles as the layer toggles */}
+                <div className="flex flex-wrap gap-x-4 gap-y-1 mt-2">
+                    {SKY_LAYERS.map(layer => (
+                        <button
+                            key={layer.id}
+                            onClick={() => setLayers({ ...layers, [layer.id]: !layers[layer.id] })}
+                            className={`flex items-center gap-2 pointer-events-auto ${layers[layer.id] ? '' : 'opacity-40'}`}
+                            title={layers[layer.id] ? `Hide ${layer.label}` : `Show ${layer.label}`}
+                        >
+                            <div className={layer.swatch}></div>
+                            <span className="text-gray-300 text-sm">{layer.label}</span>
+                        </button>
+                    ))}
                 </div>
-                <div className="flex gap-4 mt-2">
-                    <div className="flex items-center gap-2">
-                        <div className="w-3 h-3 rounded-full bg-green-500"></div>
-                        <span className="text-gray-300 text-sm">Satellites</span>
-                    </div>
-                    <div className="flex items-center gap-2">
-                        <div className="w-3 h-3 bg-cyan-500"></div>
-                        <span className="text-gray-300 text-sm">Planes</span>
-                    </div>
-                     <div className="flex items-center gap-2">
-                        <div className="w-3 h-3 rounded-full bg-white"></div>
-                        <span className="text-gray-300 text-sm">Stars</span>
+                <TwilightIndicator clock={clock} observerLat={userLocation.lat} observerLon={userLocation.lon} />
+                <PlaneStatus source={planeSource} />
+                <TLEStatus tleInfo={tleInfo} online={online} />
+                <select
+                    value={tleGroup}
+                    onChange={(e) => setTleGroup(e.target.value)}
+                    className="mt-1 bg-gray-800 text-gray-200 text-xs rounded px-1 py-0.5 pointer-events-auto"
+                >
+                    {TLE_GROUPS.map(group => (
+                        <option key={group.id} value={group.id}>Satellites: {group.label}</option>
+                    ))}
+                </select>
+                <select
+                    value={planeSource}
+                    onChange={(e) => setPlaneSource(e.target.value)}
+                    className="mt-1 ml-1 bg-gray-800 text-gray-200 text-xs rounded px-1 py-0.5 pointer-events-auto"
+                >
+                    {PLANE_SOURCES.map(source => (
+                        <option key={source} value={source}>Planes: {PLANE_SOURCE_LABELS[source]}</option>
+                    ))}
+                </select>
+                <div className="flex items-center gap-2 mt-1 text-xs text-gray-300 pointer-events-auto">
+                    <label className="flex items-center gap-1">
+                        Stars to mag {starMagLimit.toFixed(1)}
+                        <input
+                            type="range"
+                            min={STAR_MAG_RANGE[0]}
+                            max={STAR_MAG_RANGE[1]}
+                            step="0.5"
+                            value={starMagLimit}
+                            onChange={(e) => setStarMagLimit(Number(e.target.value))}
+                            className="w-24"
+                        />
+                    </label>
+                    <label className="flex items-center gap-1" title={`Sunlit, dark sky, brighter than mag ${NAKED_EYE_LIMIT_MAG}`}>
+                        <input
+                            type="checkbox"
+                            checked={nakedEyeOnly}
+                            onChange={(e) => setNakedEyeOnly(e.target.checked)}
+                        />
+                        Naked-eye satellites only
+                    </label>
+                    <label className="flex items-center gap-1" title="Aircraft whose track has something unusual about it">
+                        <input
+                            type="checkbox"
+                            checked={oddPlanesOnly}
+                            onChange={(e) => setOddPlanesOnly(e.target.checked)}
+                        />
+                        Flagged aircraft only
+                    </label>
+                </div>
+                <button
+                    onClick={() => togglePanel('sightings')}
+                    className="block text-xs text-purple-300 hover:text-white underline decoration-dotted mt-1 pointer-events-auto"
+                >
+                    Sightings logged: {sightings.length}
+                    {queuedSightings > 0 && ` (${queuedSightings} waiting to upload)`}
+                </button>
+                <button
+                    onClick={() => togglePanel('alerts')}
+                    className="block text-xs text-amber-300 hover:text-white underline decoration-dotted pointer-events-auto"
+                >
+                    Alerts: {alertRules.filter(rule => rule.enabled).length} on
+                </button>
+                <button
+                    onClick={() => togglePanel('anomalies')}
+                    className="block text-xs text-fuchsia-300 hover:text-white underline decoration-dotted pointer-events-auto"
+                >
+                    Aircraft anomalies
+                </button>
+                {trains.length > 0 && (
+                    <button
+                        onClick={() => togglePanel('trains')}
+                        className="block text-xs text-lime-300 hover:text-white underline decoration-dotted pointer-events-auto"
+                    >
+                        Satellite trains: {trains.length}
+                    </button>
+                )}
+            </div>
+
+            {/* Center reticle marks the aim point used when tagging */}
+            <div className="absolute top-1/2 left-1/2 z-10 w-6 h-6 -mt-3 -ml-3 border-2 border-purple-400 rounded-full pointer-events-none" />
+
+            {isARMode && target && (
+                <div className="absolute top-1/2 left-1/2 z-10 pointer-events-none select-none">
+                    <div ref={guideArrowRef} style={{ display: 'none' }} className="absolute -mt-3 -ml-3 w-6 h-6 text-2xl leading-6 text-center text-yellow-300">
+                        ➤
                     </div>
+                    <div ref={guideReadoutRef} className="absolute top-10 -translate-x-1/2 whitespace-nowrap text-sm text-yellow-300 bg-black bg-opacity-50 rounded px-2" />
                 </div>
+            )}
+
+            <SkySearch
+                satellites={satellites}
+                planeTracks={planeTracks}
+                clock={clock}
+                target={target}
+                onSelect={handleSelectTarget}
+                onClear={() => setTarget(null)}
+            />
+
+            <AlertCenter
+                rules={alertRules}
+                clock={clock}
+                skyRef={skyRef}
+                satellites={satellites}
+                trains={trains}
+                observer={observer}
+                onShow={handleSelectTarget}
+            />
+
+            <div className="absolute bottom-20 left-4 z-10">
+                <TimeControls clock={clock} />
             </div>
 
             <div className="absolute bottom-4 left-4 z-10 flex gap-2">
@@ -399,19 +1931,198 @@ export default function UAPTracker() {
                 >
                     {isARMode ? "Manual Mode" : "AR Mode"}
                 </button>
-                <button className="bg-purple-600 px-4 py-2 rounded text-white shadow-lg hover:bg-purple-700 pointer-events-auto">
+                <button
+                    onClick={handleTag}
+                    className="bg-purple-600 px-4 py-2 rounded text-white shadow-lg hover:bg-purple-700 pointer-events-auto"
+                >
                     Tag Object
                 </button>
+                <button
+                    onClick={() => {
+                        setIdentification(identifyAim(clock.now()));
+                        setPanel('identify');
+                    }}
+                    className="bg-indigo-600 px-4 py-2 rounded text-white shadow-lg hover:bg-indigo-700 pointer-events-auto"
+                >
+                    What is this?
+                </button>
+                <button
+                    onClick={() => togglePanel('passes')}
+                    className="bg-green-700 px-4 py-2 rounded text-white shadow-lg hover:bg-green-600 pointer-events-auto"
+                >
+                    Passes
+                </button>
+                {isARMode && (
+                    <button
+                        onClick={handleCapture}
+                        className="bg-red-700 px-4 py-2 rounded text-white shadow-lg hover:bg-red-600 pointer-events-auto"
+                    >
+                        {captureStatus || 'Capture'}
+                    </button>
+                )}
+                {isARMode && (
+                    <button
+                        onClick={() => togglePanel('motion')}
+                        className="bg-orange-700 px-4 py-2 rounded text-white shadow-lg hover:bg-orange-600 pointer-events-auto"
+                    >
+                        {motionEnabled ? `Motion (${motionTracks.length})` : 'Motion'}
+                    </button>
+                )}
+                <button
+                    onClick={handleShare}
+                    className="bg-gray-700 px-4 py-2 rounded text-white shadow-lg hover:bg-gray-600 pointer-events-auto"
+                >
+                    {shareStatus || 'Share View'}
+                </button>
                 <LinkButton to="/" className="bg-gray-700 px-4 py-2 rounded text-white shadow-lg hover:bg-gray-600 pointer-events-auto">
                     Back
                 </LinkButton>
             </div>
+
+            {panel === 'identify' && identification && (
+                <IdentifyPanel
+                    identification={identification}
+                    onClose={() => setPanel(null)}
+                />
+            )}
+
+            {panel === 'passes' && (
+                <PassTable
+                    satellites={satellites}
+                    observer={observer}
+                    startDate={clock.now()}
+                    onSelectPass={handleSelectPass}
+                    onClose={() => setPanel(null)}
+                />
+            )}
+
+            {panel === 'inspector' && selection && (
+                <ObjectInspector
+                    selection={selection}
+                    clock={clock}
+                    observer={observer}
+                    satellites={satellites}
+                    skyRef={skyRef}
+                    onClose={() => setPanel(null)}
+                />
+            )}
+
+            {panel === 'observer' && (
+                <ObserverSettings
+                    settings={observerSettings}
+                    observer={observer}
+                    onChange={handleObserverSettingsChange}
+                    onClose={() => setPanel(null)}
+                />
+            )}
+
+            {panel === 'location' && (
+                <LocationPicker
+                    location={userLocation}
+                    gpsError={gpsError}
+                    sites={sites}
+                    onSetLocation={handleSetLocation}
+                    onUseGps={() => setManualLocation(null)}
+                    onSitesChange={handleSitesChange}
+                    onClose={() => setPanel(null)}
+                />
+            )}
+
+            {panel === 'calibration' && (
+                <HeadingCalibration
+                    calibration={calibration}
+                    declination={declination}
+                    isARMode={isARMode}
+                    clock={clock}
+                    observer={observer}
+                    aimRef={aimRef}
+                    onCalibrate={handleCalibrate}
+                    onReset={handleResetCalibration}
+                    onClose={() => setPanel(null)}
+                />
+            )}
+
+            {panel === 'sightings' && (
+                <SightingLog
+                    sightings={sightings}
+                    onOpen={handleOpenSighting}
+                    onImport={handleImportSightings}
+                    onDelete={handleDeleteSighting}
+                    onTriangulate={() => setPanel('triangulation')}
+                    onClose={() => setPanel(null)}
+                />
+            )}
+
+            {panel === 'anomalies' && (
+                <AnomalyList
+                    skyRef={skyRef}
+                    onSelect={(plane) => handleSelectTarget({ type: 'plane', id: plane.id, name: plane.name })}
+                    onClose={() => setPanel(null)}
+                />
+            )}
+
+            {panel === 'trains' && (
+                <TrainList
+                    trains={trains}
+                    satellites={satellites}
+                    observer={observer}
+                    startDate={clock.now()}
+                    onSelect={(train) => handleSelectTarget({ type: 'satellite', id: train.names[0], name: train.names[0] })}
+                    onSelectPass={handleSelectPass}
+                    onClose={() => setPanel(null)}
+                />
+            )}
+
+            {panel === 'alerts' && (
+                <AlertRules
+                    rules={alertRules}
+                    satellites={satellites}
+                    trains={trains}
+                    onChange={handleAlertRulesChange}
+                    onClose={() => setPanel(null)}
+                />
+            )}
+
+            {panel === 'triangulation' && (
+                <TriangulationPanel
+                    sightings={sightings}
+                    selectedIds={triangulationIds}
+                    onSelect={setTriangulationIds}
+                    pointingSigma={pointingSigma}
+                    onPointingSigma={setPointingSigma}
+                    result={triangulation}
+                    onLookAt={handleLookAtFix}
+                    onClose={() => setPanel(null)}
+                />
+            )}
+
+            {panel === 'motion' && (
+                <MotionPanel
+                    enabled={motionEnabled}
+                    onToggle={setMotionEnabled}
+                    settings={motionSettings}
+                    onChange={setMotionSettings}
+                    videoFile={videoFile}
+                    onVideoFile={handleVideoFile}
+                    tracks={motionTracks}
+                    autoTagged={autoTagged}
+                    onClose={() => setPanel(null)}
+                />
+            )}
+
+            {draftSighting && (
+                <SightingForm
+                    sighting={draftSighting}
+                    onSave={handleSaveSighting}
+                    onCancel={() => setDraftSighting(null)}
+                />
+            )}
         </div>
     )
 }
 
 // Helper for Link since we are outside Router context in Canvas, but inside in main component
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 
 function LinkButton({ to, className, children }) {
     const navigate = useNavigate();
@@ -0,0 +1,265 @@
+// Pass and proximity alerts
+// A rule picks satellites or aircraft by name and sets conditions on them.
+// Two kinds of satellite rule:
+//   - now: checked against what the Satellites layer publishes on skyRef
+//     (elevation, estimated magnitude)
+//   - look-ahead (lookAheadMinutes > 0): the satellite rises above
+//     minElevation within the next N minutes, predicted by the satellite worker
+// Train rules work like satellite rules on whole satellite trains (see
+// trainUtils.js), matched by label ("STARLINK train 2024-045"): one alert per
+// train, not per satellite in it. Ahead of a pass, the train's leader is
+// scanned. Aircraft rules are checked against what the Planes layer publishes
+// (callsign, distance, elevation). A rule fires once per object; it re-arms when the
+// object has not matched for REARM_MS.
+// Angles are degrees in rules, radians in the sky data, like everywhere else.
+
+const STORAGE_KEY = 'uap.alertRules';
+
+// How long an object must stop matching before the same rule alerts on it again
+const REARM_MS = 3 * 60 * 1000;
+// Look-ahead: how far rules may look, the scan step (so a rise time is good to
+// about a minute) and a cap on satellites per rule. Every rule is rescanned
+// each minute, an hour ahead at most; a few hundred satellites keep that
+// well under a second on a phone, a whole catalog does not.
+export const MAX_LOOKAHEAD_MINUTES = 60;
+export const LOOKAHEAD_STEP_MS = 60 * 1000;
+export const MAX_LOOKAHEAD_SATELLITES = 200;
+
+const toDeg = (rad) => rad * 180 / Math.PI;
+
+export const ALERT_OBJECT_TYPES = [
+    { id: 'satellite', label: 'Satellite' },
+    { id: 'train', label: 'Satellite train' },
+    { id: 'plane', label: 'Aircraft' }
+];
+
+const newRuleId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+export const createAlertRule = (objectType = 'satellite') => ({
+    id: newRuleId(),
+    name: { plane: 'Aircraft nearby', train: 'Satellite train rising' }[objectType] || 'Satellite overhead',
+    enabled: true,
+    objectType,
+    nameMatch: '', // comma-separated, any part of the name/callsign; empty = any
+    minElevation: 10,
+    // Satellites
+    maxMagnitude: null, // brighter than (lower is brighter), null = any
+    lookAheadMinutes: 0, // > 0: alert ahead of the pass instead of while up
+    // Aircraft
+    maxRange: null, // km, null = any
+    noCallsign: false
+});
+
+// The examples users asked for, off until switched on
+export const DEFAULT_ALERT_RULES = [
+    {
+        ...createAlertRule('satellite'),
+        id: 'example-iss-rising',
+        name: 'ISS rising',
+        enabled: false,
+        // Not all of STARLINK: thousands of them, one is always about to rise.
+        // Starlink trains have their own rule below
+        nameMatch: 'ISS (ZARYA)',
+        minElevation: 20,
+        lookAheadMinutes: 10
+    },
+    {
+        ...createAlertRule('train'),
+        id: 'example-starlink-train',
+        name: 'Starlink train rising',
+        enabled: false,
+        nameMatch: 'STARLINK',
+        minElevation: 20,
+        lookAheadMinutes: 10
+    },
+    {
+        ...createAlertRule('plane'),
+        id: 'example-no-callsign',
+        name: 'Aircraft without callsign',
+        enabled: false,
+        minElevation: 0,
+        maxRange: 20,
+        noCallsign: true
+    },
+    {
+        ...createAlertRule('satellite'),
+        id: 'example-bright-overhead',
+        name: 'Bright satellite overhead',
+        enabled: false,
+        minElevation: 60,
+        maxMagnitude: 2
+    }
+];
+
+export const loadAlertRules = () => {
+    try {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        return raw ? JSON.parse(raw) : DEFAULT_ALERT_RULES;
+    } catch (error) {
+        console.warn("Could not read alert rules:", error);
+        return DEFAULT_ALERT_RULES;
+    }
+};
+
+export const saveAlertRules = (rules) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(rules));
+    } catch (error) {
+        console.error("Could not save alert rules:", error);
+    }
+};
+
+export const isLookAheadRule = (rule) => rule.objectType !== 'plane' && rule.lookAheadMinutes > 0;
+
+// Case-insensitive; "ISS, STARLINK" matches either
+export const matchesName = (rule, name) => {
+    const parts = rule.nameMatch.split(',').map(part => part.trim().toLowerCase()).filter(Boolean);
+    if (parts.length === 0) return true;
+    const value = (name || '').toLowerCase();
+    return parts.some(part => value.includes(part));
+};
+
+const hasCallsign = (plane) => Boolean(plane.state && plane.state[1] && plane.state[1].trim());
+
+const formatPosition = (obj) => `Az ${toDeg(obj.azimuth).toFixed(0)}°, El ${toDeg(obj.elevation).toFixed(0)}°`;
+
+// A match: { key, rule, objectType, id, name, message }
+const satelliteMatches = (rule, satellites) => satellites
+    .filter(sat => matchesName(rule, sat.name) &&
+        toDeg(sat.elevation) >= rule.minElevation &&
+        (rule.maxMagnitude === null || (sat.magnitude !== null && sat.magnitude <= rule.maxMagnitude)))
+    .map(sat => ({
+        key: `${rule.id}:satellite:${sat.id}`,
+        rule,
+        objectType: 'satellite',
+        id: sat.id,
+        name: sat.name,
+        message: `${sat.name} at ${formatPosition(sat)}` + (sat.magnitude !== null ? `, mag ${sat.magnitude.toFixed(1)}` : '')
+    }));
+
+// Trains with members up; the alert points at the highest one
+const trainMatches = (rule, satellites, trains) => {
+    const byName = new Map(satellites.map(sat => [sat.name, sat]));
+    return trains
+        .filter(train => matchesName(rule, train.label))
+        .map(train => ({
+            train,
+            up: train.names.map(name => byName.get(name)).filter(sat => sat && toDeg(sat.elevation) >= rule.minElevation)
+        }))
+        .filter(({ up }) => up.length > 0)
+        .map(({ train, up }) => {
+            const highest = up.reduce((best, sat) => (sat.elevation > best.elevation ? sat : best));
+            return {
+                key: `${rule.id}:train:${train.id}`,
+                rule,
+                objectType: 'satellite',
+                id: highest.id,
+                name: highest.name,
+                message: `${train.label}: ${up.length} of ${train.members.length} satellites above ${rule.minElevation}°, highest at ${formatPosition(highest)}`
+            };
+        });
+};
+
+const planeMatches = (rule, planes) => planes
+    .filter(plane => (!rule.noCallsign || !hasCallsign(plane)) &&
+        matchesName(rule, plane.callsign) &&
+        toDeg(plane.elevation) >= rule.minElevation &&
+        (rule.maxRange === null || plane.range <= rule.maxRange))
+    .map(plane => ({
+        key: `${rule.id}:plane:${plane.id}`,
+        rule,
+        objectType: 'plane',
+        id: plane.id,
+        name: plane.name,
+        message: `${hasCallsign(plane) ? plane.callsign : `${plane.id} (no callsign)`} ${plane.range.toFixed(1)} km away at ${formatPosition(plane)}` +
+            (plane.state[7] !== null ? `, altitude ${Math.round(plane.state[7])} m` : '')
+    }));
+
+// Rules that are checked against the sky as published on skyRef.
+// trains: from findTrains, for train rules
+export const evaluateSkyRules = (rules, sky, trains = []) => rules
+    .filter(rule => rule.enabled && !isLookAheadRule(rule))
+    .flatMap(rule => {
+        if (rule.objectType === 'plane') return planeMatches(rule, sky.planes || []);
+        if (rule.objectType === 'train') return trainMatches(rule, sky.satellites || [], trains);
+        return satelliteMatches(rule, sky.satellites || []);
+    });
+
+// Satellites (indices into `satellites`) a look-ahead rule matches; for a
+// train rule, the leaders of the trains it matches
+const lookAheadMatches = (rule, satellites, trains) => {
+    if (rule.objectType === 'train') {
+        return trains.filter(train => matchesName(rule, train.label)).map(train => train.members[0]);
+    }
+    const indices = [];
+    satellites.forEach((sat, i) => {
+        if (matchesName(rule, sat.name)) indices.push(i);
+    });
+    return indices;
+};
+
+// The ones it scans: the first MAX_LOOKAHEAD_SATELLITES
+export const lookAheadCandidates = (rule, satellites, trains = []) =>
+    lookAheadMatches(rule, satellites, trains).slice(0, MAX_LOOKAHEAD_SATELLITES);
+
+// How many it matches, for telling the user when that's more than it scans
+export const countLookAheadMatches = (rule, satellites, trains = []) => lookAheadMatches(rule, satellites, trains).length;
+
+// Matches from the worker's 'rising' results: [{ index, time, maxElevation, maxTime }]
+// (times ms, elevation radians), `now` the time the scan started
+export const passMatches = (rule, results, satellites, now, trains = []) => results.map(result => {
+    const sat = satellites[result.index];
+    const train = rule.objectType === 'train' && trains.find(t => t.members[0] === result.index);
+    const label = train ? `${train.label} (${train.members.length} satellites, led by ${sat.name})` : sat.name;
+    const minutes = Math.round((result.time - now) / 60000);
+    const when = minutes <= 0
+        ? `is above ${rule.minElevation}° now`
+        : `rises above ${rule.minElevation}° at ${new Date(result.time).toLocaleTimeString()} (in ${minutes} min)`;
+    return {
+        key: train ? `${rule.id}:train:${train.id}` : `${rule.id}:satellite:${sat.name}`,
+        rule,
+        objectType: 'satellite',
+        id: sat.name,
+        name: sat.name,
+        message: `${label} ${when}, max ${toDeg(result.maxElevation).toFixed(0)}° at ${new Date(result.maxTime).toLocaleTimeString()}`
+    };
+});
+
+// Remembers what already alerted. update(matches, nowMs) -> the matches that
+// are new (not seen within REARM_MS), each once.
+export const createAlertMonitor = () => {
+    const lastSeen = new Map();
+
+    const update = (matches, nowMs) => {
+        lastSeen.forEach((seen, key) => {
+            if (nowMs - seen > REARM_MS) lastSeen.delete(key);
+        });
+        const fresh = matches.filter(match => !lastSeen.has(match.key));
+        matches.forEach(match => lastSeen.set(match.key, nowMs));
+        return fresh;
+    };
+
+    return { update, reset: () => lastSeen.clear() };
+};
+
+// More new matches than this from one rule at once (a Starlink train, a busy
+// airport) become a single alert listing them
+const MAX_ALERTS_PER_RULE = 3;
+const MAX_NAMES_LISTED = 5;
+
+// New matches -> alerts to show: { key, rule, objectType, id, name, message }
+// (id/name of the first object when several are combined)
+export const groupAlerts = (matches) => {
+    const byRule = new Map();
+    matches.forEach(match => byRule.set(match.rule.id, [...(byRule.get(match.rule.id) || []), match]));
+    return [...byRule.values()].flatMap(group => {
+        if (group.length <= MAX_ALERTS_PER_RULE) return group;
+        const names = group.slice(0, MAX_NAMES_LISTED).map(match => match.name).join(', ');
+        const more = group.length > MAX_NAMES_LISTED ? ` and ${group.length - MAX_NAMES_LISTED} more` : '';
+        return [{
+            ...group[0],
+            key: `${group[0].rule.id}:group:${group[0].key}`,
+            message: `${group.length} ${group[0].objectType === 'plane' ? 'aircraft' : 'satellites'}: ${names}${more}`
+        }];
+    });
+};
@@ -0,0 +1,169 @@
+import { deadReckonPlane } from './planeUtils';
+
+// Aircraft track anomalies
+// Most traffic is airliners and light aircraft doing ordinary things. This
+// looks over each track's recent reports (see updatePlaneTracks) for what
+// ordinary traffic doesn't do, or what a broken/spoofed transponder does:
+//   - speed or acceleration no aircraft manages, reported or implied by
+//     consecutive positions
+//   - altitude jumping faster than any climb or descent
+//   - on_ground contradicting speed or vertical rate
+//   - no callsign
+//   - emergency squawks: 7500 hijack, 7600 radio failure, 7700 emergency
+//   - a position that stopped updating while the transponder is still heard
+//   - a new report far from where the previous one dead-reckons to
+// Each reason has a weight; a track is flagged when they add up to FLAG_SCORE.
+// A missing callsign alone (plenty of light aircraft) isn't enough.
+// State vector fields as OpenSky: [3] time_position, [4] last_contact, [5] lon,
+// [6] lat, [7] baro_altitude, [8] on_ground, [9] velocity, [11] vertical_rate,
+// [14] squawk. Units m, m/s, s.
+
+export const FLAG_SCORE = 1;
+// Only reports this recent count (seconds before the time looked at)
+const ANOMALY_WINDOW_SECONDS = 600;
+
+// Limits, generous enough for fast jets and gusty reports
+const MAX_SPEED = 350; // m/s, about Mach 1 at cruise altitude
+const MAX_ACCELERATION = 8; // m/s², between reported speeds
+const MAX_ALTITUDE_RATE = 100; // m/s between reported altitudes (~20,000 ft/min)
+const ON_GROUND_MAX_SPEED = 100; // m/s, above take-off speeds
+const ON_GROUND_MAX_VERTICAL_RATE = 5; // m/s
+const STALE_POSITION_SECONDS = 60;
+// Dead-reckoning jump: more than this plus a share of the distance flown
+const DR_JUMP_METERS = 3000;
+const DR_JUMP_FRACTION = 0.2;
+// Report pairs closer in time than this are too noisy for rates
+const MIN_RATE_INTERVAL_SECONDS = 2;
+
+const EMERGENCY_SQUAWKS = {
+    7500: 'hijack',
+    7600: 'radio failure',
+    7700: 'general emergency'
+};
+
+const REASON_WEIGHTS = {
+    squawk: 3,
+    speed: 2,
+    acceleration: 2,
+    altitudeJump: 2,
+    positionJump: 2,
+    onGround: 1,
+    stale: 1,
+    noCallsign: 0.5
+};
+
+const EARTH_RADIUS = 6371000;
+
+// Great-circle distance in meters
+const groundDistance = (lat1, lon1, lat2, lon2) => {
+    const toRad = Math.PI / 180;
+    const dLat = (lat2 - lat1) * toRad;
+    const dLon = (lon2 - lon1) * toRad;
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+const reportTime = (point) => point.state[3] ?? point.receivedAt;
+
+// Checks between two consecutive reports; each finding is [reason id, detail]
+const pairFindings = (prev, next) => {
+    const findings = [];
+    const dt = reportTime(next) - reportTime(prev);
+    if (dt < MIN_RATE_INTERVAL_SECONDS) return findings;
+    const a = prev.state;
+    const b = next.state;
+
+    const distance = groundDistance(a[6], a[5], b[6], b[5]);
+    const impliedSpeed = distance / dt;
+    if (impliedSpeed > MAX_SPEED) {
+        findings.push(['speed', `moved ${(distance / 1000).toFixed(1)} km in ${Math.round(dt)} s (${Math.round(impliedSpeed * 3.6)} km/h)`]);
+    }
+
+    if (a[9] !== null && b[9] !== null) {
+        const acceleration = Math.abs(b[9] - a[9]) / dt;
+        if (acceleration > MAX_ACCELERATION) {
+            findings.push(['acceleration', `speed changed ${Math.round((b[9] - a[9]) * 3.6)} km/h in ${Math.round(dt)} s`]);
+        }
+    }
+
+    if (a[7] !== null && b[7] !== null) {
+        const altitudeRate = Math.abs(b[7] - a[7]) / dt;
+        if (altitudeRate > MAX_ALTITUDE_RATE) {
+            findings.push(['altitudeJump', `altitude changed ${Math.round(b[7] - a[7])} m in ${Math.round(dt)} s`]);
+        }
+    }
+
+    const predicted = deadReckonPlane(a, reportTime(next));
+    if (predicted) {
+        const miss = groundDistance(predicted[6], predicted[5], b[6], b[5]);
+        const flown = (a[9] || 0) * dt;
+        if (miss > DR_JUMP_METERS + DR_JUMP_FRACTION * flown) {
+            findings.push(['positionJump', `report ${(miss / 1000).toFixed(1)} km off the dead-reckoned track`]);
+        }
+    }
+
+    return findings;
+};
+
+// Checks on one report on its own
+const stateFindings = (state) => {
+    const findings = [];
+    if (state[8]) {
+        if (state[9] !== null && state[9] > ON_GROUND_MAX_SPEED) {
+            findings.push(['onGround', `on_ground at ${Math.round(state[9] * 3.6)} km/h`]);
+        } else if (state[11] !== null && Math.abs(state[11]) > ON_GROUND_MAX_VERTICAL_RATE) {
+            findings.push(['onGround', `on_ground with vertical rate ${state[11].toFixed(1)} m/s`]);
+        }
+    }
+    const squawk = EMERGENCY_SQUAWKS[state[14]];
+    if (squawk) findings.push(['squawk', `squawk ${state[14]} (${squawk})`]);
+    return findings;
+};
+
+// track: from updatePlaneTracks; timeSeconds: the (simulation) time looked at.
+// Returns { score, flagged, reasons: [{ id, weight, details: [...] }] },
+// strongest reasons first.
+export const scorePlaneTrack = (track, timeSeconds) => {
+    const points = track.points.filter(point =>
+        point.receivedAt <= timeSeconds && point.receivedAt >= timeSeconds - ANOMALY_WINDOW_SECONDS);
+    const byReason = new Map();
+    const add = ([id, detail]) => {
+        if (!byReason.has(id)) byReason.set(id, []);
+        const details = byReason.get(id);
+        if (!details.includes(detail)) details.push(detail);
+    };
+
+    points.forEach((point, idx) => {
+        stateFindings(point.state).forEach(add);
+        if (idx > 0) pairFindings(points[idx - 1], point).forEach(add);
+    });
+
+    const latest = points[points.length - 1];
+    if (latest) {
+        const state = latest.state;
+        if (!(state[1] && state[1].trim())) add(['noCallsign', 'no callsign']);
+        const positionAge = state[3] !== null ? timeSeconds - state[3] : null;
+        const contactAge = state[4] !== null ? timeSeconds - state[4] : null;
+        if (positionAge !== null && positionAge > STALE_POSITION_SECONDS &&
+            (contactAge === null || contactAge < positionAge - STALE_POSITION_SECONDS / 2)) {
+            add(['stale', `position ${Math.round(positionAge)} s old, transponder heard ${contactAge === null ? '?' : Math.round(contactAge)} s ago`]);
+        }
+    }
+
+    const reasons = [...byReason.entries()]
+        .map(([id, details]) => ({ id, weight: REASON_WEIGHTS[id], details: details.slice(-3) }))
+        .sort((a, b) => b.weight - a.weight);
+    const score = reasons.reduce((sum, reason) => sum + reason.weight, 0);
+    return { score, flagged: score >= FLAG_SCORE, reasons };
+};
+
+export const REASON_LABELS = {
+    squawk: 'Emergency squawk',
+    speed: 'Implausible speed',
+    acceleration: 'Implausible acceleration',
+    altitudeJump: 'Altitude jump',
+    positionJump: 'Position jump',
+    onGround: 'on_ground contradiction',
+    stale: 'Stale position',
+    noCallsign: 'Missing callsign'
+};
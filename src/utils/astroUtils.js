@@ -0,0 +1,396 @@
+import { gstime, jday } from 'satellite.js';
+
+// Positional astronomy for things that aren't satellites or planes:
+// fixed stars, the Sun, the Moon and the planets. Everything ends up as Az/El (radians,
+// azimuth from North clockwise) so it can go through polarToCartesian like
+// the other sky layers.
+
+const DEG = Math.PI / 180;
+
+// Mean obliquity of the ecliptic at J2000 (radians)
+const OBLIQUITY = 23.43928 * DEG;
+
+// Local Sidereal Time in radians. LST = GMST + Longitude.
+// satellite.js gstime returns GMST in radians; observerLon is degrees.
+export const localSiderealTime = (date, observerLon) => {
+    return gstime(date) + observerLon * DEG;
+};
+
+// Equatorial (RA/Dec, radians) to horizontal (Az/El, radians) for an observer
+// at latRad with local sidereal time lst.
+export const equatorialToHorizontal = (raRad, decRad, lst, latRad) => {
+    const ha = lst - raRad; // Hour Angle
+
+    // sin(El) = sin(Dec)sin(Lat) + cos(Dec)cos(Lat)cos(HA)
+    const sinEl = Math.sin(decRad) * Math.sin(latRad) + Math.cos(decRad) * Math.cos(latRad) * Math.cos(ha);
+    const elevation = Math.asin(Math.max(-1, Math.min(1, sinEl)));
+
+    // tan(Az) = sin(HA) / (cos(HA)sin(Lat) - tan(Dec)cos(Lat)) gives Az from South,
+    // adding PI moves 0 to North.
+    const y = Math.sin(ha);
+    const x = Math.cos(ha) * Math.sin(latRad) - Math.tan(decRad) * Math.cos(latRad);
+    let azimuth = Math.atan2(y, x) + Math.PI;
+    azimuth = (azimuth + 2 * Math.PI) % (2 * Math.PI);
+
+    return { azimuth, elevation };
+};
+
+// Convenience wrapper when only one object is needed (degrees in, radians out).
+export const raDecToAzEl = (raDeg, decDeg, date, observerLat, observerLon) => {
+    const lst = localSiderealTime(date, observerLon);
+    return equatorialToHorizontal(raDeg * DEG, decDeg * DEG, lst, observerLat * DEG);
+};
+
+// Atmospheric refraction
+// The air lifts everything near the horizon: about half a degree at 0°, 5' at 10°, under
+// 1' above 45°. All the look-angle code works in geometric elevation; the sky
+// layers and identification then lift it to the apparent elevation the
+// observer actually sees. atmosphere: { temperature (°C), pressure (hPa) }.
+
+export const STANDARD_TEMPERATURE_C = 10;
+
+// Standard-atmosphere pressure (hPa) at an altitude in meters
+export const standardPressure = (altitudeMeters = 0) =>
+    1013.25 * Math.pow(1 - 2.25577e-5 * altitudeMeters, 5.25588);
+
+const refractionScale = ({ temperature = STANDARD_TEMPERATURE_C, pressure = 1010 } = {}) =>
+    (pressure / 1010) * (283 / (273 + temperature));
+
+// Refraction (radians) for a geometric elevation (radians), Saemundsson's
+// formula. Below about -1° it stops making sense; those objects are hidden anyway.
+export const refraction = (elevation, atmosphere) => {
+    const h = Math.max(-1, elevation / DEG);
+    const arcmin = 1.02 / Math.tan((h + 10.3 / (h + 5.11)) * DEG);
+    return arcmin / 60 * DEG * refractionScale(atmosphere);
+};
+
+// Geometric -> apparent elevation (radians). No atmosphere means no refraction.
+export const applyRefraction = (elevation, atmosphere) =>
+    atmosphere ? elevation + refraction(elevation, atmosphere) : elevation;
+
+// Apparent -> geometric elevation (radians), Bennett's formula
+export const removeRefraction = (elevation, atmosphere) => {
+    if (!atmosphere) return elevation;
+    const h0 = Math.max(-1, elevation / DEG);
+    const arcmin = 1 / Math.tan((h0 + 7.31 / (h0 + 4.4)) * DEG);
+    return elevation - arcmin / 60 * DEG * refractionScale(atmosphere);
+};
+
+// Precession, nutation and proper motion
+// Catalog positions (stars, the J2000 planet elements) are referred to the
+// J2000 equator and equinox. The pole wanders about 50"/year, so by now they are
+// a third of a degree off the sky we actually see. Precession uses the IAU 1976
+// angles, nutation the four largest IAU 1980 terms (good to about 1").
+
+const ARCSEC = DEG / 3600;
+
+// Rotation matrices about the x, y and z axes (coordinate rotations)
+const rotX = (a) => [[1, 0, 0], [0, Math.cos(a), Math.sin(a)], [0, -Math.sin(a), Math.cos(a)]];
+const rotY = (a) => [[Math.cos(a), 0, -Math.sin(a)], [0, 1, 0], [Math.sin(a), 0, Math.cos(a)]];
+const rotZ = (a) => [[Math.cos(a), Math.sin(a), 0], [-Math.sin(a), Math.cos(a), 0], [0, 0, 1]];
+
+const multiply = (a, b) => a.map(row => [0, 1, 2].map(j => row[0] * b[0][j] + row[1] * b[1][j] + row[2] * b[2][j]));
+
+// Julian centuries since J2000
+const centuriesSinceJ2000 = (date) => (jday(date) - 2451545.0) / 36525;
+
+// Nutation in longitude and obliquity (radians) and the mean obliquity of date
+export const getNutation = (date) => {
+    const T = centuriesSinceJ2000(date);
+    const omega = (125.04452 - 1934.136261 * T) * DEG; // Moon's ascending node
+    const L = (280.4665 + 36000.7698 * T) * DEG; // Sun's mean longitude
+    const Lm = (218.3165 + 481267.8813 * T) * DEG; // Moon's mean longitude
+
+    const dPsi = (-17.20 * Math.sin(omega) - 1.32 * Math.sin(2 * L) - 0.23 * Math.sin(2 * Lm) + 0.21 * Math.sin(2 * omega)) * ARCSEC;
+    const dEps = (9.20 * Math.cos(omega) + 0.57 * Math.cos(2 * L) + 0.10 * Math.cos(2 * Lm) - 0.09 * Math.cos(2 * omega)) * ARCSEC;
+    const meanObliquity = OBLIQUITY + (-46.8150 * T - 0.00059 * T * T + 0.001813 * T * T * T) * ARCSEC;
+
+    return { dPsi, dEps, meanObliquity };
+};
+
+// Matrix taking J2000 equatorial vectors to the true equator and equinox of date
+export const getPrecessionNutationMatrix = (date) => {
+    const T = centuriesSinceJ2000(date);
+    const zeta = (2306.2181 * T + 0.30188 * T * T + 0.017998 * T * T * T) * ARCSEC;
+    const z = (2306.2181 * T + 1.09468 * T * T + 0.018203 * T * T * T) * ARCSEC;
+    const theta = (2004.3109 * T - 0.42665 * T * T - 0.041833 * T * T * T) * ARCSEC;
+    const precession = multiply(rotZ(-z), multiply(rotY(theta), rotZ(-zeta)));
+
+    const { dPsi, dEps, meanObliquity } = getNutation(date);
+    const nutation = multiply(rotX(-(meanObliquity + dEps)), multiply(rotZ(-dPsi), rotX(meanObliquity)));
+
+    return multiply(nutation, precession);
+};
+
+// Years since J2000, for proper motion
+export const yearsSinceJ2000 = (date) => centuriesSinceJ2000(date) * 100;
+
+// J2000 RA/Dec (radians) to RA/Dec of date (radians) with a matrix from
+// getPrecessionNutationMatrix. Optional proper motion in mas/yr
+// (pmRa includes the cos Dec factor, as catalogs give it) over `years`.
+export const precessRaDec = (raRad, decRad, matrix, pmRa = 0, pmDec = 0, years = 0) => {
+    let ra = raRad;
+    let dec = decRad;
+    if (pmRa || pmDec) {
+        const masToRad = ARCSEC / 1000;
+        dec += pmDec * masToRad * years;
+        ra += pmRa * masToRad * years / Math.cos(decRad);
+    }
+
+    const cosDec = Math.cos(dec);
+    const v = [cosDec * Math.cos(ra), cosDec * Math.sin(ra), Math.sin(dec)];
+    const [x, y, zc] = matrix.map(row => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+
+    let raOut = Math.atan2(y, x);
+    if (raOut < 0) raOut += 2 * Math.PI;
+    return { ra: raOut, dec: Math.atan2(zc, Math.sqrt(x * x + y * y)) };
+};
+
+// Catalog star ({ ra, dec in J2000 degrees, optional pmRa/pmDec }) at `date`:
+// RA/Dec of date (radians), Az/El with apparent and geometric elevation.
+// The sky layers batch this per update; this is for the odd single star.
+export const getStarPosition = (star, date, observerLat, observerLon, atmosphere = null) => {
+    const { ra, dec } = precessRaDec(star.ra * DEG, star.dec * DEG, getPrecessionNutationMatrix(date),
+        star.pmRa, star.pmDec, yearsSinceJ2000(date));
+    const { azimuth, elevation } = equatorialToHorizontal(ra, dec, localSiderealTime(date, observerLon), observerLat * DEG);
+    return { ra, dec, azimuth, elevation: applyRefraction(elevation, atmosphere), geometricElevation: elevation };
+};
+
+// Sun position, converted to Az/El. See getSunEquatorial.
+export const getSunPosition = (date, observerLat, observerLon) => {
+    const { ra, dec } = getSunEquatorial(date);
+    const lst = localSiderealTime(date, observerLon);
+    return {
+        ra,
+        dec,
+        ...equatorialToHorizontal(ra, dec, lst, observerLat * DEG)
+    };
+};
+
+// Keplerian elements and rates per Julian century, valid 1800-2050.
+// Source: JPL "Approximate Positions of the Planets" (Standish), Table 1.
+// [a (AU), e, I (deg), L (deg), long.peri (deg), long.node (deg)]
+const PLANET_ELEMENTS = {
+    mercury: {
+        base: [0.38709927, 0.20563593, 7.00497902, 252.25032350, 77.45779628, 48.33076593],
+        rate: [0.00000037, 0.00001906, -0.00594749, 149472.67411175, 0.16047689, -0.12534081]
+    },
+    venus: {
+        base: [0.72333566, 0.00677672, 3.39467605, 181.97909950, 131.60246718, 76.67984255],
+        rate: [0.00000390, -0.00004107, -0.00078890, 58517.81538729, 0.00268329, -0.27769418]
+    },
+    earth: { // Earth-Moon barycenter
+        base: [1.00000261, 0.01671123, -0.00001531, 100.46457166, 102.93768193, 0.0],
+        rate: [0.00000562, -0.00004392, -0.01294668, 35999.37244981, 0.32327364, 0.0]
+    },
+    mars: {
+        base: [1.52371034, 0.09339410, 1.84969142, -4.55343205, -23.94362959, 49.55953891],
+        rate: [0.00001847, 0.00007882, -0.00813131, 19140.30268499, 0.44441088, -0.29257343]
+    },
+    jupiter: {
+        base: [5.20288700, 0.04838624, 1.30439695, 34.39644051, 14.72847983, 100.47390909],
+        rate: [-0.00011607, -0.00013253, -0.00183714, 3034.74612775, 0.21252668, 0.20469106]
+    },
+    saturn: {
+        base: [9.53667594, 0.05386179, 2.48599187, 49.95424423, 92.59887831, 113.66242448],
+        rate: [-0.00125060, -0.00050991, 0.00193609, 1222.49362201, -0.41897216, -0.28867794]
+    }
+};
+
+// Naked-eye planets with the magnitude model from Mallama & Hilton (simplified).
+// r: Sun distance, delta: Earth distance (AU), i: phase angle (degrees).
+export const PLANETS = [
+    { id: 'mercury', name: 'Mercury', magnitude: (r, delta, i) => -0.42 + 5 * Math.log10(r * delta) + 0.038 * i - 0.000273 * i * i + 0.000002 * i * i * i },
+    { id: 'venus', name: 'Venus', magnitude: (r, delta, i) => -4.40 + 5 * Math.log10(r * delta) + 0.0009 * i + 0.000239 * i * i - 0.00000065 * i * i * i },
+    { id: 'mars', name: 'Mars', magnitude: (r, delta, i) => -1.52 + 5 * Math.log10(r * delta) + 0.016 * i },
+    { id: 'jupiter', name: 'Jupiter', magnitude: (r, delta, i) => -9.40 + 5 * Math.log10(r * delta) + 0.005 * i },
+    { id: 'saturn', name: 'Saturn', magnitude: (r, delta, i) => -8.88 + 5 * Math.log10(r * delta) + 0.044 * i }
+];
+
+// Heliocentric ecliptic J2000 coordinates (AU) of a planet at Julian centuries T.
+const heliocentricPosition = (planetId, T) => {
+    const { base, rate } = PLANET_ELEMENTS[planetId];
+    const [a, e, I, L, peri, node] = base.map((v, idx) => v + rate[idx] * T);
+
+    const omega = (peri - node) * DEG; // argument of perihelion
+    const M = ((L - peri) % 360) * DEG; // mean anomaly
+    const incl = I * DEG;
+    const nodeRad = node * DEG;
+
+    // Kepler's equation, Newton iteration
+    let E = M + e * Math.sin(M);
+    for (let k = 0; k < 10; k++) {
+        const dE = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+        E -= dE;
+        if (Math.abs(dE) < 1e-8) break;
+    }
+
+    const xp = a * (Math.cos(E) - e);
+    const yp = a * Math.sqrt(1 - e * e) * Math.sin(E);
+
+    const cw = Math.cos(omega), sw = Math.sin(omega);
+    const cn = Math.cos(nodeRad), sn = Math.sin(nodeRad);
+    const ci = Math.cos(incl), si = Math.sin(incl);
+
+    return {
+        x: (cw * cn - sw * sn * ci) * xp + (-sw * cn - cw * sn * ci) * yp,
+        y: (cw * sn + sw * cn * ci) * xp + (-sw * sn + cw * cn * ci) * yp,
+        z: (sw * si) * xp + (cw * si) * yp
+    };
+};
+
+// Geocentric ecliptic vector to RA/Dec (radians) and distance.
+export const eclipticToEquatorial = ({ x, y, z }) => {
+    const xeq = x;
+    const yeq = y * Math.cos(OBLIQUITY) - z * Math.sin(OBLIQUITY);
+    const zeq = y * Math.sin(OBLIQUITY) + z * Math.cos(OBLIQUITY);
+
+    let ra = Math.atan2(yeq, xeq);
+    if (ra < 0) ra += 2 * Math.PI;
+    const dec = Math.atan2(zeq, Math.sqrt(xeq * xeq + yeq * yeq));
+
+    return { ra, dec, distance: Math.sqrt(x * x + y * y + z * z) };
+};
+
+// Sun RA/Dec of date (radians): the Earth's orbit from the same elements as
+// the planets, seen the other way round (good to about an arcminute).
+// satellite.js has sunPos, but its mean anomaly mixes degrees and radians
+// (6.0.1) and puts the Sun off by up to 2°.
+export const getSunEquatorial = (date) => {
+    const earth = heliocentricPosition('earth', centuriesSinceJ2000(date));
+    const j2000 = eclipticToEquatorial({ x: -earth.x, y: -earth.y, z: -earth.z });
+    return precessRaDec(j2000.ra, j2000.dec, getPrecessionNutationMatrix(date));
+};
+
+// Topocentric-ish positions of the naked-eye planets. Parallax is ignored
+// (well under an arcminute for planets), so this is geocentric RA/Dec seen
+// from the observer's horizon. The elements are J2000, so the result is
+// precessed to the equator of date like the stars.
+export const getPlanetPositions = (date, observerLat, observerLon) => {
+    const T = (jday(date) - 2451545.0) / 36525;
+    const earth = heliocentricPosition('earth', T);
+    const earthSunDist = Math.sqrt(earth.x * earth.x + earth.y * earth.y + earth.z * earth.z);
+
+    const lst = localSiderealTime(date, observerLon);
+    const latRad = observerLat * DEG;
+    const matrix = getPrecessionNutationMatrix(date);
+
+    return PLANETS.map(planet => {
+        const helio = heliocentricPosition(planet.id, T);
+        const geo = { x: helio.x - earth.x, y: helio.y - earth.y, z: helio.z - earth.z };
+
+        const j2000 = eclipticToEquatorial(geo);
+        const { ra, dec } = precessRaDec(j2000.ra, j2000.dec, matrix);
+        const distance = j2000.distance;
+        const r = Math.sqrt(helio.x * helio.x + helio.y * helio.y + helio.z * helio.z);
+
+        // Phase angle (Sun-planet-Earth)
+        const cosPhase = (r * r + distance * distance - earthSunDist * earthSunDist) / (2 * r * distance);
+        const phaseAngle = Math.acos(Math.max(-1, Math.min(1, cosPhase))) / DEG;
+
+        return {
+            id: planet.id,
+            name: planet.name,
+            ra,
+            dec,
+            distance, // AU
+            mag: planet.magnitude(r, distance, phaseAngle),
+            ...equatorialToHorizontal(ra, dec, lst, latRad)
+        };
+    });
+};
+
+// Moon
+// Low-precision lunar theory from the Astronomical Almanac (about 0.3° in
+// longitude, 0.2° in latitude). The Moon is close enough that the observer's
+// offset from the Earth's center shifts it by up to a degree, so unlike the
+// planets we correct for parallax.
+const sinDeg = (deg) => Math.sin(deg * DEG);
+const cosDeg = (deg) => Math.cos(deg * DEG);
+
+const moonGeocentric = (T) => {
+    const lambda = 218.32 + 481267.881 * T
+        + 6.29 * sinDeg(135.0 + 477198.87 * T)
+        - 1.27 * sinDeg(259.3 - 413335.36 * T)
+        + 0.66 * sinDeg(235.7 + 890534.22 * T)
+        + 0.21 * sinDeg(269.9 + 954397.74 * T)
+        - 0.19 * sinDeg(357.5 + 35999.05 * T)
+        - 0.11 * sinDeg(186.5 + 966404.03 * T);
+    const beta = 5.13 * sinDeg(93.3 + 483202.02 * T)
+        + 0.28 * sinDeg(228.2 + 960400.89 * T)
+        - 0.28 * sinDeg(318.3 + 6003.15 * T)
+        - 0.17 * sinDeg(217.6 - 407332.21 * T);
+    const parallax = 0.9508
+        + 0.0518 * cosDeg(135.0 + 477198.87 * T)
+        + 0.0095 * cosDeg(259.3 - 413335.36 * T)
+        + 0.0078 * cosDeg(235.7 + 890534.22 * T)
+        + 0.0028 * cosDeg(269.9 + 954397.74 * T);
+
+    // Distance in Earth radii
+    const r = 1 / sinDeg(parallax);
+    return {
+        x: r * cosDeg(beta) * cosDeg(lambda),
+        y: r * cosDeg(beta) * sinDeg(lambda),
+        z: r * sinDeg(beta)
+    };
+};
+
+// Topocentric Moon position, phase and magnitude.
+// illumination: lit fraction of the disc (0 new .. 1 full)
+export const getMoonPosition = (date, observerLat, observerLon) => {
+    const T = (jday(date) - 2451545.0) / 36525;
+    const geo = eclipticToEquatorial(moonGeocentric(T)); // distance in Earth radii
+
+    // Geocentric equatorial vector of the Moon, minus the observer's position
+    // (Earth radii, spherical Earth) gives the topocentric direction.
+    const lst = localSiderealTime(date, observerLon);
+    const latRad = observerLat * DEG;
+    const mx = geo.distance * Math.cos(geo.dec) * Math.cos(geo.ra) - Math.cos(latRad) * Math.cos(lst);
+    const my = geo.distance * Math.cos(geo.dec) * Math.sin(geo.ra) - Math.cos(latRad) * Math.sin(lst);
+    const mz = geo.distance * Math.sin(geo.dec) - Math.sin(latRad);
+
+    let ra = Math.atan2(my, mx);
+    if (ra < 0) ra += 2 * Math.PI;
+    const dec = Math.atan2(mz, Math.sqrt(mx * mx + my * my));
+
+    // Phase from the Sun-Moon elongation
+    const sun = getSunEquatorial(date);
+    const cosElong = Math.sin(geo.dec) * Math.sin(sun.dec) +
+        Math.cos(geo.dec) * Math.cos(sun.dec) * Math.cos(geo.ra - sun.ra);
+    const elongation = Math.acos(Math.max(-1, Math.min(1, cosElong)));
+    const phaseAngle = Math.PI - elongation;
+    const illumination = (1 + Math.cos(phaseAngle)) / 2;
+    // East of the Sun = evening sky = waxing
+    const waxing = ((geo.ra - sun.ra + 4 * Math.PI) % (2 * Math.PI)) < Math.PI;
+
+    const phaseDeg = phaseAngle / DEG;
+    return {
+        id: 'moon',
+        name: 'Moon',
+        ra,
+        dec,
+        distance: geo.distance * 6378.137, // km
+        illumination,
+        waxing,
+        mag: -12.73 + 0.026 * phaseDeg + 4e-9 * Math.pow(phaseDeg, 4),
+        ...equatorialToHorizontal(ra, dec, lst, latRad)
+    };
+};
+
+// Common names for the phase, from lit fraction and waxing/waning
+export const moonPhaseName = (illumination, waxing) => {
+    if (illumination < 0.03) return 'New Moon';
+    if (illumination > 0.97) return 'Full Moon';
+    if (illumination > 0.47 && illumination < 0.53) return waxing ? 'First Quarter' : 'Last Quarter';
+    if (illumination < 0.5) return waxing ? 'Waxing Crescent' : 'Waning Crescent';
+    return waxing ? 'Waxing Gibbous' : 'Waning Gibbous';
+};
+
+// Twilight phase from the Sun's altitude (degrees)
+export const getTwilightPhase = (sunAltitudeDeg) => {
+    if (sunAltitudeDeg > -0.833) return 'Daylight';
+    if (sunAltitudeDeg > -6) return 'Civil twilight';
+    if (sunAltitudeDeg > -12) return 'Nautical twilight';
+    if (sunAltitudeDeg > -18) return 'Astronomical twilight';
+    return 'Night';
+};
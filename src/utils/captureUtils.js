@@ -0,0 +1,190 @@
+import * as THREE from 'three';
+import { polarToCartesian } from './satelliteUtils';
+
+// Annotated photo capture
+// In AR mode the camera <video> and the WebGL canvas are separate layers, so a
+// screenshot of either misses the other, and the drei Html labels are DOM on
+// top of both. A capture is composited here onto one 2D canvas:
+//   1. the current video frame, cropped the way object-cover shows it
+//   2. the freshly rendered WebGL frame (stars, satellites, planes...)
+//   3. labels for what's in view, the reticle and an info block, drawn from
+//      what the sky layers publish on skyRef
+// The PNG comes with a sidecar JSON describing how it was taken.
+
+const TYPE_COLORS = {
+    star: '#ffffff',
+    sun: '#facc15',
+    moon: '#e5e7eb',
+    planet: '#fde047',
+    satellite: '#4ade80',
+    plane: '#22d3ee'
+};
+
+// Only label stars at least this bright; fainter ones are still in the image
+const STAR_LABEL_MAG = 2.5;
+// Satellite labels are capped, brightest first, so a Starlink swarm doesn't
+// bury the picture
+const MAX_SATELLITE_LABELS = 30;
+
+const toDeg = (rad) => rad * 180 / Math.PI;
+
+// Draws `video` filling width x height the way CSS object-fit: cover does
+const drawVideoCover = (ctx, video, width, height) => {
+    const scale = Math.max(width / video.videoWidth, height / video.videoHeight);
+    const drawWidth = video.videoWidth * scale;
+    const drawHeight = video.videoHeight * scale;
+    ctx.drawImage(video, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+};
+
+// Sky entries worth a label, with their type
+const labelCandidates = (sky) => {
+    const satellites = [...(sky.satellites || [])]
+        .sort((a, b) => (a.magnitude ?? Infinity) - (b.magnitude ?? Infinity) || a.range - b.range);
+    return [
+        ...(sky.solarSystem || []).map(obj => ({ ...obj, type: obj.type || 'planet' })),
+        ...(sky.stars || []).filter(star => star.mag <= STAR_LABEL_MAG).map(obj => ({ ...obj, type: 'star' })),
+        ...(sky.planes || []).map(obj => ({ ...obj, type: 'plane' })),
+        ...satellites.map(obj => ({ ...obj, type: 'satellite' }))
+    ];
+};
+
+// Screen position (canvas pixels) of every labeled object in view:
+// [{ type, id, name, azimuth, elevation (degrees), x, y }]
+const projectLabels = (sky, camera, width, height) => {
+    const point = new THREE.Vector3();
+    const labels = [];
+    let satelliteLabels = 0;
+
+    labelCandidates(sky).forEach(obj => {
+        if (obj.type === 'satellite' && satelliteLabels >= MAX_SATELLITE_LABELS) return;
+        point.set(...polarToCartesian(obj.azimuth, obj.elevation, 1)).add(camera.position).project(camera);
+        if (point.z > 1 || Math.abs(point.x) > 1 || Math.abs(point.y) > 1) return; // behind or off screen
+        if (obj.type === 'satellite') satelliteLabels++;
+        labels.push({
+            type: obj.type,
+            id: obj.id,
+            name: obj.name,
+            azimuth: toDeg(obj.azimuth),
+            elevation: toDeg(obj.elevation),
+            x: (point.x + 1) / 2 * width,
+            y: (1 - point.y) / 2 * height
+        });
+    });
+    return labels;
+};
+
+const drawLabels = (ctx, labels, scale) => {
+    ctx.font = `${12 * scale}px sans-serif`;
+    ctx.textBaseline = 'middle';
+    labels.forEach(label => {
+        ctx.strokeStyle = TYPE_COLORS[label.type];
+        ctx.fillStyle = TYPE_COLORS[label.type];
+        ctx.lineWidth = 1.5 * scale;
+        ctx.beginPath();
+        ctx.arc(label.x, label.y, 8 * scale, 0, 2 * Math.PI);
+        ctx.stroke();
+        ctx.fillText(label.name, label.x + 11 * scale, label.y);
+    });
+};
+
+// Same purple circle as the on-screen reticle
+const drawReticle = (ctx, width, height, scale) => {
+    ctx.strokeStyle = '#c084fc';
+    ctx.lineWidth = 2 * scale;
+    ctx.beginPath();
+    ctx.arc(width / 2, height / 2, 12 * scale, 0, 2 * Math.PI);
+    ctx.stroke();
+};
+
+const drawInfo = (ctx, lines, height, scale) => {
+    const lineHeight = 16 * scale;
+    const padding = 8 * scale;
+    ctx.font = `${13 * scale}px monospace`;
+    ctx.textBaseline = 'top';
+    const boxWidth = Math.max(...lines.map(line => ctx.measureText(line).width)) + 2 * padding;
+    const boxHeight = lines.length * lineHeight + 2 * padding;
+    const top = height - boxHeight - padding;
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(padding, top, boxWidth, boxHeight);
+    ctx.fillStyle = '#ffffff';
+    lines.forEach((line, idx) => ctx.fillText(line, 2 * padding, top + padding + idx * lineHeight));
+};
+
+const canvasToBlob = (canvas) => new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode the image'))), 'image/png');
+});
+
+// glCanvas: the WebGL canvas, holding a frame rendered just now
+// camera: the three.js camera that rendered it
+// video: the camera feed <video>, or null (manual mode)
+// context: { date, observer, aim, sky, identification, orientation, headingCorrection, calibration }
+// Resolves to { png: Blob, sidecar: object, baseName }
+export const captureAnnotatedPhoto = (glCanvas, camera, video, context) => {
+    const { date, observer, aim, sky, identification, orientation, headingCorrection, calibration } = context;
+    const width = glCanvas.width;
+    const height = glCanvas.height;
+    // Drawing buffer pixels per CSS pixel, so text/rings match the screen
+    const scale = width / glCanvas.clientWidth;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, width, height);
+    if (video && video.videoWidth > 0) drawVideoCover(ctx, video, width, height);
+    ctx.drawImage(glCanvas, 0, 0, width, height);
+
+    const labels = projectLabels(sky, camera, width, height);
+    drawLabels(ctx, labels, scale);
+    drawReticle(ctx, width, height, scale);
+
+    const horizontalFov = toDeg(2 * Math.atan(Math.tan(camera.fov * Math.PI / 360) * camera.aspect));
+    const best = identification && identification.matched ? identification.candidates[0] : null;
+    const baseName = `uap-capture-${date.toISOString().replace(/\.\d+Z$/, 'Z').replace(/:/g, '-')}`;
+    drawInfo(ctx, [
+        `UAP Tracker  ${date.toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC')}`,
+        `${observer.lat.toFixed(5)}, ${observer.lon.toFixed(5)}, ${Math.round(observer.alt)} m` +
+            (observer.accuracy !== null && observer.accuracy !== undefined ? ` (±${Math.round(observer.accuracy)} m)` : ''),
+        `Az ${toDeg(aim.azimuth).toFixed(1)}°  El ${toDeg(aim.elevation).toFixed(1)}°  FOV ${horizontalFov.toFixed(0)}°×${camera.fov.toFixed(0)}°`,
+        calibration ? `Heading calibrated on ${calibration.reference}` : 'Heading from compass, not calibrated',
+        identification ? identification.verdict : 'Not identified'
+    ], height, scale);
+
+    const sidecar = {
+        capturedAt: new Date().toISOString(),
+        timestamp: date.toISOString(), // simulation time shown in the image
+        location: {
+            lat: observer.lat,
+            lon: observer.lon,
+            alt: observer.alt,
+            accuracy: observer.accuracy ?? null,
+            source: observer.source,
+            atmosphere: observer.atmosphere
+        },
+        pointing: { azimuth: toDeg(aim.azimuth), elevation: toDeg(aim.elevation) },
+        deviceOrientation: orientation, // raw deviceorientation event, degrees, or null
+        headingCorrection: {
+            azimuth: toDeg(headingCorrection.azimuth),
+            elevation: toDeg(headingCorrection.elevation),
+            calibration
+        },
+        camera: {
+            quaternion: camera.quaternion.toArray(),
+            verticalFov: camera.fov,
+            horizontalFov,
+            aspect: camera.aspect
+        },
+        image: { file: `${baseName}.png`, width, height },
+        identification: identification && {
+            verdict: identification.verdict,
+            matched: identification.matched,
+            best: best && { type: best.type, id: best.id, name: best.name, confidence: best.confidence }
+        },
+        labels: labels.map(label => ({ ...label, x: Math.round(label.x), y: Math.round(label.y) }))
+    };
+
+    return canvasToBlob(canvas).then(png => ({ png, sidecar, baseName }));
+};
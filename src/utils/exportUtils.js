@@ -0,0 +1,297 @@
+import { observerRay, pointToGeodetic } from './triangulationUtils';
+
+// Sighting export / import
+// Sightings (see sightingUtils.js) can be exported one at a time or as a whole
+// log, for other groups and tools:
+//   KML      Google Earth: observer placemark, line-of-sight ray, and the
+//            nearby satellites/aircraft at their computed positions
+//   GeoJSON  the same as features, for GIS tools
+//   CSV      one row per sighting, for spreadsheets
+//   report   self-contained JSON (REPORT_FORMAT), everything in the record
+//            plus computed positions; the one format that can be imported back
+// Angles are degrees, altitudes meters, ranges km, like the saved records.
+
+export const REPORT_FORMAT = 'uap-sighting-report';
+export const REPORT_VERSION = 1;
+
+export const EXPORT_FORMATS = [
+    { id: 'kml', label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+    { id: 'geojson', label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' },
+    { id: 'csv', label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+    { id: 'report', label: 'Report', extension: 'json', mimeType: 'application/json' }
+];
+
+// How far the line-of-sight ray is drawn. The distance to whatever was seen is
+// unknown, so this only has to be long enough to see where it points.
+const RAY_LENGTH_KM = 100;
+
+// The point `rangeKm` from the observer along azimuth/elevation (degrees):
+// { lat, lon, alt (meters) }. Straight line through local East/North/Up,
+// no bending of the ray by the atmosphere.
+export const projectFromObserver = (observer, azimuthDeg, elevationDeg, rangeKm) => {
+    const { origin, direction } = observerRay(observer, azimuthDeg, elevationDeg);
+    return pointToGeodetic(origin.map((value, idx) => value + rangeKm * direction[idx]));
+};
+
+// Nearby objects with a known range (satellites, aircraft) get a position
+const withPositions = (sighting) => ({
+    ...sighting,
+    nearby: sighting.nearby.map(obj => (obj.range === null || obj.range === undefined
+        ? obj
+        : { ...obj, position: projectFromObserver(sighting.observer, obj.azimuth, obj.geometricElevation ?? obj.elevation, obj.range) }))
+});
+
+const lineOfSight = (sighting) =>
+    projectFromObserver(sighting.observer, sighting.pointing.azimuth, sighting.pointing.elevation, RAY_LENGTH_KM);
+
+const bestMatch = (sighting) => {
+    const candidate = sighting.identification && sighting.identification.matched && sighting.identification.candidates[0];
+    return candidate ? candidate.name : '';
+};
+
+// --- Report ---
+
+export const sightingsToReport = (sightings, generatedAt = new Date()) => JSON.stringify({
+    format: REPORT_FORMAT,
+    version: REPORT_VERSION,
+    generatedAt: generatedAt.toISOString(),
+    units: { angles: 'degrees', altitude: 'm', range: 'km', time: 'UTC ISO 8601' },
+    sightings: sightings.map(withPositions)
+}, null, 2);
+
+const isSighting = (record) => Boolean(record) &&
+    typeof record.timestamp === 'string' && !Number.isNaN(Date.parse(record.timestamp)) &&
+    record.observer && Number.isFinite(record.observer.lat) && Number.isFinite(record.observer.lon) &&
+    record.pointing && Number.isFinite(record.pointing.azimuth) && Number.isFinite(record.pointing.elevation);
+
+// Records from other tools may come without an id. They get one made from the
+// time, place and pointing, so importing the same file twice doesn't add them
+// twice.
+const derivedId = (record) => {
+    const key = [record.timestamp, record.observer.lat, record.observer.lon, record.pointing.azimuth, record.pointing.elevation].join('|');
+    let hash = 0;
+    for (let i = 0; i < key.length; i++) hash = (hash * 31 + key.charCodeAt(i)) | 0;
+    return `${Date.parse(record.timestamp).toString(36)}-${(hash >>> 0).toString(36)}`;
+};
+
+// Sightings from a report file (or a bare array of sighting records).
+// Throws an Error with a readable message when the file isn't one.
+export const parseReport = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('Not a JSON file');
+    }
+
+    let records;
+    if (Array.isArray(data)) {
+        records = data;
+    } else if (data && data.format === REPORT_FORMAT) {
+        if (data.version > REPORT_VERSION) throw new Error(`Report version ${data.version} is newer than this app supports`);
+        records = data.sightings;
+    } else {
+        throw new Error('Not a UAP sighting report');
+    }
+
+    if (!Array.isArray(records) || records.length === 0) throw new Error('The report has no sightings');
+    const invalid = records.filter(record => !isSighting(record)).length;
+    if (invalid > 0) throw new Error(`${invalid} sighting(s) in the report are incomplete`);
+
+    // Positions are derived data, recomputed on the next export
+    const seen = new Set();
+    return records.map(record => ({
+        ...record,
+        id: typeof record.id === 'string' && record.id ? record.id : derivedId(record),
+        note: record.note || '',
+        nearby: (record.nearby || []).map(({ position, ...obj }) => obj),
+        identification: record.identification || null
+    })).filter(record => {
+        // Repeats within the file
+        if (seen.has(record.id)) return false;
+        seen.add(record.id);
+        return true;
+    });
+};
+
+// --- GeoJSON ---
+
+export const sightingsToGeoJSON = (sightings) => JSON.stringify({
+    type: 'FeatureCollection',
+    features: sightings.flatMap(sighting => {
+        const { observer, pointing } = sighting;
+        const end = lineOfSight(sighting);
+        const properties = {
+            sightingId: sighting.id,
+            timestamp: sighting.timestamp,
+            azimuth: pointing.azimuth,
+            elevation: pointing.elevation,
+            note: sighting.note,
+            verdict: sighting.identification ? sighting.identification.verdict : null
+        };
+
+        return [
+            {
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [observer.lon, observer.lat, observer.alt ?? 0] },
+                properties: { ...properties, kind: 'observer', accuracy: observer.accuracy }
+            },
+            {
+                type: 'Feature',
+                geometry: {
+                    type: 'LineString',
+                    coordinates: [[observer.lon, observer.lat, observer.alt ?? 0], [end.lon, end.lat, end.alt]]
+                },
+                properties: { ...properties, kind: 'line-of-sight', lengthKm: RAY_LENGTH_KM }
+            },
+            ...withPositions(sighting).nearby
+                .filter(obj => obj.position)
+                .map(obj => ({
+                    type: 'Feature',
+                    geometry: { type: 'Point', coordinates: [obj.position.lon, obj.position.lat, obj.position.alt] },
+                    properties: {
+                        sightingId: sighting.id,
+                        kind: obj.type,
+                        id: obj.id,
+                        name: obj.name,
+                        azimuth: obj.azimuth,
+                        elevation: obj.elevation,
+                        range: obj.range,
+                        separation: obj.separation
+                    }
+                }))
+        ];
+    })
+}, null, 2);
+
+// --- KML ---
+
+const escapeXml = (text) => String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// KML wants lon,lat,alt
+const kmlCoordinates = (points) => points.map(p => `${p.lon},${p.lat},${Math.round(p.alt ?? 0)}`).join(' ');
+
+const kmlPlacemark = (name, description, styleUrl, geometry) => `
+      <Placemark>
+        <name>${escapeXml(name)}</name>
+        <description>${escapeXml(description)}</description>
+        <styleUrl>${styleUrl}</styleUrl>
+        ${geometry}
+      </Placemark>`;
+
+const kmlSighting = (sighting) => {
+    const { observer, pointing } = sighting;
+    const end = lineOfSight(sighting);
+    const description = [
+        `Time (UTC): ${sighting.timestamp}`,
+        `Pointing: Az ${pointing.azimuth.toFixed(1)}°, El ${pointing.elevation.toFixed(1)}°`,
+        sighting.identification ? sighting.identification.verdict : null,
+        sighting.note ? `Note: ${sighting.note}` : null
+    ].filter(Boolean).join('\n');
+
+    const objects = withPositions(sighting).nearby
+        .filter(obj => obj.position)
+        .map(obj => kmlPlacemark(
+            obj.name,
+            `${obj.type}, ${obj.range.toFixed(1)} km away, ${obj.separation.toFixed(1)}° from the line of sight`,
+            obj.type === 'plane' ? '#plane' : '#satellite',
+            `<Point><altitudeMode>absolute</altitudeMode><coordinates>${kmlCoordinates([obj.position])}</coordinates></Point>`
+        ));
+
+    return `
+    <Folder>
+      <name>${escapeXml(`Sighting ${sighting.timestamp}`)}</name>
+      <TimeStamp><when>${sighting.timestamp}</when></TimeStamp>${kmlPlacemark(
+        'Observer',
+        description,
+        '#observer',
+        `<Point><altitudeMode>${observer.alt === null ? 'clampToGround' : 'absolute'}</altitudeMode><coordinates>${kmlCoordinates([observer])}</coordinates></Point>`
+    )}${kmlPlacemark(
+        'Line of sight',
+        description,
+        '#lineOfSight',
+        `<LineString><altitudeMode>absolute</altitudeMode><coordinates>${kmlCoordinates([observer, end])}</coordinates></LineString>`
+    )}${objects.join('')}
+    </Folder>`;
+};
+
+export const sightingsToKml = (sightings) => `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>UAP sightings</name>
+    <Style id="observer"><IconStyle><color>ffff00aa</color></IconStyle></Style>
+    <Style id="lineOfSight"><LineStyle><color>ffff00aa</color><width>3</width></LineStyle></Style>
+    <Style id="satellite"><IconStyle><color>ff00ff00</color><scale>0.7</scale></IconStyle></Style>
+    <Style id="plane"><IconStyle><color>ffffff00</color><scale>0.7</scale></IconStyle></Style>${sightings.map(kmlSighting).join('')}
+  </Document>
+</kml>
+`;
+
+// --- CSV ---
+
+const CSV_COLUMNS = [
+    ['id', s => s.id],
+    ['timestamp', s => s.timestamp],
+    ['lat', s => s.observer.lat],
+    ['lon', s => s.observer.lon],
+    ['alt_m', s => s.observer.alt],
+    ['accuracy_m', s => s.observer.accuracy],
+    ['azimuth_deg', s => s.pointing.azimuth.toFixed(2)],
+    ['elevation_deg', s => s.pointing.elevation.toFixed(2)],
+    ['note', s => s.note],
+    ['verdict', s => s.identification && s.identification.verdict],
+    ['best_match', bestMatch],
+    ['nearby_count', s => s.nearby.length],
+    ['nearby', s => s.nearby.map(obj => `${obj.name} (${obj.type}, ${obj.separation.toFixed(1)}°)`).join('; ')]
+];
+
+const csvField = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const sightingsToCsv = (sightings) => [
+    CSV_COLUMNS.map(([name]) => name).join(','),
+    ...sightings.map(sighting => CSV_COLUMNS.map(([, get]) => csvField(get(sighting))).join(','))
+].join('\r\n') + '\r\n';
+
+// --- Files ---
+
+const SERIALIZERS = {
+    kml: sightingsToKml,
+    geojson: sightingsToGeoJSON,
+    csv: sightingsToCsv,
+    report: sightingsToReport
+};
+
+// "uap-sighting-2024-05-01T21-14-03Z.kml" for one, "uap-sightings-<export time>.kml" for a log
+const exportFilename = (sightings, extension) => {
+    const stamp = (time) => time.replace(/\.\d+Z$/, 'Z').replace(/:/g, '-');
+    return sightings.length === 1
+        ? `uap-sighting-${stamp(sightings[0].timestamp)}.${extension}`
+        : `uap-sightings-${stamp(new Date().toISOString())}.${extension}`;
+};
+
+// Hands a Blob to the browser as a download
+export const downloadFile = (filename, blob) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Saves the sightings as a file in one of EXPORT_FORMATS (by id)
+export const exportSightings = (sightings, formatId) => {
+    const format = EXPORT_FORMATS.find(f => f.id === formatId);
+    const blob = new Blob([SERIALIZERS[formatId](sightings)], { type: format.mimeType });
+    downloadFile(exportFilename(sightings, format.extension), blob);
+};
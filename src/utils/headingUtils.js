@@ -0,0 +1,122 @@
+import { magvar } from 'magvar';
+import { getMoonPosition, getPlanetPositions, getStarPosition, applyRefraction } from './astroUtils';
+import starCatalog from './starCatalog.json';
+
+// AR heading correction
+// DeviceOrientationControls points the camera wherever the phone's compass
+// says, which is magnetic north at best and often 10-30° off. Two corrections
+// are applied on top of it:
+//   - magnetic declination for the observer's position, from the bundled
+//     World Magnetic Model (WMM2025, works offline)
+//   - a calibration offset measured by centering a known bright object
+// Offsets are stored in degrees, everything else here is radians.
+
+const STORAGE_KEY = 'uap.headingCalibration';
+
+// Compass error drifts (magnets, phone cases, a different car park...); after
+// this long a calibration is shown as old
+export const CALIBRATION_STALE_HOURS = 12;
+
+// Only objects at least this high make good references: near the horizon
+// refraction is uncertain and things are often hidden
+const MIN_REFERENCE_ELEVATION = 10 * Math.PI / 180;
+// Faintest star offered as a reference
+const MAX_REFERENCE_STAR_MAG = 1.5;
+
+const toRad = (deg) => deg * Math.PI / 180;
+const toDeg = (rad) => rad * 180 / Math.PI;
+
+// Wrap an angle to (-PI, PI]
+const wrapAngle = (angle) => {
+    const wrapped = ((angle + Math.PI) % (2 * Math.PI) + 2 * Math.PI) % (2 * Math.PI) - Math.PI;
+    return wrapped === -Math.PI ? Math.PI : wrapped;
+};
+
+// Magnetic declination (radians, east positive: magnetic north lies east of
+// true north) at lat/lon degrees, altitude meters.
+export const getMagneticDeclination = (lat, lon, altM = 0, date = new Date()) => {
+    try {
+        return toRad(magvar(lat, lon, (altM || 0) / 1000, date));
+    } catch (error) {
+        console.warn("Could not compute magnetic declination:", error);
+        return 0;
+    }
+};
+
+// { azimuthOffset, elevationOffset (degrees), reference (name), calibratedAt (ISO) } or null
+export const loadCalibration = () => {
+    try {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+        console.warn("Could not read heading calibration:", error);
+        return null;
+    }
+};
+
+export const saveCalibration = (calibration) => {
+    try {
+        if (calibration) {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(calibration));
+        } else {
+            localStorage.removeItem(STORAGE_KEY);
+        }
+    } catch (error) {
+        console.error("Could not save heading calibration:", error);
+    }
+};
+
+// Bright objects above MIN_REFERENCE_ELEVATION to calibrate against, brightest
+// first: [{ type, id, name, mag, azimuth, elevation }] with apparent elevation,
+// the way they are drawn. The Sun is left out on purpose.
+export const getCalibrationReferences = (date, observer) => {
+    const references = [];
+
+    const bodies = [
+        { type: 'moon', ...getMoonPosition(date, observer.lat, observer.lon) },
+        ...getPlanetPositions(date, observer.lat, observer.lon).map(planet => ({ type: 'planet', ...planet }))
+    ];
+    bodies.forEach(body => {
+        references.push({
+            type: body.type,
+            id: body.id,
+            name: body.name,
+            mag: body.mag,
+            azimuth: body.azimuth,
+            elevation: applyRefraction(body.elevation, observer.atmosphere)
+        });
+    });
+
+    starCatalog
+        .filter(star => star.mag <= MAX_REFERENCE_STAR_MAG)
+        .forEach(star => {
+            const { azimuth, elevation } = getStarPosition(star, date, observer.lat, observer.lon, observer.atmosphere);
+            references.push({ type: 'star', id: `HIP ${star.hip}`, name: star.name, mag: star.mag, azimuth, elevation });
+        });
+
+    return references
+        .filter(ref => ref.elevation >= MIN_REFERENCE_ELEVATION)
+        .sort((a, b) => a.mag - b.mag);
+};
+
+// The calibration that puts `reference` where the view is aimed right now.
+// aim is the corrected view direction ({ azimuth, elevation } radians), so the
+// error found is added to whatever offset was already applied.
+export const computeCalibration = (previous, aim, reference, date = new Date()) => ({
+    azimuthOffset: toDeg(wrapAngle(toRad(previous?.azimuthOffset || 0) + reference.azimuth - aim.azimuth)),
+    elevationOffset: (previous?.elevationOffset || 0) + toDeg(reference.elevation - aim.elevation),
+    reference: reference.name,
+    calibratedAt: date.toISOString()
+});
+
+// "just now", "25 min ago", "3 h ago", "2 days ago"
+export const describeCalibrationAge = (calibration, now = new Date()) => {
+    const minutes = Math.max(0, (now.getTime() - new Date(calibration.calibratedAt).getTime()) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${Math.round(minutes)} min ago`;
+    if (minutes < 48 * 60) return `${Math.round(minutes / 60)} h ago`;
+    return `${Math.round(minutes / (24 * 60))} days ago`;
+};
+
+export const isCalibrationStale = (calibration, now = new Date()) =>
+    now.getTime() - new Date(calibration.calibratedAt).getTime() > CALIBRATION_STALE_HOURS * 3600 * 1000;
@@ -0,0 +1,205 @@
+import { getSatPositionRelative } from './satelliteUtils';
+import { getPlanePositionRelative, deadReckonPlane } from './planeUtils';
+import { localSiderealTime, equatorialToHorizontal, getPrecessionNutationMatrix, precessRaDec, yearsSinceJ2000, applyRefraction, getSunPosition, getMoonPosition, getPlanetPositions } from './astroUtils';
+import { angularSeparation } from './sightingUtils';
+import { getSunDirectionEci, isSunlitEci, getStandardMagnitude, getPhaseAngle, estimateMagnitude, NAKED_EYE_LIMIT_MAG } from './visibilityUtils';
+import { indexTrains } from './trainUtils';
+import starCatalog from './starCatalog.json';
+
+// "What is this?"
+// Given a direction the user pointed at, rank every known object near it by how
+// well it explains the sighting. Each candidate gets:
+//   - a separation score: how close it is to the aim point, allowing for
+//     phone compass / pointing error
+//   - a plausibility factor: whether it could actually be seen right now
+//     (e.g. a satellite in Earth's shadow is dark, stars vanish in daylight)
+// confidence = separation score * plausibility, 0..1.
+
+const DEG = Math.PI / 180;
+
+// Typical pointing error of a hand-held phone (degrees, 1 sigma)
+const POINTING_SIGMA_DEG = 3;
+
+// Don't bother scoring anything further than this from the aim point
+export const SEARCH_RADIUS_DEG = 12;
+
+// Below this the best candidate doesn't count as an explanation
+export const MATCH_THRESHOLD = 0.3;
+
+// Fainter catalog stars are everywhere; anyone reporting an object would have
+// noticed something at least this bright
+const MAX_STAR_MAG = 4.5;
+
+// Sun altitude below which the sky is dark enough for satellites/stars (civil twilight)
+const DARK_SKY_SUN_ALT_DEG = -6;
+
+const separationScore = (separationDeg) => {
+    const k = separationDeg / POINTING_SIGMA_DEG;
+    return Math.exp(-0.5 * k * k);
+};
+
+// Brightness-based plausibility for point-like natural objects (stars, planets)
+const brightnessPlausibility = (mag, skyIsDark) => {
+    if (!skyIsDark) {
+        // Only Venus (and sometimes Jupiter) can be picked out in twilight/daylight
+        if (mag < -3.5) return { score: 0.5, reason: 'bright enough to see in daylight' };
+        if (mag < -1.5) return { score: 0.3, reason: 'visible only in twilight' };
+        return { score: 0.05, reason: 'sky too bright to see it' };
+    }
+    if (mag <= 1.5) return { score: 1, reason: 'bright, easily visible' };
+    if (mag <= 3) return { score: 0.8, reason: 'visible to the naked eye' };
+    return { score: 0.5, reason: 'faint' };
+};
+
+// magnitude: estimated visual magnitude when sunlit (see visibilityUtils.js)
+const satellitePlausibility = (sunlit, skyIsDark, magnitude) => {
+    if (sunlit === false) return { score: 0.05, reason: "in Earth's shadow" };
+    if (!skyIsDark) return { score: 0.2, reason: 'sunlit, but the sky is bright' };
+    if (magnitude > NAKED_EYE_LIMIT_MAG) return { score: 0.3, reason: `sunlit, but faint (mag ${magnitude.toFixed(1)})` };
+    return { score: 1, reason: `sunlit against a dark sky (mag ${magnitude.toFixed(1)})` };
+};
+
+const planePlausibility = (rangeKm) => {
+    if (rangeKm > 150) return { score: 0.6, reason: 'distant aircraft' };
+    return { score: 1, reason: 'aircraft with navigation lights' };
+};
+
+// aim: { azimuth, elevation } radians, apparent (it's where the user saw it)
+// observer: { lat, lon, alt, atmosphere } (alt meters, atmosphere as from
+// resolveObserver; both optional)
+// satellites: TLE list from fetchTLEs, planes: state vectors from fetchPlanes
+// trains: satellite trains from findTrains (trainUtils.js), optional
+export const identifyPoint = ({ aim, observer, date = new Date(), satellites = [], planes = [], trains = [] }) => {
+    const searchRadius = SEARCH_RADIUS_DEG * DEG;
+    const candidates = [];
+
+    const sun = getSunPosition(date, observer.lat, observer.lon);
+    const sunAltitude = sun.elevation / DEG;
+    const skyIsDark = sunAltitude < DARK_SKY_SUN_ALT_DEG;
+
+    // elevation is geometric; compared against the aim after refraction.
+    // Aircraft are too close for astronomical refraction, they're used as is.
+    // Returns { elevation, separation } (radians), null when the object is
+    // below the horizon or outside the search radius.
+    const placeNearAim = (type, azimuth, geometricElevation) => {
+        const elevation = type === 'plane' ? geometricElevation : applyRefraction(geometricElevation, observer.atmosphere);
+        if (elevation < 0) return null; // Below horizon
+        const separation = angularSeparation(aim.azimuth, aim.elevation, azimuth, elevation);
+        return separation > searchRadius ? null : { elevation, separation };
+    };
+
+    const consider = (type, id, name, azimuth, geometricElevation, plausibility, extra = {}) => {
+        const placed = placeNearAim(type, azimuth, geometricElevation);
+        if (!placed) return;
+
+        const { elevation } = placed;
+        const separationDeg = placed.separation / DEG;
+        candidates.push({
+            type,
+            id,
+            name,
+            azimuth: azimuth / DEG,
+            elevation: elevation / DEG,
+            geometricElevation: geometricElevation / DEG,
+            separation: separationDeg,
+            plausibility: plausibility.score,
+            reason: plausibility.reason,
+            confidence: separationScore(separationDeg) * plausibility.score,
+            ...extra
+        });
+    };
+
+    // Satellites. Sunlight and brightness only for the few near the aim, from
+    // the position the look angles came from.
+    const sunDirection = getSunDirectionEci(date);
+    satellites.forEach(sat => {
+        const relativePos = getSatPositionRelative(sat.satrec, date, observer.lat, observer.lon, (observer.alt || 0) / 1000);
+        if (!relativePos || !placeNearAim('satellite', relativePos.azimuth, relativePos.elevation)) return;
+        const sunlit = isSunlitEci(relativePos.positionEci, sunDirection);
+        const magnitude = sunlit
+            ? estimateMagnitude(getStandardMagnitude(sat), relativePos.range,
+                getPhaseAngle(relativePos.azimuth, relativePos.elevation, sun.azimuth, sun.elevation))
+            : null;
+        consider('satellite', sat.name, sat.name, relativePos.azimuth, relativePos.elevation,
+            satellitePlausibility(sunlit, skyIsDark, magnitude), { range: relativePos.range, sunlit, magnitude });
+    });
+
+    // Aircraft, dead-reckoned to the requested time like the Planes layer does
+    const nowSeconds = date.getTime() / 1000;
+    planes.forEach(plane => {
+        const virtualPlane = deadReckonPlane(plane, nowSeconds);
+        if (!virtualPlane) return;
+        const relativePos = getPlanePositionRelative(virtualPlane, observer.lat, observer.lon, observer.alt || 0);
+        if (!relativePos) return;
+        consider('plane', plane[0], relativePos.callsign || plane[0], relativePos.azimuth, relativePos.elevation,
+            planePlausibility(relativePos.range), { range: relativePos.range });
+    });
+
+    // Stars, precessed from the J2000 catalog to the date
+    const lst = localSiderealTime(date, observer.lon);
+    const latRad = observer.lat * DEG;
+    const matrix = getPrecessionNutationMatrix(date);
+    const years = yearsSinceJ2000(date);
+    starCatalog.forEach(star => {
+        if (star.mag > MAX_STAR_MAG) return;
+        const { ra, dec } = precessRaDec(star.ra * DEG, star.dec * DEG, matrix, star.pmRa, star.pmDec, years);
+        const { azimuth, elevation } = equatorialToHorizontal(ra, dec, lst, latRad);
+        consider('star', `HIP ${star.hip}`, star.name, azimuth, elevation,
+            brightnessPlausibility(star.mag, skyIsDark), { mag: star.mag });
+    });
+
+    // Planets
+    getPlanetPositions(date, observer.lat, observer.lon).forEach(planet => {
+        consider('planet', planet.id, planet.name, planet.azimuth, planet.elevation,
+            brightnessPlausibility(planet.mag, skyIsDark), { mag: planet.mag });
+    });
+
+    // Moon
+    const moon = getMoonPosition(date, observer.lat, observer.lon);
+    consider('moon', moon.id, moon.name, moon.azimuth, moon.elevation,
+        brightnessPlausibility(moon.mag, skyIsDark), { mag: moon.mag });
+
+    // Satellite trains: a "line of lights" is the train as a whole, as good an
+    // explanation as its best-placed member. Listed first so it wins ties.
+    const trainsByName = indexTrains(trains);
+    const trainMembers = new Map(); // train id -> { train, best, count }
+    candidates.forEach(candidate => {
+        const train = candidate.type === 'satellite' && trainsByName.get(candidate.id);
+        if (!train) return;
+        const entry = trainMembers.get(train.id);
+        if (!entry) {
+            trainMembers.set(train.id, { train, best: candidate, count: 1 });
+        } else {
+            entry.count++;
+            if (candidate.confidence > entry.best.confidence) entry.best = candidate;
+        }
+    });
+    const trainCandidates = [...trainMembers.values()].map(({ train, best, count }) => ({
+        ...best,
+        type: 'train',
+        id: train.id,
+        name: train.label,
+        reason: `${train.members.length} satellites in a line (${count} near the aim); ${best.reason}`,
+        launch: train.launch,
+        leader: train.names[0]
+    }));
+    candidates.forEach(candidate => {
+        const train = candidate.type === 'satellite' && trainsByName.get(candidate.id);
+        if (train) candidate.train = train.label;
+    });
+    candidates.unshift(...trainCandidates);
+
+    candidates.sort((a, b) => b.confidence - a.confidence);
+
+    const best = candidates[0] || null;
+    const matched = best !== null && best.confidence >= MATCH_THRESHOLD;
+
+    return {
+        timestamp: date.toISOString(),
+        sunAltitude,
+        matched,
+        best: matched ? best : null,
+        verdict: matched ? `Most likely ${best.name} (${best.type})` : 'No known object matches',
+        candidates: candidates.slice(0, 10)
+    };
+};
@@ -0,0 +1,221 @@
+import * as THREE from 'three';
+import { cartesianToPolar } from './satelliteUtils';
+import { angularSeparation } from './sightingUtils';
+
+// Motion detection on the camera feed
+// Frames are analysed small (PROCESS_WIDTH wide) and in grayscale:
+//   1. a running-average background is subtracted; what is brighter than the
+//      background by `threshold` is foreground
+//   2. foreground pixels are grouped into blobs; small blobs are point sources
+//      (lights), big ones are clouds, hands, birds...
+//   3. blobs are chained into tracks frame to frame (nearest neighbour)
+//   4. a track that has lived long enough and actually moved is reported; its
+//      pixel position becomes Az/El through the sky camera (same mapping the
+//      overlay uses), and it is matched against the satellites and aircraft
+//      the sky layers predict
+// A phone held by hand shifts the whole picture now and then; when too much of
+// the frame changes at once the background is simply restarted.
+
+export const PROCESS_WIDTH = 320;
+
+export const DEFAULT_MOTION_SETTINGS = {
+    threshold: 30, // brightness levels (0-255) above the background
+    autoTag: false
+};
+
+// Background adaptation per analysed frame (0..1): slow enough that a moving
+// light doesn't become background, fast enough to follow twilight and clouds
+const BACKGROUND_RATE = 0.05;
+// More than this fraction of the frame changing at once = the camera moved
+const MAX_FOREGROUND_FRACTION = 0.02;
+// Point source size limits (pixels at PROCESS_WIDTH)
+const MIN_BLOB_PIXELS = 1;
+const MAX_BLOB_PIXELS = 60;
+
+// Tracking: how far a light may jump between analysed frames (px), how many
+// frames it may go missing, and what it takes to count as a moving object
+const TRACK_GATE_PX = 12;
+const TRACK_MAX_MISSES = 5;
+const TRACK_MIN_HITS = 5;
+const TRACK_MIN_MOTION_PX = 3;
+const TRACK_HISTORY = 50;
+
+// A track this close (radians) to a predicted satellite/aircraft is that object
+export const TRACK_MATCH_RADIUS = 3 * Math.PI / 180;
+
+// Luma of RGBA image data into `gray` (Float32Array, one value per pixel)
+const toGray = (data, gray) => {
+    for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+        gray[i] = 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+    }
+};
+
+// Background model + blob detection for one stream of frames.
+// detect(imageData) -> [{ x, y, pixels, strength }] in image pixels, or null
+// while the background is (re)starting.
+export const createPointSourceDetector = () => {
+    let background = null;
+    let gray = null;
+    let mask = null;
+    let width = 0;
+    let height = 0;
+
+    const restart = (imageWidth, imageHeight) => {
+        width = imageWidth;
+        height = imageHeight;
+        gray = new Float32Array(width * height);
+        mask = new Uint8Array(width * height);
+        background = null;
+    };
+
+    // 4-connected flood fill from `start`, clearing the mask as it goes
+    const collectBlob = (start, diff) => {
+        const stack = [start];
+        mask[start] = 0;
+        let pixels = 0, sumX = 0, sumY = 0, sumW = 0;
+        while (stack.length > 0) {
+            const idx = stack.pop();
+            const x = idx % width;
+            const y = (idx - x) / width;
+            const w = diff[idx];
+            pixels++;
+            sumX += x * w;
+            sumY += y * w;
+            sumW += w;
+            if (x > 0 && mask[idx - 1]) { mask[idx - 1] = 0; stack.push(idx - 1); }
+            if (x < width - 1 && mask[idx + 1]) { mask[idx + 1] = 0; stack.push(idx + 1); }
+            if (y > 0 && mask[idx - width]) { mask[idx - width] = 0; stack.push(idx - width); }
+            if (y < height - 1 && mask[idx + width]) { mask[idx + width] = 0; stack.push(idx + width); }
+        }
+        return { x: sumX / sumW, y: sumY / sumW, pixels, strength: sumW / pixels };
+    };
+
+    const detect = ({ data, width: imageWidth, height: imageHeight }, threshold) => {
+        if (imageWidth !== width || imageHeight !== height) restart(imageWidth, imageHeight);
+        toGray(data, gray);
+        if (!background) {
+            background = Float32Array.from(gray);
+            return null;
+        }
+
+        const diff = new Float32Array(gray.length);
+        let foreground = 0;
+        for (let i = 0; i < gray.length; i++) {
+            diff[i] = gray[i] - background[i];
+            mask[i] = diff[i] > threshold ? 1 : 0;
+            foreground += mask[i];
+            background[i] += BACKGROUND_RATE * (gray[i] - background[i]);
+        }
+
+        if (foreground > MAX_FOREGROUND_FRACTION * gray.length) {
+            background = Float32Array.from(gray);
+            return null;
+        }
+
+        const blobs = [];
+        for (let i = 0; i < mask.length; i++) {
+            if (!mask[i]) continue;
+            const blob = collectBlob(i, diff);
+            if (blob.pixels >= MIN_BLOB_PIXELS && blob.pixels <= MAX_BLOB_PIXELS) blobs.push(blob);
+        }
+        return blobs;
+    };
+
+    return { detect, reset: () => { background = null; } };
+};
+
+// Frame-to-frame association of detections into tracks.
+// update(detections, timeMs) -> all live tracks:
+// { id, points: [{ x, y, t }], hits, misses, moving }
+export const createTracker = () => {
+    let tracks = [];
+    let nextId = 1;
+
+    const update = (detections, timeMs) => {
+        const unclaimed = new Set(detections.map((_, idx) => idx));
+
+        // Closest detection within the gate, longest-lived tracks choose first
+        [...tracks].sort((a, b) => b.hits - a.hits).forEach(track => {
+            const last = track.points[track.points.length - 1];
+            let best = null;
+            let bestDistance = TRACK_GATE_PX * (1 + track.misses);
+            unclaimed.forEach(idx => {
+                const distance = Math.hypot(detections[idx].x - last.x, detections[idx].y - last.y);
+                if (distance <= bestDistance) {
+                    best = idx;
+                    bestDistance = distance;
+                }
+            });
+
+            if (best === null) {
+                track.misses++;
+                return;
+            }
+            unclaimed.delete(best);
+            track.points = [...track.points.slice(1 - TRACK_HISTORY), { x: detections[best].x, y: detections[best].y, t: timeMs }];
+            track.hits++;
+            track.misses = 0;
+            const first = track.points[0];
+            const newest = track.points[track.points.length - 1];
+            track.moving = track.hits >= TRACK_MIN_HITS &&
+                Math.hypot(newest.x - first.x, newest.y - first.y) >= TRACK_MIN_MOTION_PX;
+        });
+
+        tracks = tracks.filter(track => track.misses <= TRACK_MAX_MISSES);
+        unclaimed.forEach(idx => {
+            tracks.push({
+                id: nextId++,
+                points: [{ x: detections[idx].x, y: detections[idx].y, t: timeMs }],
+                hits: 1,
+                misses: 0,
+                moving: false
+            });
+        });
+        return tracks;
+    };
+
+    return { update, reset: () => { tracks = []; } };
+};
+
+// Image pixel (x, y in an imageWidth x imageHeight analysis frame) -> where it
+// is shown on screen, with the video drawn object-fit: cover into
+// viewWidth x viewHeight
+export const imageToScreen = (x, y, imageWidth, imageHeight, viewWidth, viewHeight) => {
+    const scale = Math.max(viewWidth / imageWidth, viewHeight / imageHeight);
+    return {
+        x: (viewWidth - imageWidth * scale) / 2 + x * scale,
+        y: (viewHeight - imageHeight * scale) / 2 + y * scale
+    };
+};
+
+// Screen position -> { azimuth, elevation } radians through the sky camera,
+// i.e. the direction the overlay shows at that spot
+export const screenToAzEl = (x, y, viewWidth, viewHeight, camera) => {
+    const direction = new THREE.Vector3(x / viewWidth * 2 - 1, 1 - y / viewHeight * 2, 0.5)
+        .unproject(camera)
+        .sub(camera.position)
+        .normalize();
+    const { azimuth, elevation } = cartesianToPolar(direction.x, direction.y, direction.z);
+    return { azimuth, elevation };
+};
+
+// Closest predicted satellite or aircraft to a track direction (radians), within
+// TRACK_MATCH_RADIUS: { type, id, name, separation } or null
+export const matchTrack = (sky, azimuth, elevation) => {
+    let best = null;
+    [['satellite', sky.satellites], ['plane', sky.planes]].forEach(([type, objects]) => {
+        (objects || []).forEach(obj => {
+            const separation = angularSeparation(azimuth, elevation, obj.azimuth, obj.elevation);
+            if (separation <= TRACK_MATCH_RADIUS && (!best || separation < best.separation)) {
+                best = { type, id: obj.id, name: obj.name, separation };
+            }
+        });
+    });
+    return best;
+};
+
+// Angular speed (radians/s) between two { azimuth, elevation, t } samples
+export const angularSpeed = (from, to) => {
+    const seconds = (to.t - from.t) / 1000;
+    return seconds > 0 ? angularSeparation(from.azimuth, from.elevation, to.azimuth, to.elevation) / seconds : 0;
+};
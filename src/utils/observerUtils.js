@@ -0,0 +1,111 @@
+import { standardPressure, STANDARD_TEMPERATURE_C } from './astroUtils';
+
+// Observer settings
+// GPS gives us position and (usually) altitude. Position can be replaced by a
+// manually entered or saved site, altitude can be overridden by hand, and
+// temperature/pressure (which set how much the air refracts) can only come
+// from the user. Anything left empty falls back to a sensible default.
+
+const STORAGE_KEY = 'uap.observerSettings';
+const SITES_KEY = 'uap.sites';
+
+// Used until GPS answers, or for good if it never does
+export const DEFAULT_LOCATION = {
+    lat: 40.7128,
+    lon: -74.0060,
+    alt: null,
+    accuracy: null,
+    source: 'default',
+    name: 'New York'
+};
+
+// null means "automatic"
+export const DEFAULT_OBSERVER_SETTINGS = {
+    altitude: null, // meters
+    temperature: null, // °C
+    pressure: null, // hPa
+    refraction: true
+};
+
+export const loadObserverSettings = () => {
+    try {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        return raw ? { ...DEFAULT_OBSERVER_SETTINGS, ...JSON.parse(raw) } : DEFAULT_OBSERVER_SETTINGS;
+    } catch (error) {
+        console.warn("Could not read observer settings:", error);
+        return DEFAULT_OBSERVER_SETTINGS;
+    }
+};
+
+export const saveObserverSettings = (settings) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.error("Could not save observer settings:", error);
+    }
+};
+
+// Named observing sites: [{ id, name, lat, lon, alt }] (alt meters or null)
+export const loadSites = () => {
+    try {
+        const raw = localStorage.getItem(SITES_KEY);
+        return raw ? JSON.parse(raw) : [];
+    } catch (error) {
+        console.warn("Could not read saved sites:", error);
+        return [];
+    }
+};
+
+export const saveSites = (sites) => {
+    try {
+        localStorage.setItem(SITES_KEY, JSON.stringify(sites));
+    } catch (error) {
+        console.error("Could not save sites:", error);
+    }
+};
+
+export const createSite = (name, { lat, lon, alt = null }) => ({
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name: name.trim(),
+    lat,
+    lon,
+    alt
+});
+
+// Checks a manually entered position; returns an error message or null
+export const validateLocation = ({ lat, lon, alt }) => {
+    if (!Number.isFinite(lat) || lat < -90 || lat > 90) return 'Latitude must be between -90 and 90';
+    if (!Number.isFinite(lon) || lon < -180 || lon > 180) return 'Longitude must be between -180 and 180';
+    if (alt !== null && alt !== undefined && (!Number.isFinite(alt) || alt < -500 || alt > 9000)) {
+        return 'Altitude must be between -500 and 9000 m';
+    }
+    return null;
+};
+
+// location: { lat, lon, alt, accuracy, source } where source is 'gps' (from
+// watchPosition), 'manual' (entered, a saved site or a shared link) or
+// 'default'. alt may be null.
+// Returns the observer every calculation should use:
+// { lat, lon, alt (meters), altitudeSource, accuracy, atmosphere }
+// atmosphere is { temperature, pressure } or null when refraction is off.
+export const resolveObserver = (location, settings) => {
+    let alt = 0;
+    let altitudeSource = 'default';
+    if (settings.altitude !== null) {
+        alt = settings.altitude;
+        altitudeSource = 'manual';
+    } else if (location.alt !== null && location.alt !== undefined) {
+        alt = location.alt;
+        altitudeSource = location.source === 'gps' ? 'gps' : 'site';
+    }
+
+    return {
+        ...location,
+        alt,
+        altitudeSource,
+        atmosphere: settings.refraction ? {
+            temperature: settings.temperature ?? STANDARD_TEMPERATURE_C,
+            pressure: settings.pressure ?? standardPressure(alt)
+        } : null
+    };
+};
@@ -0,0 +1,104 @@
+import axios from 'axios';
+
+// Offline use in the field
+// The service worker (public/sw.js) keeps the app and the last TLE sets
+// available without a connection. Sightings are kept in localStorage as
+// always, and every new one is also put in an upload queue in IndexedDB. The
+// queue is sent to the server (/api/sightings, see server/sightings.js) right
+// away when online, otherwise when the connection comes back. A sighting stays
+// queued until the server has confirmed it, so nothing is lost to a dropped
+// upload; the server stores by id, so a repeat does no harm.
+
+const DB_NAME = 'uap';
+const DB_VERSION = 1;
+const QUEUE_STORE = 'sightingQueue';
+const SIGHTINGS_URL = '/api/sightings';
+// Same as the server's MAX_BATCH
+const UPLOAD_BATCH = 200;
+
+// Only in a build; in dev the worker would serve stale modules to Vite
+export const registerServiceWorker = () => {
+    if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('/sw.js').catch(error => {
+            console.warn("Service worker registration failed:", error);
+        });
+    });
+};
+
+let dbPromise = null;
+
+const openDb = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(QUEUE_STORE, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Let a later call try again (e.g. after private mode was left)
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+};
+
+// Runs fn(store) in one transaction; resolves to fn's request result when the
+// transaction completes.
+const withStore = async (mode, fn) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(QUEUE_STORE, mode);
+        const request = fn(tx.objectStore(QUEUE_STORE));
+        tx.oncomplete = () => resolve(request ? request.result : undefined);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+};
+
+export const queueSighting = async (sighting) => {
+    try {
+        await withStore('readwrite', store => store.put(sighting));
+    } catch (error) {
+        console.error("Could not queue sighting for upload:", error);
+    }
+};
+
+export const countQueuedSightings = async () => {
+    try {
+        return await withStore('readonly', store => store.count());
+    } catch (error) {
+        console.warn("Could not read the sighting upload queue:", error);
+        return 0;
+    }
+};
+
+// Sends the queue, oldest first, and removes what the server stored.
+// Resolves to { sent, remaining }; stops at the first failed request (offline,
+// server down) and leaves the rest for next time.
+export const syncQueuedSightings = async () => {
+    let queued;
+    try {
+        queued = await withStore('readonly', store => store.getAll());
+    } catch (error) {
+        console.warn("Could not read the sighting upload queue:", error);
+        return { sent: 0, remaining: 0 };
+    }
+    queued.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+    let sent = 0;
+    for (let i = 0; i < queued.length; i += UPLOAD_BATCH) {
+        const batch = queued.slice(i, i + UPLOAD_BATCH);
+        try {
+            const response = await axios.post(SIGHTINGS_URL, batch, { timeout: 20000 });
+            const stored = response.data.stored || [];
+            await withStore('readwrite', store => stored.forEach(id => store.delete(id)));
+            sent += stored.length;
+        } catch (error) {
+            console.warn(`Sighting upload failed, ${queued.length - sent} still queued:`, error.message);
+            break;
+        }
+    }
+    return { sent, remaining: queued.length - sent };
+};
@@ -0,0 +1,74 @@
+// Pass searches on a worker (src/workers/passWorker.js)
+// createPassPredictor() starts one worker for a panel; predict() resolves to
+// the passes of each satellite (same order as `sats`, see predictPasses), or
+// rejects when the search fails. A newer predict() supersedes the one still
+// running: that search is stopped (the worker is replaced) and its promise
+// never settles. terminate() when the panel closes.
+
+export const createPassPredictor = () => {
+    let worker = null;
+    let requestId = 0;
+    let pending = null; // { requestId, resolve, reject, onProgress }
+
+    const fail = (error) => {
+        if (!pending) return;
+        const { reject } = pending;
+        pending = null;
+        reject(error);
+    };
+
+    const stopWorker = () => {
+        if (worker) worker.terminate();
+        worker = null;
+    };
+
+    const startWorker = () => {
+        worker = new Worker(new URL('../workers/passWorker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = ({ data }) => {
+            if (!pending || data.requestId !== pending.requestId) return;
+            if (data.type === 'progress') {
+                if (pending.onProgress) pending.onProgress(data.index, data.passes);
+            } else if (data.type === 'passes') {
+                const { resolve } = pending;
+                pending = null;
+                resolve(data.results);
+            } else if (data.type === 'error') {
+                fail(new Error(data.message));
+            }
+        };
+        // The module didn't load or something threw outside a search; start
+        // a fresh worker next time
+        worker.onerror = (event) => {
+            event.preventDefault();
+            stopWorker();
+            fail(new Error(event.message || 'Pass search worker failed'));
+        };
+        worker.onmessageerror = () => fail(new Error('Pass search result could not be read'));
+    };
+
+    // sats: entries from fetchTLEs; observer: { lat, lon, alt (meters) }
+    // options: { start (Date), days, minElevationDeg, onProgress(index, passes) }
+    const predict = (sats, observer, { start = new Date(), days = 1, minElevationDeg = 10, onProgress } = {}) =>
+        new Promise((resolve, reject) => {
+            // The worker searches one request to the end; a stale one is only
+            // stopped by replacing it
+            if (pending) stopWorker();
+            if (!worker) startWorker();
+            pending = { requestId: ++requestId, resolve, reject, onProgress };
+            worker.postMessage({
+                requestId,
+                tles: sats.map(sat => ({ name: sat.name, line1: sat.line1, line2: sat.line2 })),
+                observer: { lat: observer.lat, lon: observer.lon, alt: (observer.alt || 0) / 1000 },
+                start: start.getTime(),
+                days,
+                minElevationDeg
+            });
+        });
+
+    const terminate = () => {
+        stopWorker();
+        pending = null;
+    };
+
+    return { predict, terminate };
+};
@@ -7,7 +7,11 @@ import axios from 'axios';
 
 const OPENSKY_URL = '/api/planes';
 
-export const fetchPlanes = async (minLat, minLon, maxLat, maxLon) => {
+// Where the proxy gets aircraft from: OpenSky, a local ADS-B receiver
+// (dump1090/readsb), or both merged by icao24. Same state-vector shape either way.
+export const PLANE_SOURCES = ['opensky', 'local', 'merged'];
+
+export const fetchPlanes = async (minLat, minLon, maxLat, maxLon, source = 'opensky') => {
     try {
         // Construct URL with bounding box
         // const url = `${OPENSKY_URL}?lamin=${minLat}&lomin=${minLon}&lamax=${maxLat}&lomax=${maxLon}`;
@@ -23,7 +27,8 @@ export const fetchPlanes = async (minLat, minLon, maxLat, maxLon) => {
                 lamin: minLat,
                 lomin: minLon,
                 lamax: maxLat,
-                lomax: maxLon
+                lomax: maxLon,
+                source
             },
             timeout: 5000
         });
@@ -36,6 +41,49 @@ export const fetchPlanes = async (minLat, minLon, maxLat, maxLon) => {
     }
 };
 
+// Budget and freshness of the server's OpenSky proxy:
+// { throttled, retryAfterSeconds, stale, dataAgeSeconds, creditsRemaining, ... }
+export const fetchPlaneStatus = async () => {
+    try {
+        const response = await axios.get(`${OPENSKY_URL}/status`, { timeout: 5000 });
+        return response.data;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Dead-reckon a state vector forward to nowSeconds (unix seconds) using its
+// last reported velocity, heading and vertical rate. Returns a new state array
+// with lon/lat/alt replaced, or null if the state has no position.
+export const deadReckonPlane = (planeState, nowSeconds) => {
+    const timePos = planeState[3];
+    const velocity = planeState[9] || 0;
+    const heading = planeState[10] || 0;
+    const lat = planeState[6];
+    const lon = planeState[5];
+    const alt = planeState[7] || 0;
+    const verticalRate = planeState[11] || 0;
+
+    if (lat === null || lon === null) return null;
+
+    const elapsedSeconds = timePos ? Math.max(0, nowSeconds - timePos) : 0;
+
+    const R = 6371000; // Earth radius in meters
+    const distMoved = velocity * elapsedSeconds; // meters
+    const headingRad = heading * Math.PI / 180;
+    const latRad = lat * Math.PI / 180;
+
+    const dLat = (distMoved * Math.cos(headingRad)) / R;
+    const dLon = (distMoved * Math.sin(headingRad)) / (R * Math.cos(latRad));
+
+    const virtualPlane = [...planeState];
+    virtualPlane[5] = lon + (dLon * 180 / Math.PI);
+    virtualPlane[6] = lat + (dLat * 180 / Math.PI);
+    virtualPlane[7] = alt + (verticalRate * elapsedSeconds);
+
+    return virtualPlane;
+};
+
 // Convert Lat/Lon/Alt to Local Sky Coordinates (Az/El/Range) relative to Observer
 export const getPlanePositionRelative = (planeState, observerLat, observerLon, observerAlt = 0) => {
     // Plane: lon(5), lat(6), alt(7)
@@ -108,3 +156,132 @@ export const getPlanePositionRelative = (planeState, observerLat, observerLon, o
         callsign: planeState[1]?.trim()
     };
 }
+
+// Plane tracks
+// Every poll is folded into a per-icao24 track: the list of distinct reports
+// (new time_position) for that aircraft, each stamped with when we received it.
+// Tracks give us three things:
+//   - replay: the sky at any past simulation time, from the report current then
+//   - smooth motion: when a new report arrives the aircraft doesn't snap to it;
+//     the gap between where we had dead-reckoned it and the new report is
+//     blended away over BLEND_SECONDS
+//   - trails of where each aircraft has actually been
+// Times are unix seconds throughout.
+
+const BLEND_SECONDS = 3;
+// Corrections bigger than this (degrees) are real jumps, not drift: snap instead of blending
+const MAX_BLEND_DEGREES = 0.2;
+// An aircraft missing from polls for longer than this is gone (left the box, landed...)
+const STALE_TRACK_SECONDS = 60;
+// How long a track is remembered after its last report (for replay)
+const MAX_TRACK_AGE_SECONDS = 3 * 3600;
+export const MAX_TRACK_POINTS = 360;
+export const TRAIL_SECONDS = 300;
+
+const smoothstep = (x) => {
+    const t = Math.max(0, Math.min(1, x));
+    return t * t * (3 - 2 * t);
+};
+
+// Dead-reckoned position of one track point at timeSeconds, including what is
+// left of the blend from the previous report.
+const trackPointState = (point, timeSeconds) => {
+    const virtualPlane = deadReckonPlane(point.state, timeSeconds);
+    if (!virtualPlane || !point.offset) return virtualPlane;
+
+    const remaining = 1 - smoothstep((timeSeconds - point.receivedAt) / BLEND_SECONDS);
+    if (remaining > 0) {
+        virtualPlane[6] += point.offset.lat * remaining;
+        virtualPlane[5] += point.offset.lon * remaining;
+        virtualPlane[7] += point.offset.alt * remaining;
+    }
+    return virtualPlane;
+};
+
+// tracks: Map icao24 -> { icao24, points: [{ state, receivedAt, lastSeen, offset }] }
+export const updatePlaneTracks = (tracks, states, receivedAt = Date.now() / 1000) => {
+    states.forEach(state => {
+        if (state[5] === null || state[6] === null) return;
+
+        let track = tracks.get(state[0]);
+        if (!track) {
+            track = { icao24: state[0], points: [] };
+            tracks.set(state[0], track);
+        }
+
+        const last = track.points[track.points.length - 1];
+        if (last && last.state[3] === state[3]) {
+            // Same report again (cached upstream, or no new position yet)
+            last.state = state;
+            last.lastSeen = receivedAt;
+            return;
+        }
+
+        let offset = null;
+        if (last) {
+            const from = trackPointState(last, receivedAt);
+            const to = deadReckonPlane(state, receivedAt);
+            const dLat = from[6] - to[6];
+            const dLon = from[5] - to[5];
+            if (Math.abs(dLat) < MAX_BLEND_DEGREES && Math.abs(dLon) < MAX_BLEND_DEGREES) {
+                offset = { lat: dLat, lon: dLon, alt: (from[7] || 0) - (to[7] || 0) };
+            }
+        }
+
+        track.points.push({ state, receivedAt, lastSeen: receivedAt, offset });
+        if (track.points.length > MAX_TRACK_POINTS) {
+            track.points.shift();
+        }
+    });
+
+    tracks.forEach((track, icao24) => {
+        const last = track.points[track.points.length - 1];
+        if (!last || receivedAt - last.lastSeen > MAX_TRACK_AGE_SECONDS) {
+            tracks.delete(icao24);
+        }
+    });
+
+    return tracks;
+};
+
+// The track point that was current at timeSeconds, or null if the aircraft
+// wasn't being received then.
+const trackPointAt = (track, timeSeconds) => {
+    for (let i = track.points.length - 1; i >= 0; i--) {
+        const point = track.points[i];
+        if (point.receivedAt <= timeSeconds) {
+            return timeSeconds - point.lastSeen <= STALE_TRACK_SECONDS ? point : null;
+        }
+    }
+    return null;
+};
+
+// Raw reports current at timeSeconds (callers dead-reckon them themselves).
+export const getPlaneStatesAt = (tracks, timeSeconds) => {
+    const states = [];
+    tracks.forEach(track => {
+        const point = trackPointAt(track, timeSeconds);
+        if (point) states.push(point.state);
+    });
+    return states;
+};
+
+// Smoothed display positions at timeSeconds: [{ track, state }] where state is
+// a dead-reckoned, blended copy of the current report.
+export const getPlaneDisplayStates = (tracks, timeSeconds) => {
+    const result = [];
+    tracks.forEach(track => {
+        const point = trackPointAt(track, timeSeconds);
+        if (!point) return;
+        const state = trackPointState(point, timeSeconds);
+        if (state) result.push({ track, state });
+    });
+    return result;
+};
+
+// Reported positions over the last `seconds` before timeSeconds, oldest first.
+export const getTrackTrail = (track, timeSeconds, seconds = TRAIL_SECONDS) => {
+    return track.points
+        .filter(point => point.receivedAt <= timeSeconds && point.receivedAt >= timeSeconds - seconds)
+        .map(point => point.state);
+};
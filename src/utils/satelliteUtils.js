@@ -1,45 +1,50 @@
 import axios from 'axios';
 import { twoline2satrec, propagate, gstime, eciToGeodetic, radiansToDegrees, eciToEcf, ecfToLookAngles } from 'satellite.js';
+import { getSunPosition, applyRefraction } from './astroUtils';
+import { getSunDirectionEci, isSunlitEci, getStandardMagnitude, getPhaseAngle, estimateMagnitude } from './visibilityUtils';
 
-// TLE Data Source (Celestrak)
-// Using a proxy or direct link if CORS allows. Celestrak usually allows CORS.
-// Common sets: 'stations', 'starlink', 'gps-ops', etc.
-const TLE_URL = 'https://celestrak.org/NORAD/elements/gp.php?GROUP=active&FORMAT=tle';
+// TLE Data Source
+// Served by our backend (server.js /api/tles), which caches Celestrak per group
+// and falls back to the last good copy or local files when offline.
+// Common groups: 'active', 'stations', 'starlink', 'visual', 'gps-ops', etc.
+const TLE_URL = '/api/tles';
+// Longer than the server's own Celestrak timeout, so a slow refresh there still
+// gets its fallback copy through; a hung proxy gives up instead of waiting forever
+const TLE_TIMEOUT_MS = 30000;
 
-// Function to fetch TLE data
-export const fetchTLEs = async () => {
+// TLE data for a Celestrak group, with where it came from:
+// { satellites, fetchedAt (ms, when the server got it from Celestrak, null if
+// nothing loaded), stale (the server couldn't refresh it), source,
+// offline (served by the service worker's cache, public/sw.js) }
+export const fetchTLESet = async (group = 'active') => {
     try {
-        const response = await axios.get(TLE_URL);
-        const data = response.data;
-        const lines = data.split('\n');
-        const satellites = [];
-
-        // Parse TLE data (3 lines per satellite usually in raw text: Name, Line 1, Line 2)
-        // But GP format often is 3 lines: 0 Name, 1 Line1, 2 Line2
-        for (let i = 0; i < lines.length; i += 3) {
-            if (lines[i] && lines[i+1] && lines[i+2]) {
-                const name = lines[i].trim();
-                const line1 = lines[i+1].trim();
-                const line2 = lines[i+2].trim();
-
-                // specific check if it looks like TLE
-                if (line1.startsWith('1 ') && line2.startsWith('2 ')) {
-                    satellites.push({
-                        name,
-                        line1,
-                        line2,
-                        satrec: twoline2satrec(line1, line2)
-                    });
-                }
-            }
+        const response = await axios.get(TLE_URL, { params: { group }, timeout: TLE_TIMEOUT_MS });
+        const { satellites = [], fetchedAt, stale, source } = response.data;
+        const offline = response.headers['x-sw-cache'] === 'offline';
+
+        if (stale || offline) {
+            console.warn(`Using ${offline ? 'offline' : 'stale'} TLEs for "${group}" from ${source}, fetched ${new Date(fetchedAt).toISOString()}`);
         }
-        return satellites;
+
+        return {
+            satellites: satellites.map(sat => ({
+                ...sat,
+                satrec: twoline2satrec(sat.line1, sat.line2)
+            })),
+            fetchedAt: fetchedAt ?? null,
+            stale: Boolean(stale),
+            source: source || null,
+            offline
+        };
     } catch (error) {
         console.error("Error fetching TLEs:", error);
-        return [];
+        return { satellites: [], fetchedAt: null, stale: false, source: null, offline: false };
     }
 };
 
+// Function to fetch TLE data for a Celestrak group
+export const fetchTLEs = async (group = 'active') => (await fetchTLESet(group)).satellites;
+
 // Function to calculate satellite position in ECI coordinates (Earth-Centered Inertial)
 export const getSatellitePosition = (satrec, date) => {
     const positionAndVelocity = propagate(satrec, date);
@@ -72,7 +77,7 @@ export const eciToWorld = (eci) => {
 
 export const getSatPositionRelative = (satrec, date, observerLat, observerLon, observerAlt) => {
     const positionAndVelocity = propagate(satrec, date);
-    const positionEci = positionAndVelocity.position;
+    const positionEci = positionAndVelocity?.position;
 
     if (!positionEci) return null;
 
@@ -104,10 +109,189 @@ export const getSatPositionRelative = (satrec, date, observerLat, observerLon, o
     return {
         azimuth: lookAngles.azimuth,
         elevation: lookAngles.elevation,
-        range: lookAngles.rangeSat
+        range: lookAngles.rangeSat,
+        positionEci // km, for the sunlit check without propagating again
     };
 };
 
+// Whether the satellite is lit by the Sun (not inside Earth's shadow), null
+// if it can't be propagated. See visibilityUtils.js for the shadow model.
+export const isSatSunlit = (satrec, date) => {
+    const positionEci = propagate(satrec, date)?.position;
+    if (!positionEci) return null;
+    return isSunlitEci(positionEci, getSunDirectionEci(date));
+};
+
+// International designator from TLE line 1 ("98067A" -> "1998-067A")
+export const getIntlDesignator = (line1) => {
+    const raw = line1.substring(9, 17).trim();
+    if (raw.length < 5) return null;
+    const yy = Number(raw.substring(0, 2));
+    const year = yy < 57 ? 2000 + yy : 1900 + yy; // NORAD two-digit years start in 1957
+    return `${year}-${raw.substring(2)}`;
+};
+
+// Everything the object inspector shows about a satellite at `date`.
+// observer: { lat, lon, alt (meters), atmosphere } as from resolveObserver.
+// Returns null when the TLE can't be propagated.
+export const getSatelliteDetails = (sat, date, observer) => {
+    const pv = propagate(sat.satrec, date);
+    if (!pv?.position) return null;
+
+    const gmst = gstime(date);
+    const geodetic = eciToGeodetic(pv.position, gmst);
+    const { x, y, z } = pv.velocity;
+    const look = getSatPositionRelative(sat.satrec, date, observer.lat, observer.lon, (observer.alt || 0) / 1000);
+    const sun = getSunPosition(date, observer.lat, observer.lon);
+    const sunlit = isSunlitEci(pv.position, getSunDirectionEci(date));
+    const phaseAngle = getPhaseAngle(look.azimuth, look.elevation, sun.azimuth, sun.elevation);
+    const standardMagnitude = getStandardMagnitude(sat);
+
+    return {
+        noradId: sat.satrec.satnum,
+        intlDesignator: getIntlDesignator(sat.line1),
+        altitude: geodetic.height, // km above the ellipsoid
+        velocity: Math.sqrt(x * x + y * y + z * z), // km/s, inertial
+        range: look.range, // km
+        azimuth: look.azimuth,
+        elevation: applyRefraction(look.elevation, observer.atmosphere),
+        geometricElevation: look.elevation,
+        sunlit,
+        sunAltitude: sun.elevation, // radians, negative = Sun below the horizon
+        phaseAngle,
+        standardMagnitude,
+        magnitude: sunlit ? estimateMagnitude(standardMagnitude, look.range, phaseAngle) : null
+    };
+};
+
+// Pass prediction
+// Scan forward in coarse steps looking for horizon crossings, then refine the
+// rise/set times by bisection and the culmination by ternary search.
+// A LEO pass lasts several minutes, so a 30 s scan step won't skip one unless
+// it barely grazes the horizon.
+const PASS_SCAN_STEP_SECONDS = 30;
+const PASS_VISIBILITY_STEP_SECONDS = 10;
+// Sun altitude (radians) below which the observer is in darkness (civil twilight)
+const DARK_SUN_ALTITUDE = -6 * Math.PI / 180;
+
+const elevationAt = (satrec, ms, observerLat, observerLon, observerAlt) => {
+    const look = getSatPositionRelative(satrec, new Date(ms), observerLat, observerLon, observerAlt);
+    return look ? look.elevation : null;
+};
+
+const lookPoint = (satrec, ms, observerLat, observerLon, observerAlt) => {
+    const look = getSatPositionRelative(satrec, new Date(ms), observerLat, observerLon, observerAlt);
+    return {
+        time: new Date(ms),
+        azimuth: look ? look.azimuth : 0,
+        elevation: look ? look.elevation : 0,
+        range: look ? look.range : null
+    };
+};
+
+// Bisect between a time below the horizon and one above it (either order)
+const refineCrossing = (satrec, belowMs, aboveMs, observerLat, observerLon, observerAlt) => {
+    let lo = belowMs;
+    let hi = aboveMs;
+    while (Math.abs(hi - lo) > 1000) {
+        const mid = (lo + hi) / 2;
+        const el = elevationAt(satrec, mid, observerLat, observerLon, observerAlt);
+        if (el !== null && el >= 0) {
+            hi = mid;
+        } else {
+            lo = mid;
+        }
+    }
+    return hi;
+};
+
+const findCulmination = (satrec, startMs, endMs, observerLat, observerLon, observerAlt) => {
+    let lo = startMs;
+    let hi = endMs;
+    while (hi - lo > 1000) {
+        const m1 = lo + (hi - lo) / 3;
+        const m2 = hi - (hi - lo) / 3;
+        const e1 = elevationAt(satrec, m1, observerLat, observerLon, observerAlt) ?? -Infinity;
+        const e2 = elevationAt(satrec, m2, observerLat, observerLon, observerAlt) ?? -Infinity;
+        if (e1 < e2) {
+            lo = m1;
+        } else {
+            hi = m2;
+        }
+    }
+    return (lo + hi) / 2;
+};
+
+// Visible to the naked eye = satellite sunlit while the observer is in darkness,
+// at any point during the pass.
+const passVisibility = (satrec, riseMs, setMs, observerLat, observerLon) => {
+    let sunlit = false;
+    let visible = false;
+    for (let ms = riseMs; ms <= setMs; ms += PASS_VISIBILITY_STEP_SECONDS * 1000) {
+        const date = new Date(ms);
+        if (!isSatSunlit(satrec, date)) continue;
+        sunlit = true;
+        if (getSunPosition(date, observerLat, observerLon).elevation < DARK_SUN_ALTITUDE) {
+            visible = true;
+            break;
+        }
+    }
+    return { sunlit, visible };
+};
+
+// sat: entry from fetchTLEs. observerAlt in km (same as getSatPositionRelative).
+// Returns passes in time order, each with rise/culmination/set points (Az/El in
+// radians), maxElevation and whether it is a naked-eye visible pass.
+export const predictPasses = (sat, observerLat, observerLon, observerAlt = 0, {
+    start = new Date(),
+    days = 1,
+    minElevationDeg = 10
+} = {}) => {
+    const passes = [];
+    const startMs = start.getTime();
+    const endMs = startMs + days * 86400 * 1000;
+    const stepMs = PASS_SCAN_STEP_SECONDS * 1000;
+    const minElevation = minElevationDeg * Math.PI / 180;
+
+    let prevMs = startMs;
+    let prevEl = elevationAt(sat.satrec, prevMs, observerLat, observerLon, observerAlt);
+    if (prevEl === null) return passes; // TLE can't be propagated (decayed etc.)
+
+    // Already above the horizon at the start: treat start as the rise
+    let riseMs = prevEl >= 0 ? startMs : null;
+
+    for (let ms = startMs + stepMs; ms <= endMs + stepMs; ms += stepMs) {
+        const el = elevationAt(sat.satrec, ms, observerLat, observerLon, observerAlt);
+        if (el === null) break;
+
+        if (riseMs === null && prevEl < 0 && el >= 0) {
+            riseMs = refineCrossing(sat.satrec, prevMs, ms, observerLat, observerLon, observerAlt);
+        } else if (riseMs !== null && prevEl >= 0 && el < 0) {
+            const setMs = refineCrossing(sat.satrec, ms, prevMs, observerLat, observerLon, observerAlt);
+            const culminationMs = findCulmination(sat.satrec, riseMs, setMs, observerLat, observerLon, observerAlt);
+            const culmination = lookPoint(sat.satrec, culminationMs, observerLat, observerLon, observerAlt);
+
+            if (culmination.elevation >= minElevation) {
+                passes.push({
+                    satellite: sat.name,
+                    rise: lookPoint(sat.satrec, riseMs, observerLat, observerLon, observerAlt),
+                    culmination,
+                    set: lookPoint(sat.satrec, setMs, observerLat, observerLon, observerAlt),
+                    maxElevation: culmination.elevation,
+                    ...passVisibility(sat.satrec, riseMs, setMs, observerLat, observerLon)
+                });
+            }
+            riseMs = null;
+            if (ms > endMs) break;
+        }
+
+        prevMs = ms;
+        prevEl = el;
+    }
+
+    return passes;
+};
+
 export const polarToCartesian = (azimuth, elevation, distance) => {
     // Convert Az/El (radians) to Cartesian (x,y,z)
     // Azimuth: from North (0) clockwise.
@@ -133,3 +317,18 @@ export const polarToCartesian = (azimuth, elevation, distance) => {
 
     return [x, y, z];
 }
+
+export const cartesianToPolar = (x, y, z) => {
+    // Inverse of polarToCartesian, same convention (-Z North, +X East, +Y up).
+    // Returns azimuth/elevation in radians and the vector length.
+    const distance = Math.sqrt(x * x + y * y + z * z);
+    if (distance === 0) return { azimuth: 0, elevation: 0, distance: 0 };
+
+    let azimuth = Math.atan2(x, -z);
+    if (azimuth < 0) {
+        azimuth += 2 * Math.PI;
+    }
+    const elevation = Math.asin(Math.max(-1, Math.min(1, y / distance)));
+
+    return { azimuth, elevation, distance };
+}
@@ -0,0 +1,113 @@
+import { getSatPositionRelative } from './satelliteUtils';
+import { getPlanePositionRelative, getPlaneStatesAt, getPlaneDisplayStates } from './planeUtils';
+import { PLANETS, getPlanetPositions, getSunPosition, getMoonPosition, getStarPosition, applyRefraction } from './astroUtils';
+import starCatalog from './starCatalog.json';
+
+// Sky search
+// Finds things by name or identifier across everything we know about, then
+// keeps track of where a chosen target is so the view can be turned to it.
+// A result is { type, id, name, detail } and is also what locateTarget takes.
+
+const MAX_RESULTS = 8;
+
+const SOLAR_SYSTEM = [
+    { type: 'sun', id: 'sun', name: 'Sun' },
+    { type: 'moon', id: 'moon', name: 'Moon' },
+    ...PLANETS.map(planet => ({ type: 'planet', id: planet.id, name: planet.name }))
+];
+
+// 0 exact, 1 prefix, 2 substring, null no match (lower ranks first)
+const matchRank = (text, query) => {
+    if (!text) return null;
+    const value = text.toLowerCase();
+    if (value === query) return 0;
+    if (value.startsWith(query)) return 1;
+    if (value.includes(query)) return 2;
+    return null;
+};
+
+// satellites: entries from fetchTLEs; planeTracks: Map from updatePlaneTracks;
+// timeSeconds: simulation time, for which aircraft exist at that moment
+export const searchSky = (query, { satellites = [], planeTracks = null, timeSeconds = Date.now() / 1000 }) => {
+    const q = query.trim().toLowerCase();
+    if (q.length < 2) return [];
+    const results = [];
+    const add = (rank, result) => {
+        if (rank !== null) results.push({ ...result, rank });
+    };
+
+    SOLAR_SYSTEM.forEach(body => add(matchRank(body.name, q), { ...body, detail: body.type }));
+
+    satellites.forEach(sat => {
+        const noradId = String(sat.satrec.satnum);
+        add(noradId === q ? 0 : matchRank(sat.name, q), {
+            type: 'satellite',
+            id: sat.name,
+            name: sat.name,
+            detail: `NORAD ${noradId}`
+        });
+    });
+
+    if (planeTracks) {
+        getPlaneStatesAt(planeTracks, timeSeconds).forEach(state => {
+            const callsign = state[1] && state[1].trim();
+            const ranks = [matchRank(callsign, q), matchRank(state[0], q)].filter(rank => rank !== null);
+            add(ranks.length ? Math.min(...ranks) : null, {
+                type: 'plane',
+                id: state[0],
+                name: callsign || state[0],
+                detail: `aircraft ${state[0]}`
+            });
+        });
+    }
+
+    starCatalog.forEach(star => {
+        // Unnamed stars are only found by their HIP number
+        const rank = star.name.startsWith('HIP ') ? (star.name.toLowerCase() === q ? 0 : null) : matchRank(star.name, q);
+        add(rank, {
+            type: 'star',
+            id: `HIP ${star.hip}`,
+            name: star.name,
+            detail: `star, mag ${star.mag.toFixed(1)}`,
+            star
+        });
+    });
+
+    return results
+        .sort((a, b) => a.rank - b.rank || a.name.localeCompare(b.name))
+        .slice(0, MAX_RESULTS);
+};
+
+// Where a search result is at `date`: { azimuth, elevation } radians, apparent
+// elevation (refracted like the sky layers), or null if it can't be placed
+// (aircraft no longer tracked, satellite can't be propagated...).
+// observer: as from resolveObserver.
+export const locateTarget = (target, date, observer, { satellites = [], planeTracks = null }) => {
+    const refract = (position) => position && {
+        azimuth: position.azimuth,
+        elevation: applyRefraction(position.elevation, observer.atmosphere)
+    };
+
+    switch (target.type) {
+        case 'satellite': {
+            const sat = satellites.find(s => s.name === target.id);
+            return sat ? refract(getSatPositionRelative(sat.satrec, date, observer.lat, observer.lon, (observer.alt || 0) / 1000)) : null;
+        }
+        case 'plane': {
+            if (!planeTracks) return null;
+            // Same smoothed, dead-reckoned position the Planes layer draws
+            const plane = getPlaneDisplayStates(planeTracks, date.getTime() / 1000).find(({ state }) => state[0] === target.id);
+            return plane ? getPlanePositionRelative(plane.state, observer.lat, observer.lon, observer.alt || 0) : null;
+        }
+        case 'star':
+            return getStarPosition(target.star, date, observer.lat, observer.lon, observer.atmosphere);
+        case 'sun':
+            return refract(getSunPosition(date, observer.lat, observer.lon));
+        case 'moon':
+            return refract(getMoonPosition(date, observer.lat, observer.lon));
+        case 'planet':
+            return refract(getPlanetPositions(date, observer.lat, observer.lon).find(p => p.id === target.id));
+        default:
+            return null;
+    }
+};
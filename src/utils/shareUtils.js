@@ -0,0 +1,71 @@
+// Shareable view links
+// Everything needed to reproduce a sky view goes in the /uap query string, so a
+// link opens the same place, time, direction and layers for someone else:
+//   lat, lon   observer position (degrees)
+//   alt        observer altitude (meters, optional)
+//   t          simulation time, ISO 8601 (absent = live)
+//   az, el     view direction (degrees)
+//   layers     comma-separated visible layers
+//   sats       satellite group, planes: aircraft source, mag: star limit
+// Angles in the link are degrees, like saved sightings.
+
+const toDeg = (rad) => rad * 180 / Math.PI;
+const toRad = (deg) => deg * Math.PI / 180;
+
+const round = (value, digits) => Number(value.toFixed(digits)).toString();
+
+// view: { location: { lat, lon, alt }, time (Date or null for live),
+//         aim: { azimuth, elevation } radians, layers: [ids], tleGroup,
+//         planeSource, starMagLimit }
+export const encodeViewParams = ({ location, time, aim, layers, tleGroup, planeSource, starMagLimit }) => {
+    const params = new URLSearchParams();
+    params.set('lat', round(location.lat, 5));
+    params.set('lon', round(location.lon, 5));
+    if (location.alt !== null && location.alt !== undefined) params.set('alt', Math.round(location.alt).toString());
+    if (time) params.set('t', time.toISOString());
+    params.set('az', round(toDeg(aim.azimuth), 1));
+    params.set('el', round(toDeg(aim.elevation), 1));
+    params.set('layers', layers.join(','));
+    params.set('sats', tleGroup);
+    params.set('planes', planeSource);
+    params.set('mag', starMagLimit.toString());
+    return params;
+};
+
+const readNumber = (params, key, min, max) => {
+    if (!params.has(key)) return null;
+    const value = Number(params.get(key));
+    return Number.isFinite(value) && value >= min && value <= max ? value : null;
+};
+
+// Inverse of encodeViewParams. Only fields present and valid in the query
+// string are returned, so the result can be spread over defaults.
+export const decodeViewParams = (params) => {
+    const view = {};
+
+    const lat = readNumber(params, 'lat', -90, 90);
+    const lon = readNumber(params, 'lon', -180, 180);
+    if (lat !== null && lon !== null) {
+        view.location = { lat, lon, alt: readNumber(params, 'alt', -500, 9000) };
+    }
+
+    if (params.has('t')) {
+        const time = new Date(params.get('t'));
+        if (!Number.isNaN(time.getTime())) view.time = time;
+    }
+
+    const az = readNumber(params, 'az', -360, 360);
+    const el = readNumber(params, 'el', -90, 90);
+    if (az !== null && el !== null) {
+        view.aim = { azimuth: toRad((az + 360) % 360), elevation: toRad(el) };
+    }
+
+    if (params.has('layers')) view.layers = params.get('layers').split(',').filter(Boolean);
+    // Same rule the server applies to group names
+    if (/^[a-z0-9-]{1,40}$/.test(params.get('sats') || '')) view.tleGroup = params.get('sats');
+    if (params.has('planes')) view.planeSource = params.get('planes');
+    const mag = readNumber(params, 'mag', -2, 10);
+    if (mag !== null) view.starMagLimit = mag;
+
+    return view;
+};
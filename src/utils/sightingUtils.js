@@ -0,0 +1,138 @@
+// Sighting records
+// A sighting is what the "Tag Object" button captures: where the observer was,
+// where the camera was pointing, when, and which known objects were close to the
+// aim point at that moment. Angles in a saved record are in degrees so the
+// record can be read (and shared) without knowing our internal radian math.
+
+const STORAGE_KEY = 'uap.sightings';
+
+// How far from the aim point (degrees) an object can be and still be
+// considered part of the sky context of a sighting.
+export const NEARBY_RADIUS_DEG = 5;
+
+const toDeg = (rad) => rad * 180 / Math.PI;
+
+// Great-circle separation between two Az/El directions (all radians).
+// Haversine form, stable for the small angles we care about.
+export const angularSeparation = (az1, el1, az2, el2) => {
+    const dEl = el2 - el1;
+    const dAz = az2 - az1;
+    const a = Math.sin(dEl / 2) * Math.sin(dEl / 2) +
+              Math.cos(el1) * Math.cos(el2) * Math.sin(dAz / 2) * Math.sin(dAz / 2);
+    return 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// sky: { stars: [], solarSystem: [], satellites: [], planes: [] } as published by the sky layers.
+// Each entry carries at least { id, name, azimuth, elevation } in radians
+// (elevation apparent, geometricElevation without refraction when known), and
+// may carry its own type (the solar system layer mixes sun/moon/planet).
+export const findNearbyObjects = (sky, azimuth, elevation, radiusDeg = NEARBY_RADIUS_DEG) => {
+    const radius = radiusDeg * Math.PI / 180;
+    const nearby = [];
+
+    const layers = [
+        ['star', sky.stars],
+        ['planet', sky.solarSystem],
+        ['satellite', sky.satellites],
+        ['plane', sky.planes]
+    ];
+
+    layers.forEach(([type, objects]) => {
+        (objects || []).forEach(obj => {
+            const separation = angularSeparation(azimuth, elevation, obj.azimuth, obj.elevation);
+            if (separation > radius) return;
+
+            nearby.push({
+                type: obj.type || type,
+                id: obj.id,
+                name: obj.name,
+                azimuth: toDeg(obj.azimuth),
+                elevation: toDeg(obj.elevation),
+                geometricElevation: toDeg(obj.geometricElevation ?? obj.elevation),
+                separation: toDeg(separation),
+                range: obj.range ?? null, // km, null for stars
+                magnitude: obj.mag ?? obj.magnitude ?? null
+            });
+        });
+    });
+
+    return nearby.sort((a, b) => a.separation - b.separation);
+};
+
+// Sky layers that can be clicked in the view, with the type each entry gets
+const PICKABLE_LAYERS = [
+    ['star', 'stars'],
+    ['satellite', 'satellites'],
+    ['plane', 'planes']
+];
+
+// The pickable object closest to a direction (radians), if any is within
+// maxSeparation (radians). Returns the sky entry plus its type and separation.
+export const findNearestObject = (sky, azimuth, elevation, maxSeparation) => {
+    let nearest = null;
+    PICKABLE_LAYERS.forEach(([type, key]) => {
+        (sky[key] || []).forEach(obj => {
+            const separation = angularSeparation(azimuth, elevation, obj.azimuth, obj.elevation);
+            if (separation <= maxSeparation && (!nearest || separation < nearest.separation)) {
+                nearest = { ...obj, type, separation };
+            }
+        });
+    });
+    return nearest;
+};
+
+// Current entry for a previously picked object, or null if it's no longer in
+// its layer (set, filtered out...).
+export const findObjectById = (sky, type, id) => {
+    const layer = PICKABLE_LAYERS.find(([layerType]) => layerType === type);
+    const obj = layer && (sky[layer[1]] || []).find(entry => entry.id === id);
+    return obj ? { ...obj, type } : null;
+};
+
+// aim: { azimuth, elevation } in radians (camera direction)
+// observer: { lat, lon, alt, accuracy, atmosphere } as from resolveObserver
+// (alt/accuracy in meters, accuracy may be null)
+// identification: optional result of identifyPoint for the same moment
+export const createSighting = ({ aim, observer, sky, identification = null, note = '', date = new Date() }) => {
+    return {
+        id: `${date.getTime().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        timestamp: date.toISOString(),
+        observer: {
+            lat: observer.lat,
+            lon: observer.lon,
+            alt: observer.alt ?? null,
+            accuracy: observer.accuracy ?? null,
+            atmosphere: observer.atmosphere ?? null
+        },
+        pointing: {
+            azimuth: toDeg(aim.azimuth),
+            elevation: toDeg(aim.elevation)
+        },
+        note: note.trim(),
+        nearby: findNearbyObjects(sky, aim.azimuth, aim.elevation),
+        identification: identification && {
+            verdict: identification.verdict,
+            matched: identification.matched,
+            sunAltitude: identification.sunAltitude,
+            candidates: identification.candidates.slice(0, 5)
+        }
+    };
+};
+
+export const loadSightings = () => {
+    try {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        return raw ? JSON.parse(raw) : [];
+    } catch (error) {
+        console.warn("Could not read saved sightings:", error);
+        return [];
+    }
+};
+
+export const saveSightings = (sightings) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(sightings));
+    } catch (error) {
+        console.error("Could not save sightings:", error);
+    }
+};
@@ -0,0 +1,71 @@
+// Simulation clock shared by every sky layer.
+// The sky layers read clock.now() inside useFrame instead of new Date(), so the
+// whole view can be paused, sped up, run backwards or jumped to any moment.
+// It is a plain mutable object (like the skyRef/aimRef refs) so reading it every
+// frame never triggers React re-renders; UI that displays it can subscribe().
+
+export const SPEED_OPTIONS = [-1000, -100, -10, -1, 1, 10, 100, 1000];
+
+// Within this many ms of real time (at 1x, playing) we consider the view "live"
+const LIVE_TOLERANCE_MS = 2000;
+
+export const createSimClock = (startMs = Date.now()) => {
+    // Simulation time is anchorSim + (real time since anchorReal) * rate
+    let anchorReal = Date.now();
+    let anchorSim = startMs;
+    let rate = 1;
+    let paused = false;
+    const listeners = new Set();
+
+    const nowMs = () => paused ? anchorSim : anchorSim + (Date.now() - anchorReal) * rate;
+
+    // Fold elapsed time into the anchor before changing rate/paused
+    const rebase = () => {
+        anchorSim = nowMs();
+        anchorReal = Date.now();
+    };
+
+    const notify = () => listeners.forEach(fn => fn());
+
+    return {
+        now: () => new Date(nowMs()),
+        nowMs,
+        getRate: () => rate,
+        isPaused: () => paused,
+        isLive: () => !paused && rate === 1 && Math.abs(nowMs() - Date.now()) < LIVE_TOLERANCE_MS,
+
+        play() {
+            rebase();
+            paused = false;
+            notify();
+        },
+        pause() {
+            rebase();
+            paused = true;
+            notify();
+        },
+        setRate(newRate) {
+            rebase();
+            rate = newRate;
+            notify();
+        },
+        setTime(date) {
+            anchorSim = date instanceof Date ? date.getTime() : date;
+            anchorReal = Date.now();
+            notify();
+        },
+        // Back to real time, 1x, playing
+        goLive() {
+            anchorSim = Date.now();
+            anchorReal = anchorSim;
+            rate = 1;
+            paused = false;
+            notify();
+        },
+
+        subscribe(fn) {
+            listeners.add(fn);
+            return () => listeners.delete(fn);
+        }
+    };
+};
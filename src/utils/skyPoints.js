@@ -0,0 +1,74 @@
+import * as THREE from 'three';
+
+// Point-sprite buffers for the big sky layers (stars, satellites).
+// One THREE.Points object per layer, with per-point size (pixels) and RGBA
+// color, updated in place from useFrame so thousands of objects never go
+// through React state.
+
+// Anything parked here is beyond the camera's far plane, i.e. hidden
+export const HIDDEN_Y = -1e6;
+
+const vertexShader = `
+    attribute float size;
+    attribute vec4 rgba;
+    varying vec4 vColor;
+
+    void main() {
+        vColor = rgba;
+        gl_PointSize = size;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+// Round points with a soft edge
+const fragmentShader = `
+    varying vec4 vColor;
+
+    void main() {
+        float d = length(gl_PointCoord - vec2(0.5));
+        if (d > 0.5) discard;
+        gl_FragColor = vec4(vColor.rgb, vColor.a * smoothstep(0.5, 0.3, d));
+    }
+`;
+
+export const createSkyPointsMaterial = () => new THREE.ShaderMaterial({
+    vertexShader,
+    fragmentShader,
+    transparent: true,
+    depthWrite: false
+});
+
+// Geometry with `count` points, all hidden, default size/color.
+export const createSkyPointsGeometry = (count, size = 3, rgba = [1, 1, 1, 1]) => {
+    const geometry = new THREE.BufferGeometry();
+    const positions = new Float32Array(count * 3);
+    const sizes = new Float32Array(count).fill(size);
+    const colors = new Float32Array(count * 4);
+
+    for (let i = 0; i < count; i++) {
+        positions[i * 3 + 1] = HIDDEN_Y;
+        colors.set(rgba, i * 4);
+    }
+
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+    geometry.setAttribute('rgba', new THREE.BufferAttribute(colors, 4));
+    return geometry;
+};
+
+// Star color from its B-V index, as RGB 0..1.
+// B-V -> temperature (Ballesteros 2012), then temperature -> RGB with the usual
+// blackbody fit, normalized so the brightest channel is 1. Missing B-V gives white.
+export const bvToRgb = (bv) => {
+    if (bv === undefined || bv === null || !Number.isFinite(bv)) return [1, 1, 1];
+    const b = Math.max(-0.4, Math.min(2.0, bv));
+    const t = 4600 * (1 / (0.92 * b + 1.7) + 1 / (0.92 * b + 0.62)) / 100;
+
+    const r = t <= 66 ? 255 : 329.7 * Math.pow(t - 60, -0.1332);
+    const g = t <= 66 ? 99.47 * Math.log(t) - 161.12 : 288.12 * Math.pow(t - 60, -0.0755);
+    const bl = t >= 66 ? 255 : (t <= 19 ? 0 : 138.52 * Math.log(t - 10) - 305.04);
+
+    const rgb = [r, g, bl].map(c => Math.max(0, Math.min(255, c)));
+    const max = Math.max(...rgb);
+    return rgb.map(c => c / max);
+};
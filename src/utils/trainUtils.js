@@ -0,0 +1,162 @@
+import axios from 'axios';
+import { propagate } from 'satellite.js';
+import { getIntlDesignator } from './satelliteUtils';
+
+// Satellite trains
+// A fresh Starlink (or OneWeb, Kuiper...) batch flies as a string of satellites
+// one behind the other, the "line of lights" people report. Trains are found
+// from the TLEs alone:
+//   1. satellites are grouped by launch (international designator without the
+//      piece letters, "2024-045")
+//   2. within a launch, by orbit: same plane (angle between orbit normals) and
+//      same mean motion
+//   3. along the orbit, ordered by position; the string is cut wherever two
+//      neighbours are further apart than MAX_GAP_DEG
+// Strings of at least MIN_TRAIN_SIZE satellites are trains. Once a batch has
+// raised its orbits the satellites spread around the plane and it stops being
+// one. Positions are checked at a given time, so trains are redone now and then.
+
+export const MIN_TRAIN_SIZE = 5;
+// Neighbours in a train are at most this far apart along the orbit (degrees,
+// about 360 km in low orbit)
+const MAX_GAP_DEG = 3;
+// Same orbit: planes within this angle, mean motions within this many revs/day
+const MAX_PLANE_ANGLE_DEG = 1;
+const MAX_MEAN_MOTION_DIFF = 0.1;
+
+const LAUNCHES_URL = '/api/launches';
+
+const MINUTES_PER_DAY = 1440;
+
+const cross = (a, b) => ({ x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x });
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const normalize = (a) => {
+    const length = Math.sqrt(dot(a, a));
+    return { x: a.x / length, y: a.y / length, z: a.z / length };
+};
+
+// "2024-045A" -> "2024-045"
+export const getLaunchDesignator = (line1) => {
+    const designator = getIntlDesignator(line1);
+    const match = designator && designator.match(/^(\d{4}-\d{3})/);
+    return match ? match[1] : null;
+};
+
+// Operator-ish prefix of a satellite name: "STARLINK-1234" -> "STARLINK"
+const namePrefix = (name) => name.split(/[-\s]/)[0];
+
+// Orbit state used for grouping, null if the TLE can't be propagated
+const orbitState = (sat, index, date) => {
+    const pv = propagate(sat.satrec, date);
+    if (!pv?.position || !pv?.velocity) return null;
+    return {
+        index,
+        position: pv.position,
+        normal: normalize(cross(pv.position, pv.velocity)),
+        meanMotion: sat.satrec.no * MINUTES_PER_DAY / (2 * Math.PI) // revs/day
+    };
+};
+
+// Same-orbit groups within one launch
+const groupByOrbit = (states) => {
+    const maxPlaneCos = Math.cos(MAX_PLANE_ANGLE_DEG * Math.PI / 180);
+    const groups = [];
+    states.forEach(state => {
+        const group = groups.find(g =>
+            dot(g[0].normal, state.normal) >= maxPlaneCos &&
+            Math.abs(g[0].meanMotion - state.meanMotion) <= MAX_MEAN_MOTION_DIFF);
+        if (group) group.push(state);
+        else groups.push([state]);
+    });
+    return groups;
+};
+
+// Cuts one orbit group into strings of close neighbours, in flight order
+// (first = leading satellite)
+const splitAlongOrbit = (group) => {
+    const reference = group[0];
+    // Angle along the orbit from the reference, in the direction of motion
+    const along = (state) => Math.atan2(
+        dot(cross(reference.position, state.position), reference.normal),
+        dot(reference.position, state.position)
+    );
+    const ordered = group
+        .map(state => ({ ...state, angle: along(state) }))
+        .sort((a, b) => b.angle - a.angle);
+
+    const maxGap = MAX_GAP_DEG * Math.PI / 180;
+    const strings = [];
+    ordered.forEach((state, idx) => {
+        if (idx > 0 && ordered[idx - 1].angle - state.angle <= maxGap) {
+            strings[strings.length - 1].push(state);
+        } else {
+            strings.push([state]);
+        }
+    });
+    return strings;
+};
+
+// Lowest catalog number in a string: unlike the order strings are found in,
+// or which satellite happens to lead, it stays put from one run to the next.
+// Alpha-5 numbers ("A0001") sort after the numeric ones, as they should.
+const lowestCatalogNumber = (string, satellites) => string
+    .map(state => String(satellites[state.index].satrec.satnum).trim().padStart(5, '0'))
+    .sort()[0];
+
+// satellites: entries from fetchTLEs. Returns trains at `date`:
+// [{ id, launch, label, members: [indices into satellites, leader first], names }]
+// The id ("2024-045/59123", launch and lowest catalog number) is the same for
+// the same train every time trains are redone; alerts and passes are keyed by it.
+export const findTrains = (satellites, date = new Date()) => {
+    const byLaunch = new Map();
+    satellites.forEach((sat, index) => {
+        const launch = getLaunchDesignator(sat.line1);
+        if (!launch) return;
+        if (!byLaunch.has(launch)) byLaunch.set(launch, []);
+        byLaunch.get(launch).push(index);
+    });
+
+    const trains = [];
+    byLaunch.forEach((indices, launch) => {
+        if (indices.length < MIN_TRAIN_SIZE) return;
+        const states = indices.map(index => orbitState(satellites[index], index, date)).filter(Boolean);
+        const strings = groupByOrbit(states).flatMap(splitAlongOrbit)
+            .filter(string => string.length >= MIN_TRAIN_SIZE)
+            .map(string => ({ string, lowest: lowestCatalogNumber(string, satellites) }))
+            .sort((a, b) => (a.lowest < b.lowest ? -1 : 1));
+        strings.forEach(({ string, lowest }, idx) => {
+            const members = string.map(state => state.index);
+            const names = members.map(index => satellites[index].name);
+            // Several trains from one launch are told apart by a letter, in
+            // catalog number order
+            const letter = strings.length > 1 ? String.fromCharCode(65 + idx) : null;
+            trains.push({
+                id: `${launch}/${lowest}`,
+                launch,
+                label: `${namePrefix(names[0])} train ${launch}${letter ? ` ${letter}` : ''}`,
+                members,
+                names
+            });
+        });
+    });
+    return trains;
+};
+
+// satellite name -> train, for looking up whether a satellite is in one
+export const indexTrains = (trains) => {
+    const byName = new Map();
+    trains.forEach(train => train.names.forEach(name => byName.set(name, train)));
+    return byName;
+};
+
+// { launch, launchDate (YYYY-MM-DD), launchSite, objects } from the server's
+// SATCAT lookup (server/satcat.js), or null when unavailable
+export const fetchLaunchInfo = async (launch) => {
+    try {
+        const response = await axios.get(`${LAUNCHES_URL}/${launch}`, { timeout: 10000 });
+        return response.data;
+    } catch (error) {
+        console.warn(`Launch info for ${launch} unavailable`);
+        return null;
+    }
+};
@@ -0,0 +1,283 @@
+import { geodeticToEcf, eciToGeodetic, ecfToLookAngles } from 'satellite.js';
+import { removeRefraction } from './astroUtils';
+
+// Multi-observer triangulation
+// One observer's tag is only a direction: the object could be a lamp 200 m away
+// or a satellite 800 km up. Tags of the same object taken at about the same time
+// from different places are lines of sight that (nearly) cross, and where they
+// cross is the object. Each group of simultaneous tags gives a fix:
+//   - the point closest to all the lines (least squares), weighted by how far
+//     along each line it is, since a pointing error of σ radians misses by σ·r
+//   - its covariance, from the same normal equations, reported as a horizontal
+//     error ellipse and an altitude sigma
+// A sequence of fixes gives the object's velocity: speed, heading, climb.
+// The math is the observer-relative Az/El of planeUtils.js / satelliteUtils.js
+// run in reverse, in Earth-fixed (ECF) kilometers; angles in/out are degrees,
+// altitudes meters, like the saved sightings.
+
+// Tags this close in time (seconds) are the same moment
+export const FIX_WINDOW_SECONDS = 20;
+// 1σ pointing error of a tag. A compass-only phone is a few degrees off,
+// a calibrated heading (headingUtils.js) well under one.
+export const DEFAULT_POINTING_SIGMA_DEG = 1;
+export const POINTING_SIGMA_OPTIONS = [0.25, 0.5, 1, 2, 5];
+// Lines crossing at less than this (degrees) don't fix a distance
+const MIN_CONVERGENCE_DEG = 1;
+const REWEIGHT_PASSES = 3;
+
+const toRad = (deg) => deg * Math.PI / 180;
+const toDeg = (rad) => rad * 180 / Math.PI;
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const addScaled = (a, b, s) => [a[0] + b[0] * s, a[1] + b[1] * s, a[2] + b[2] * s];
+const norm = (a) => Math.sqrt(dot(a, a));
+
+// Local East/North/Up unit vectors (ECF) at lat/lon degrees
+const enuBasis = (lat, lon) => {
+    const sinLat = Math.sin(toRad(lat)), cosLat = Math.cos(toRad(lat));
+    const sinLon = Math.sin(toRad(lon)), cosLon = Math.cos(toRad(lon));
+    return {
+        east: [-sinLon, cosLon, 0],
+        north: [-sinLat * cosLon, -sinLat * sinLon, cosLat],
+        up: [cosLat * cosLon, cosLat * sinLon, sinLat]
+    };
+};
+
+const geodeticToPoint = ({ lat, lon, alt }) => {
+    const ecf = geodeticToEcf({ latitude: toRad(lat), longitude: toRad(lon), height: (alt || 0) / 1000 });
+    return [ecf.x, ecf.y, ecf.z];
+};
+
+// ECF point (km) -> { lat, lon, alt (meters) }
+export const pointToGeodetic = (point) => {
+    // ECF -> geodetic is the ECI conversion with no Earth rotation
+    const geodetic = eciToGeodetic({ x: point[0], y: point[1], z: point[2] }, 0);
+    return {
+        lat: toDeg(geodetic.latitude),
+        lon: ((toDeg(geodetic.longitude) + 540) % 360) - 180,
+        alt: geodetic.height * 1000
+    };
+};
+
+// Line of sight from an observer ({ lat, lon, alt }) along azimuth/elevation
+// (degrees, geometric): { origin, direction } in ECF km, direction a unit vector
+export const observerRay = (observer, azimuthDeg, elevationDeg) => {
+    const { east, north, up } = enuBasis(observer.lat, observer.lon);
+    const az = toRad(azimuthDeg);
+    const el = toRad(elevationDeg);
+    let direction = [0, 0, 0];
+    direction = addScaled(direction, east, Math.cos(el) * Math.sin(az));
+    direction = addScaled(direction, north, Math.cos(el) * Math.cos(az));
+    direction = addScaled(direction, up, Math.sin(el));
+    return { origin: geodeticToPoint(observer), direction };
+};
+
+// Where a geodetic position ({ lat, lon, alt }) appears from an observer:
+// { azimuth, elevation } radians (geometric) and range km
+export const lookFromObserver = (observer, position) => {
+    const [x, y, z] = geodeticToPoint(position);
+    const look = ecfToLookAngles(
+        { latitude: toRad(observer.lat), longitude: toRad(observer.lon), height: (observer.alt || 0) / 1000 },
+        { x, y, z }
+    );
+    return { azimuth: look.azimuth, elevation: look.elevation, range: look.rangeSat };
+};
+
+// The tag's line of sight. Pointing is the apparent direction; the straight
+// line is along the geometric one.
+const sightingRay = (sighting) => {
+    const apparent = toRad(sighting.pointing.elevation);
+    const geometric = removeRefraction(apparent, sighting.observer.atmosphere);
+    return observerRay(sighting.observer, sighting.pointing.azimuth, toDeg(geometric));
+};
+
+// Symmetric 3x3 inverse (row-major array of 9), null when singular
+const invert3 = (m) => {
+    const [a, b, c, d, e, f, g, h, i] = m;
+    const A = e * i - f * h, B = -(d * i - f * g), C = d * h - e * g;
+    const det = a * A + b * B + c * C;
+    if (Math.abs(det) < 1e-12) return null;
+    return [
+        A / det, -(b * i - c * h) / det, (b * f - c * e) / det,
+        B / det, (a * i - c * g) / det, -(a * f - c * d) / det,
+        C / det, -(a * h - b * g) / det, (a * e - b * d) / det
+    ];
+};
+
+const mulVec3 = (m, v) => [
+    m[0] * v[0] + m[1] * v[1] + m[2] * v[2],
+    m[3] * v[0] + m[4] * v[1] + m[5] * v[2],
+    m[6] * v[0] + m[7] * v[1] + m[8] * v[2]
+];
+
+// Weighted least-squares point closest to all rays: { point, covariance } or null
+const intersectRays = (rays, weights) => {
+    const A = new Array(9).fill(0);
+    const b = [0, 0, 0];
+    rays.forEach(({ origin, direction }, idx) => {
+        const w = weights[idx];
+        // Projection onto the plane perpendicular to the ray: I - d dᵀ
+        const P = [
+            1 - direction[0] * direction[0], -direction[0] * direction[1], -direction[0] * direction[2],
+            -direction[1] * direction[0], 1 - direction[1] * direction[1], -direction[1] * direction[2],
+            -direction[2] * direction[0], -direction[2] * direction[1], 1 - direction[2] * direction[2]
+        ];
+        P.forEach((value, k) => { A[k] += w * value; });
+        mulVec3(P, origin).forEach((value, k) => { b[k] += w * value; });
+    });
+    const covariance = invert3(A);
+    return covariance && { point: mulVec3(covariance, b), covariance };
+};
+
+// Largest angle (degrees) between any two lines of sight
+const convergenceAngle = (rays) => {
+    let best = 0;
+    rays.forEach((ray, i) => rays.slice(i + 1).forEach(other => {
+        best = Math.max(best, toDeg(Math.acos(Math.min(1, Math.abs(dot(ray.direction, other.direction))))));
+    }));
+    return best;
+};
+
+// Horizontal 1σ error ellipse (meters, major axis bearing in degrees) and the
+// altitude sigma, from an ECF covariance (km²) at lat/lon
+const describeCovariance = (covariance, lat, lon) => {
+    const { east, north, up } = enuBasis(lat, lon);
+    const variance = (u, v) => dot(u, mulVec3(covariance, v));
+    const ee = variance(east, east);
+    const nn = variance(north, north);
+    const en = variance(east, north);
+    const mean = (ee + nn) / 2;
+    const spread = Math.sqrt(((ee - nn) / 2) ** 2 + en ** 2);
+    const angleFromEast = Math.atan2(2 * en, ee - nn) / 2;
+    return {
+        ellipse: {
+            semiMajor: Math.sqrt(mean + spread) * 1000,
+            semiMinor: Math.sqrt(Math.max(0, mean - spread)) * 1000,
+            bearing: (toDeg(Math.PI / 2 - angleFromEast) + 360) % 180
+        },
+        altitudeSigma: Math.sqrt(variance(up, up)) * 1000
+    };
+};
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+// One fix from simultaneous tags:
+// { time, sightingIds, position, altitudeSigma, ellipse, convergence, baseline,
+//   observers: [{ id, range (km), miss (degrees off its line of sight) }] }
+// or { time, sightingIds, error } when they don't fix a position
+export const triangulateFix = (sightings, pointingSigmaDeg = DEFAULT_POINTING_SIGMA_DEG) => {
+    const time = new Date(mean(sightings.map(s => Date.parse(s.timestamp))));
+    const sightingIds = sightings.map(s => s.id);
+    const fail = (error) => ({ time, sightingIds, error });
+
+    if (sightings.length < 2) return fail('Needs tags from at least two observers');
+    const rays = sightings.map(sightingRay);
+    const origins = rays.map(ray => ray.origin);
+    const baseline = Math.max(...origins.flatMap(a => origins.map(b => norm(sub(a, b)))));
+    const convergence = convergenceAngle(rays);
+    if (convergence < MIN_CONVERGENCE_DEG) {
+        return fail(`Lines of sight are nearly parallel (${convergence.toFixed(2)}°); tags need to come from further apart`);
+    }
+
+    // Unweighted first, then weight each line by 1/(σ·r)² with r the distance
+    // along it to the current estimate
+    const sigma = toRad(pointingSigmaDeg);
+    let solution = intersectRays(rays, rays.map(() => 1));
+    for (let pass = 0; solution && pass < REWEIGHT_PASSES; pass++) {
+        const { point } = solution;
+        const weights = rays.map(({ origin }) => 1 / (sigma * Math.max(norm(sub(point, origin)), 0.01)) ** 2);
+        solution = intersectRays(rays, weights);
+    }
+    if (!solution) return fail('Lines of sight do not fix a position');
+
+    const { point, covariance } = solution;
+    const observers = rays.map(({ origin, direction }, idx) => {
+        const toPoint = sub(point, origin);
+        const range = norm(toPoint);
+        return {
+            id: sightings[idx].id,
+            range,
+            ahead: dot(toPoint, direction) > 0,
+            miss: toDeg(Math.acos(Math.min(1, dot(toPoint, direction) / range)))
+        };
+    });
+    if (observers.some(obs => !obs.ahead)) return fail('Lines of sight only meet behind an observer');
+
+    const position = pointToGeodetic(point);
+    return {
+        time,
+        sightingIds,
+        position,
+        ...describeCovariance(covariance, position.lat, position.lon),
+        convergence,
+        baseline,
+        observers: observers.map(({ ahead, ...obs }) => obs)
+    };
+};
+
+// Velocity from a sequence of fixes (least-squares straight line through them,
+// in the local frame of the first): { speed (m/s), heading (degrees), climbRate
+// (m/s), duration (s) }, or null with fewer than two fixes at different times
+export const estimateMotion = (fixes) => {
+    if (fixes.length < 2) return null;
+    const { east, north, up } = enuBasis(fixes[0].position.lat, fixes[0].position.lon);
+    const samples = fixes.map(fix => {
+        const offset = sub(geodeticToPoint(fix.position), geodeticToPoint(fixes[0].position));
+        return { t: fix.time.getTime() / 1000, e: dot(offset, east), n: dot(offset, north), u: dot(offset, up) };
+    });
+    const tMean = mean(samples.map(s => s.t));
+    const denominator = samples.reduce((sum, s) => sum + (s.t - tMean) ** 2, 0);
+    if (denominator === 0) return null;
+    const slope = (key) => {
+        const valueMean = mean(samples.map(s => s[key]));
+        return samples.reduce((sum, s) => sum + (s.t - tMean) * (s[key] - valueMean), 0) / denominator * 1000; // m/s
+    };
+    const ve = slope('e');
+    const vn = slope('n');
+    return {
+        speed: Math.hypot(ve, vn, slope('u')),
+        groundSpeed: Math.hypot(ve, vn),
+        heading: (toDeg(Math.atan2(ve, vn)) + 360) % 360,
+        climbRate: slope('u'),
+        duration: samples[samples.length - 1].t - samples[0].t
+    };
+};
+
+// Splits tags into groups of simultaneous ones (FIX_WINDOW_SECONDS), in time order
+const groupByTime = (sightings) => {
+    const ordered = [...sightings].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    const groups = [];
+    ordered.forEach(sighting => {
+        const group = groups[groups.length - 1];
+        if (group && Date.parse(sighting.timestamp) - Date.parse(group[0].timestamp) <= FIX_WINDOW_SECONDS * 1000) {
+            group.push(sighting);
+        } else {
+            groups.push([sighting]);
+        }
+    });
+    return groups;
+};
+
+// Tags of one object (by several observers, possibly over a while) ->
+// { fixes: [fix or failed fix, in time order], motion }
+export const triangulateSightings = (sightings, pointingSigmaDeg = DEFAULT_POINTING_SIGMA_DEG) => {
+    const fixes = groupByTime(sightings).map(group => triangulateFix(group, pointingSigmaDeg));
+    return { fixes, motion: estimateMotion(fixes.filter(fix => !fix.error)) };
+};
+
+// The fix's horizontal error ellipse as `steps` positions around it, at its altitude
+export const uncertaintyOutline = (fix, steps = 48) => {
+    const { east, north } = enuBasis(fix.position.lat, fix.position.lon);
+    const center = geodeticToPoint(fix.position);
+    const bearing = toRad(fix.ellipse.bearing);
+    // Major/minor axis unit vectors in ECF
+    const major = addScaled(addScaled([0, 0, 0], east, Math.sin(bearing)), north, Math.cos(bearing));
+    const minor = addScaled(addScaled([0, 0, 0], east, Math.cos(bearing)), north, -Math.sin(bearing));
+    return Array.from({ length: steps }, (_, idx) => {
+        const angle = 2 * Math.PI * idx / steps;
+        let point = addScaled(center, major, Math.cos(angle) * fix.ellipse.semiMajor / 1000);
+        point = addScaled(point, minor, Math.sin(angle) * fix.ellipse.semiMinor / 1000);
+        return { ...pointToGeodetic(point), alt: fix.position.alt };
+    });
+};
@@ -0,0 +1,97 @@
+import { getSunEquatorial } from './astroUtils';
+
+// Satellite illumination and brightness
+// Shared by satelliteUtils.js and the propagation worker, so it only depends
+// on satellite.js and astroUtils.js (no axios / DOM).
+//
+// Brightness uses the usual "standard magnitude" convention (McCants): the
+// magnitude a satellite would have at 1000 km range, half illuminated (phase
+// angle 90°). It is scaled to the actual range and phase with a diffuse
+// sphere-ish illuminated fraction:
+//   mag = stdMag - 15.75 + 2.5 log10(range² / fraction),  fraction = (1 + cos phase) / 2
+// where phase is the Sun-satellite-observer angle. Real satellites flare,
+// tumble and have odd shapes, so this is an estimate good to a magnitude or so.
+
+const EARTH_RADIUS_KM = 6378.137;
+
+// Sun altitude (radians) below which the sky is dark enough to see satellites
+// (end of civil twilight)
+export const DARK_SKY_SUN_ALTITUDE = -6 * Math.PI / 180;
+
+// Faintest estimated magnitude counted as naked-eye visible, for a typical
+// suburban sky
+export const NAKED_EYE_LIMIT_MAG = 4.5;
+
+// Published standard magnitudes for well-known bright satellites, by NORAD ID
+const STANDARD_MAGNITUDES = {
+    25544: -1.8, // ISS
+    48274: -0.8, // CSS (Tianhe)
+    20580: 2.2, // Hubble Space Telescope
+    27386: 3.7, // Envisat
+    25994: 3.9, // Terra
+    27424: 3.9 // Aqua
+};
+
+// Rough standard magnitudes by kind of object, from the catalog name
+const NAME_MAGNITUDES = [
+    { pattern: /STARLINK/, mag: 5.5 },
+    { pattern: /ONEWEB/, mag: 7.0 },
+    { pattern: /\bR\/B\b/, mag: 4.0 }, // rocket bodies: big, often bright
+    { pattern: /\bDEB\b/, mag: 7.5 } // debris: small
+];
+
+const DEFAULT_STANDARD_MAGNITUDE = 5.0;
+
+// Never assume less than this lit fraction (backlit satellites still scatter a little)
+const MIN_ILLUMINATED_FRACTION = 0.01;
+
+// sat: entry from fetchTLEs (name + satrec)
+export const getStandardMagnitude = (sat) => {
+    const known = STANDARD_MAGNITUDES[Number(sat.satrec.satnum)];
+    if (known !== undefined) return known;
+    const name = (sat.name || '').toUpperCase();
+    const match = NAME_MAGNITUDES.find(({ pattern }) => pattern.test(name));
+    return match ? match.mag : DEFAULT_STANDARD_MAGNITUDE;
+};
+
+// Unit vector towards the Sun in ECI (equator of date, like the TEME frame
+// SGP4 works in)
+export const getSunDirectionEci = (date) => {
+    const { ra, dec } = getSunEquatorial(date);
+    return { x: Math.cos(dec) * Math.cos(ra), y: Math.cos(dec) * Math.sin(ra), z: Math.sin(dec) };
+};
+
+// Whether an ECI position (km) is lit by the Sun, i.e. not inside Earth's shadow.
+// Cylindrical shadow model: good enough for naked-eye visibility, it only
+// misjudges the few seconds spent crossing the penumbra.
+export const isSunlitEci = (positionEci, sunDirection) => {
+    const { x, y, z } = positionEci;
+    const along = x * sunDirection.x + y * sunDirection.y + z * sunDirection.z;
+    if (along > 0) return true; // on the day side of the Earth
+
+    // Distance from the Earth-Sun axis
+    const px = x - along * sunDirection.x, py = y - along * sunDirection.y, pz = z - along * sunDirection.z;
+    return Math.sqrt(px * px + py * py + pz * pz) > EARTH_RADIUS_KM;
+};
+
+// Sun-satellite-observer angle (radians) from the topocentric directions of
+// the satellite and the Sun. The Sun is far enough away that it is in the same
+// direction from the satellite as from the observer, so this is just 180° minus
+// their separation in the sky.
+export const getPhaseAngle = (satAzimuth, satElevation, sunAzimuth, sunElevation) => {
+    const cosSeparation = Math.sin(satElevation) * Math.sin(sunElevation) +
+        Math.cos(satElevation) * Math.cos(sunElevation) * Math.cos(satAzimuth - sunAzimuth);
+    return Math.PI - Math.acos(Math.max(-1, Math.min(1, cosSeparation)));
+};
+
+// Estimated visual magnitude of a sunlit satellite. rangeKm from the observer,
+// phaseAngle (radians) between the Sun and the observer as seen from it.
+export const estimateMagnitude = (standardMagnitude, rangeKm, phaseAngle) => {
+    const fraction = Math.max(MIN_ILLUMINATED_FRACTION, (1 + Math.cos(phaseAngle)) / 2);
+    return standardMagnitude - 15.75 + 2.5 * Math.log10(rangeKm * rangeKm / fraction);
+};
+
+// Could someone actually see it right now without optics?
+// magnitude is null/Infinity when the satellite is in Earth's shadow.
+export const isNakedEyeVisible = (magnitude, sunAltitude) =>
+    sunAltitude < DARK_SKY_SUN_ALTITUDE && magnitude !== null && magnitude <= NAKED_EYE_LIMIT_MAG;
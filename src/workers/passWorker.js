@@ -0,0 +1,33 @@
+import { twoline2satrec } from 'satellite.js';
+import { predictPasses } from '../utils/satelliteUtils';
+
+// Pass prediction off the main thread (see predictPasses and passUtils.js).
+// A search over days for a few dozen satellites takes seconds; here it doesn't
+// hold up the page. Each request carries its own TLEs, so nothing stays loaded
+// between searches. The results go back per satellite, in request order, as
+// soon as each is done ('progress'), and all together at the end ('passes').
+// A satellite whose search throws ends the request with an 'error'.
+
+self.onmessage = ({ data }) => {
+    const { requestId, tles, observer, start, days, minElevationDeg } = data;
+    const results = [];
+    for (let idx = 0; idx < tles.length; idx++) {
+        const tle = tles[idx];
+        let passes;
+        try {
+            const sat = { ...tle, satrec: twoline2satrec(tle.line1, tle.line2) };
+            // observer: lat/lon degrees, alt km
+            passes = predictPasses(sat, observer.lat, observer.lon, observer.alt, {
+                start: new Date(start),
+                days,
+                minElevationDeg
+            });
+        } catch (error) {
+            self.postMessage({ type: 'error', requestId, message: `Pass search for ${tle.name} failed: ${error.message}` });
+            return;
+        }
+        self.postMessage({ type: 'progress', requestId, index: idx, passes });
+        results.push(passes);
+    }
+    self.postMessage({ type: 'passes', requestId, results });
+};
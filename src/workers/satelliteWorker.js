@@ -0,0 +1,129 @@
+import { twoline2satrec, propagate, gstime, eciToEcf, ecfToLookAngles } from 'satellite.js';
+import { applyRefraction } from '../utils/astroUtils';
+import { getSunDirectionEci, isSunlitEci, getPhaseAngle, estimateMagnitude } from '../utils/visibilityUtils';
+
+// SGP4 propagation off the main thread.
+// The Satellites layer sends the catalog once ('init'), the observer ('observer'),
+// then asks for keyframes ('propagate') at a handful of times. Each keyframe is
+// a Float32Array of topocentric vectors in scene orientation (x East, y Up,
+// z -North, km), NaN for satellites that can't be propagated. The layer
+// interpolates between keyframes every frame, so SGP4 only runs a few times a
+// second no matter how many satellites there are.
+// Elevations are refracted (apparent) when the observer has an atmosphere.
+// Each keyframe also carries every satellite's estimated visual magnitude
+// (Infinity in Earth's shadow, NaN when not propagated) and the Sun's
+// altitude at the observer, see visibilityUtils.js.
+// 'rising' scans some satellites ahead in time for alerts (see alertUtils.js):
+// when each first reaches an elevation, and how high it gets.
+
+const AU_KM = 149597870.7;
+
+let satrecs = [];
+let standardMagnitudes = [];
+let observerGd = { latitude: 0, longitude: 0, height: 0 };
+let atmosphere = null;
+
+const computeFrame = (time) => {
+    const date = new Date(time);
+    const gmst = gstime(date);
+    const frame = new Float32Array(satrecs.length * 3);
+    const magnitudes = new Float32Array(satrecs.length);
+
+    const sunDirection = getSunDirectionEci(date);
+    const sunLook = ecfToLookAngles(observerGd, eciToEcf({
+        x: sunDirection.x * AU_KM,
+        y: sunDirection.y * AU_KM,
+        z: sunDirection.z * AU_KM
+    }, gmst));
+
+    for (let i = 0; i < satrecs.length; i++) {
+        const positionEci = propagate(satrecs[i], date)?.position;
+        if (!positionEci) {
+            frame[i * 3] = NaN;
+            frame[i * 3 + 1] = NaN;
+            frame[i * 3 + 2] = NaN;
+            magnitudes[i] = NaN;
+            continue;
+        }
+
+        const look = ecfToLookAngles(observerGd, eciToEcf(positionEci, gmst));
+        const elevation = applyRefraction(look.elevation, atmosphere);
+        const cosEl = Math.cos(elevation);
+        frame[i * 3] = look.rangeSat * cosEl * Math.sin(look.azimuth);
+        frame[i * 3 + 1] = look.rangeSat * Math.sin(elevation);
+        frame[i * 3 + 2] = -look.rangeSat * cosEl * Math.cos(look.azimuth);
+
+        magnitudes[i] = isSunlitEci(positionEci, sunDirection)
+            ? estimateMagnitude(standardMagnitudes[i], look.rangeSat,
+                getPhaseAngle(look.azimuth, look.elevation, sunLook.azimuth, sunLook.elevation))
+            : Infinity;
+    }
+
+    return { frame, magnitudes, sunAltitude: sunLook.elevation };
+};
+
+// Apparent elevation (radians) of one satellite, null when it can't be propagated
+const elevationAt = (satrec, date, gmst) => {
+    const positionEci = propagate(satrec, date)?.position;
+    if (!positionEci) return null;
+    return applyRefraction(ecfToLookAngles(observerGd, eciToEcf(positionEci, gmst)).elevation, atmosphere);
+};
+
+// Satellites (indices) at or above minElevation between start and end (ms):
+// [{ index, time (first sample there), maxElevation, maxTime }]
+const findRising = ({ indices, start, end, stepMs, minElevation }) => {
+    const found = indices.map(index => ({ index, time: null, maxElevation: -Infinity, maxTime: null }));
+    for (let t = start; t <= end; t += stepMs) {
+        const date = new Date(t);
+        const gmst = gstime(date);
+        found.forEach(entry => {
+            const elevation = elevationAt(satrecs[entry.index], date, gmst);
+            if (elevation === null) return;
+            if (entry.time === null && elevation >= minElevation) entry.time = t;
+            if (elevation > entry.maxElevation) {
+                entry.maxElevation = elevation;
+                entry.maxTime = t;
+            }
+        });
+    }
+    return found.filter(entry => entry.time !== null);
+};
+
+self.onmessage = ({ data }) => {
+    switch (data.type) {
+        case 'init':
+            satrecs = data.tles.map(tle => twoline2satrec(tle.line1, tle.line2));
+            standardMagnitudes = data.tles.map(tle => tle.standardMagnitude);
+            break;
+        case 'observer':
+            // lat/lon degrees, alt km, atmosphere { temperature, pressure } or null
+            observerGd = {
+                latitude: data.lat * Math.PI / 180,
+                longitude: data.lon * Math.PI / 180,
+                height: data.alt || 0
+            };
+            atmosphere = data.atmosphere || null;
+            break;
+        case 'propagate': {
+            const computed = data.times.map(computeFrame);
+            const frames = computed.map(c => c.frame);
+            const magnitudes = computed.map(c => c.magnitudes);
+            self.postMessage({
+                type: 'frames',
+                requestId: data.requestId,
+                generation: data.generation,
+                times: data.times,
+                frames,
+                magnitudes,
+                sunAltitudes: computed.map(c => c.sunAltitude)
+            }, [...frames, ...magnitudes].map(array => array.buffer));
+            break;
+        }
+        case 'rising':
+            // minElevation radians (apparent), times ms
+            self.postMessage({ type: 'rising', requestId: data.requestId, results: findRising(data) });
+            break;
+        default:
+            break;
+    }
+};